@@ -0,0 +1,842 @@
+#!/usr/bin/env node
+/**
+ * TyranoFlow Viewer - CLI
+ * ブラウザを使わずにTyranoScriptプロジェクトを解析する
+ *
+ * 使い方（Node.js 20 以上）:
+ *   node cli/tyranoflow.js <プロジェクトフォルダ | .zip | app.asar | .tpm> [オプション]
+ *
+ * オプション:
+ *   --mermaid            Mermaidコードを出力
+ *   --stats              ファイルごとの統計を出力
+ *   --json               解析結果をJSONで出力
+ *   --missing            dataフォルダに存在しない素材への参照を出力
+ *   --unused             どのシナリオからも参照されていない素材を出力
+ *   --diagnostics        存在しない遷移先・重複ラベルなどの診断結果を出力
+ *   --unreachable        開始ファイルから到達できないファイル・ラベルを出力
+ *   --routes             開始ファイルから各エンディングまでのルートを出力
+ *   --variables          変数（f. / sf. / tf.）の書き込み・読み取り箇所を出力
+ *   --tags               使用タグを分類ごとに集計し、未定義のタグの箇所を出力
+ *   --voice              キャラクターごとのボイス収録状況と未収録のセリフを出力
+ *   --characters         キャラクターごとのセリフ数・文字数・登場ファイル・表示時間を出力
+ *   --reading            ファイル・ラベル・ルートごとの推定プレイ時間（分）を出力
+ *   --cpm <n>            推定時間の読む速さ（1分あたりの文字数、既定: 500）
+ *   --text-speed <ms>    推定時間の文字表示の速さ（1文字あたりのミリ秒、既定: 30）
+ *   --auto-wait <ms>     推定時間のクリック待ちごとの間（ミリ秒、既定: 500）
+ *   --video-seconds <s>  推定時間の動画待ちの秒数（既定: 10）
+ *   --script             セリフをストーリー順に並べた台本を出力（既定はCSV）
+ *   --tsv                --script の結果をTSV形式で出力
+ *   --speaker <names>    --script で出力する話者（カンマ区切り、ナレーションは空文字）
+ *   --choices            --script に選択肢のテキストを含める
+ *   --translate <file>   翻訳済みの台本（CSV / TSV）を取り込み、scenario_<locale> フォルダに書き出す
+ *   --locale <name>      --translate の書き出し先の言語名（既定: en）
+ *   --entry <files>      到達チェック・ルートの開始ファイル（カンマ区切り、既定: first.ks）
+ *   --csv                --unused / --routes / --characters / --reading の結果、--voice の収録台本をCSV形式で出力
+ *   --mode <mode>        フローチャートの表示モード（simple | detail | label）
+ *   --out <file>         標準出力の代わりにファイルへ書き出す
+ *
+ * 出力の指定がない場合は --mermaid と --stats を出力する
+ * プロジェクト独自のタグは tyranoflow-tags.json（scenario / data / プロジェクト直下）で定義できる
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// グローバルの File と DecompressionStream('deflate-raw')（.zip の展開）を使うため、古い Node.js では読み込む前に止める
+if (parseInt(process.versions.node, 10) < 20) {
+    console.error(`Node.js 20 以上が必要です（現在: ${process.versions.node}）`);
+    process.exit(1);
+}
+
+const TagRegistry = require('../js/tags.js');
+const TyranoParser = require('../js/parser.js');
+const FlowchartGenerator = require('../js/flowchart.js');
+const TimelineProcessor = require('../js/timeline.js');
+const AssetAnalyzer = require('../js/assets.js');
+const ScenarioDiagnostics = require('../js/diagnostics.js');
+const ReachabilityAnalyzer = require('../js/reachability.js');
+const RouteEnumerator = require('../js/routes.js');
+const VariableAnalyzer = require('../js/variables.js');
+const VoiceAnalyzer = require('../js/voice.js');
+const CharacterAnalyzer = require('../js/characters.js');
+const ReadingTimeEstimator = require('../js/reading.js');
+const ScriptExporter = require('../js/script.js');
+const TranslationImporter = require('../js/translation.js');
+const ProjectSource = require('../js/sources.js');
+
+/**
+ * コマンドライン引数を解析
+ */
+function parseArgs(argv) {
+    const options = {
+        projectDir: null,
+        mermaid: false,
+        stats: false,
+        json: false,
+        missing: false,
+        unused: false,
+        diagnostics: false,
+        unreachable: false,
+        routes: false,
+        variables: false,
+        tags: false,
+        voice: false,
+        characters: false,
+        reading: false,
+        readingSettings: {},
+        script: false,
+        tsv: false,
+        speaker: null,
+        choices: false,
+        translate: null,
+        locale: 'en',
+        entry: '',
+        csv: false,
+        mode: 'simple',
+        out: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--mermaid':
+                options.mermaid = true;
+                break;
+            case '--stats':
+                options.stats = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--missing':
+                options.missing = true;
+                break;
+            case '--unused':
+                options.unused = true;
+                break;
+            case '--diagnostics':
+                options.diagnostics = true;
+                break;
+            case '--unreachable':
+                options.unreachable = true;
+                break;
+            case '--routes':
+                options.routes = true;
+                break;
+            case '--variables':
+                options.variables = true;
+                break;
+            case '--tags':
+                options.tags = true;
+                break;
+            case '--voice':
+                options.voice = true;
+                break;
+            case '--characters':
+                options.characters = true;
+                break;
+            case '--reading':
+                options.reading = true;
+                break;
+            case '--cpm':
+                options.readingSettings.charsPerMinute = argv[++i];
+                break;
+            case '--text-speed':
+                options.readingSettings.textSpeed = argv[++i];
+                break;
+            case '--auto-wait':
+                options.readingSettings.autoWait = argv[++i];
+                break;
+            case '--video-seconds':
+                options.readingSettings.videoSeconds = argv[++i];
+                break;
+            case '--script':
+                options.script = true;
+                break;
+            case '--tsv':
+                options.tsv = true;
+                break;
+            case '--speaker':
+                options.speaker = argv[++i];
+                break;
+            case '--choices':
+                options.choices = true;
+                break;
+            case '--translate':
+                options.translate = argv[++i];
+                break;
+            case '--locale':
+                options.locale = argv[++i];
+                break;
+            case '--entry':
+                options.entry = argv[++i];
+                break;
+            case '--csv':
+                options.csv = true;
+                break;
+            case '--mode':
+                options.mode = argv[++i];
+                break;
+            case '--out':
+                options.out = argv[++i];
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`不明なオプションです: ${arg}`);
+                }
+                options.projectDir = arg;
+        }
+    }
+
+    if (!['simple', 'detail', 'label'].includes(options.mode)) {
+        throw new Error(`不明な表示モードです: ${options.mode}`);
+    }
+
+    // 出力の指定がなければMermaidと統計を出力
+    if (!options.mermaid && !options.stats && !options.json && !options.missing && !options.unused &&
+        !options.diagnostics && !options.unreachable && !options.routes &&
+        !options.variables && !options.tags && !options.voice && !options.script &&
+        !options.characters && !options.reading && !options.translate) {
+        options.mermaid = true;
+        options.stats = true;
+    }
+
+    return options;
+}
+
+/**
+ * ディレクトリが存在するか確認
+ */
+function isDirectory(dirPath) {
+    try {
+        return fs.statSync(dirPath).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * ファイルを FileSystemFileHandle と同じ形で扱う（内容は getFile() で初めて読む）
+ */
+function createFileHandle(filePath) {
+    return {
+        kind: 'file',
+        name: path.basename(filePath),
+        path: filePath,
+        async getFile() {
+            const data = await fs.promises.readFile(filePath);
+            return new File([data], path.basename(filePath), { lastModified: fs.statSync(filePath).mtimeMs });
+        }
+    };
+}
+
+/**
+ * フォルダを FileSystemDirectoryHandle と同じ形で扱う
+ * ブラウザ版と同じく ProjectSource.findLayout() でシナリオと素材のフォルダを探すために使う
+ */
+function createDirectoryHandle(dirPath) {
+    const getChild = (name, kind) => {
+        const childPath = path.join(dirPath, name);
+        if (!fs.existsSync(childPath)) throw new DOMException(`${name} が見つかりません`, 'NotFoundError');
+        if (isDirectory(childPath) !== (kind === 'directory')) {
+            throw new DOMException(`${name} は${kind === 'file' ? 'ファイル' : 'フォルダ'}ではありません`, 'TypeMismatchError');
+        }
+        return kind === 'directory' ? createDirectoryHandle(childPath) : createFileHandle(childPath);
+    };
+
+    return {
+        kind: 'directory',
+        name: path.basename(path.resolve(dirPath)),
+        path: dirPath,
+        async *values() {
+            for (const name of fs.readdirSync(dirPath)) {
+                const childPath = path.join(dirPath, name);
+                yield isDirectory(childPath) ? createDirectoryHandle(childPath) : createFileHandle(childPath);
+            }
+        },
+        async getDirectoryHandle(name) {
+            return getChild(name, 'directory');
+        },
+        async getFileHandle(name) {
+            return getChild(name, 'file');
+        }
+    };
+}
+
+/**
+ * プロジェクトを開き、scenarioフォルダとdataフォルダを特定
+ * ブラウザ版の loadFromDirectoryHandle() と同じく中身から探す（リリースビルドの app.asar も対象）
+ * .zip / .asar / .tpm を直接指定した場合はその中を探す
+ * @returns {Object} ProjectSource.findLayout() の結果 { rootHandle, scenarioHandle, dataHandle }
+ */
+async function openProject(projectPath) {
+    const source = new ProjectSource();
+    let root = null;
+    if (isDirectory(projectPath)) {
+        root = createDirectoryHandle(projectPath);
+    } else {
+        const file = await createFileHandle(projectPath).getFile();
+        if (source.isZipFile(file)) {
+            root = await source.fromZip(file);
+        } else if (source.isAsarFile(file)) {
+            root = await source.fromAsar(file);
+        } else if (source.isTpmFile(file)) {
+            root = await source.fromTpm(file);
+        } else {
+            throw new Error(`フォルダ・.zip・.asar・.tpm ではありません: ${projectPath}`);
+        }
+    }
+    return source.findLayout(root, new AssetAnalyzer().folders);
+}
+
+/**
+ * ksファイルを再帰的に収集（systemフォルダを除外）
+ * @returns {Promise<Array<Object>>} { handle, relativePath } の配列（relativePath は scenarioフォルダからの相対パス）
+ */
+async function collectKsFiles(dirHandle, relativePath, files) {
+    for await (const entry of dirHandle.values()) {
+        if (entry.kind === 'file' && entry.name.endsWith('.ks')) {
+            files.push({ handle: entry, relativePath: relativePath + entry.name });
+        } else if (entry.kind === 'directory' && entry.name !== 'system') {
+            await collectKsFiles(entry, relativePath + entry.name + '/', files);
+        }
+    }
+    return files;
+}
+
+/**
+ * 指定した名前のJSONファイルを探して読み込み（見つからなければ null）
+ */
+async function readJsonFile(dirHandles, name) {
+    for (const dirHandle of dirHandles) {
+        let fileHandle;
+        try {
+            fileHandle = await dirHandle.getFileHandle(name);
+        } catch {
+            continue;
+        }
+        return JSON.parse(await (await fileHandle.getFile()).text());
+    }
+    return null;
+}
+
+/**
+ * dataフォルダ内の素材のハンドルを取得（見つからなければ null）
+ * storage はサブフォルダを含むことがある（chara/akane/normal.png など）
+ */
+async function getResourceFileHandle(dataHandle, folder, storage) {
+    try {
+        const parts = storage.split('/').filter(part => part);
+        let dirHandle = await dataHandle.getDirectoryHandle(folder);
+        for (const part of parts.slice(0, -1)) {
+            dirHandle = await dirHandle.getDirectoryHandle(part);
+        }
+        return await dirHandle.getFileHandle(parts[parts.length - 1]);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 端末上の表示幅を計算（全角文字は2桁として数える）
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const ch of text) {
+        width += ch.codePointAt(0) > 0xff ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * 表示幅を揃えるための空白を生成
+ */
+function padding(text, width) {
+    return ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+/**
+ * ファイルごとの統計をテキスト表として整形
+ * 列はブラウザ版のファイル一覧と同じ
+ */
+function formatStats(flowchart, timeline) {
+    const header = ['ファイル名', 'クリック回数', '推定(分)', '画像', '動画', 'BGM', 'SE'];
+    const rows = flowchart.getFileList().map(file => [
+        file.filename + (file.isSystem ? ' (system)' : ''),
+        file.clickCount,
+        file.readingSeconds !== null ? (file.readingSeconds / 60).toFixed(1) : '-',
+        file.imageCount,
+        file.videoCount,
+        file.bgmCount,
+        file.seCount
+    ].map(String));
+
+    const widths = header.map((title, col) =>
+        Math.max(displayWidth(title), ...rows.map(row => displayWidth(row[col])))
+    );
+    const formatRow = row => row.map((cell, col) =>
+        col === 0 ? cell + padding(cell, widths[col]) : padding(cell, widths[col]) + cell
+    ).join('  ');
+
+    const stats = timeline.getStats();
+    const lines = [
+        formatRow(header),
+        ...rows.map(formatRow),
+        '',
+        `ファイル数: ${rows.length}（ストーリー: ${flowchart.getSortedStoryFiles().length}）`,
+        `タイムライン: トラック ${stats.trackCount} | イベント ${stats.totalEvents} | 総時間 ${stats.totalTime} [p]`
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * 不足素材の一覧をテキストとして整形
+ */
+async function formatMissingAssets(flowchart, dataHandle) {
+    if (!dataHandle) {
+        return 'dataフォルダが見つからないため素材を確認できません';
+    }
+
+    const analyzer = new AssetAnalyzer();
+    const missing = await analyzer.findMissing(
+        flowchart.parsedFiles,
+        async (storage, folder) => (await getResourceFileHandle(dataHandle, folder, storage)) !== null
+    );
+
+    const lines = missing.map(ref =>
+        `${ref.filename}:${ref.line}  [${ref.type}] ${ref.folder}/${ref.storage}`
+    );
+    lines.push(`不足素材: ${missing.length}件`);
+    return lines.join('\n');
+}
+
+/**
+ * 素材フォルダ内の全ファイルを列挙
+ */
+async function listResourceFiles(analyzer, dataHandle) {
+    const files = [];
+
+    const walk = async (dirHandle, folder, relativePath) => {
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'file') {
+                if (!analyzer.isListedFile(entry.name)) continue;
+                files.push({ folder, path: relativePath + entry.name, size: (await entry.getFile()).size });
+            } else if (entry.kind === 'directory') {
+                await walk(entry, folder, relativePath + entry.name + '/');
+            }
+        }
+    };
+
+    for (const folder of analyzer.folders) {
+        let folderHandle;
+        try {
+            folderHandle = await dataHandle.getDirectoryHandle(folder);
+        } catch {
+            continue;
+        }
+        await walk(folderHandle, folder, '');
+    }
+
+    return files;
+}
+
+/**
+ * 未使用素材の一覧をテキストまたはCSVとして整形
+ */
+async function formatUnusedAssets(flowchart, dataHandle, csv) {
+    if (!dataHandle) {
+        return 'dataフォルダが見つからないため素材を確認できません';
+    }
+
+    const analyzer = new AssetAnalyzer();
+    const voiceAnalyzer = new VoiceAnalyzer();
+    const voiceRefs = voiceAnalyzer.collectReferences(voiceAnalyzer.analyze(flowchart));
+    const unused = analyzer.findUnused(flowchart.parsedFiles, await listResourceFiles(analyzer, dataHandle), voiceRefs);
+    return (csv ? analyzer.toCsv(unused) : analyzer.toText(unused)).replace(/\r?\n$/, '');
+}
+
+/**
+ * 診断結果をテキストとして整形
+ */
+function formatDiagnostics(analyzer, diagnostics) {
+    const counts = analyzer.countBySeverity(diagnostics);
+
+    const lines = diagnostics.map(d => `${d.severity.padEnd(7)} ${d.filename}:${d.line}  ${d.message}`);
+    lines.push(`エラー: ${counts.error} | 警告: ${counts.warning} | 情報: ${counts.info}`);
+    return lines.join('\n');
+}
+
+/**
+ * 到達できないファイル・ラベルをテキストとして整形
+ */
+function formatUnreachable(reachability) {
+    const lines = [`開始ファイル: ${reachability.entryPoints.join(', ') || '(なし)'}`];
+    reachability.unreachableFiles.forEach(filename => {
+        lines.push(`file   ${filename}`);
+    });
+    reachability.unreachableLabels.forEach(({ filename, label, line }) => {
+        lines.push(`label  ${filename}:${line}  *${label}`);
+    });
+    lines.push(`到達不能: ${reachability.unreachableFiles.length}ファイル / ${reachability.unreachableLabels.length}ラベル`);
+    return lines.join('\n');
+}
+
+/**
+ * ルート一覧をテキストとして整形
+ */
+function formatRoutes(flowchart, entries, csv) {
+    const enumerator = new RouteEnumerator();
+    const { routes, endings, loopCount, truncated } = enumerator.enumerate(flowchart, entries);
+    if (csv) {
+        return enumerator.toCsv(routes).replace(/\r?\n$/, '');
+    }
+
+    const lines = [];
+    endings.forEach((count, ending) => {
+        lines.push(`${ending} (${count}ルート)`);
+        routes.filter(route => route.ending === ending).forEach(route => {
+            const choices = route.choices.map(choice => choice.text).join(' → ') || '(選択肢なし)';
+            lines.push(`  #${route.id}  ${choices}`);
+            if (route.conditions.length > 0) {
+                lines.push(`        条件: ${route.conditions.map(c => c.cond).join(', ')}`);
+            }
+            lines.push(`        ${enumerator.formatPath(route)}`);
+        });
+    });
+    lines.push(`エンディング: ${endings.size} | ルート: ${routes.length}` +
+        (loopCount > 0 ? ` | ループ: ${loopCount}` : '') + (truncated ? '（上限で打ち切り）' : ''));
+    return lines.join('\n');
+}
+
+/**
+ * 推定プレイ時間をテキストとして整形（ストーリーファイルとラベル、ルートごと）
+ */
+function formatReadingTime(flowchart, estimator, estimates, entries, csv) {
+    const storyFiles = flowchart.getSortedStoryFiles().map(({ filename }) => filename);
+    const { routes } = new RouteEnumerator().enumerate(flowchart, entries);
+    if (csv) {
+        return estimator.toCsv(estimates, storyFiles, routes).replace(/\r?\n$/, '');
+    }
+
+    const lines = [];
+    let total = 0;
+    storyFiles.forEach(filename => {
+        const estimate = estimates.get(filename);
+        total += estimate.seconds;
+        lines.push(`${filename}${padding(filename, 24)}${estimator.formatMinutes(estimate.seconds)}  (文字 ${estimate.chars} | クリック ${estimate.clicks})`);
+        estimate.blocks.filter(block => block.label).forEach(block => {
+            const label = `  *${block.label}`;
+            lines.push(`${label}${padding(label, 24)}${estimator.formatMinutes(block.seconds)}`);
+        });
+    });
+    routes.forEach(route => {
+        const estimate = estimator.estimateRoute(route, estimates);
+        lines.push(`route #${route.id} -> ${route.ending}  ${estimator.formatMinutes(estimate.seconds)}`);
+    });
+
+    const { charsPerMinute, textSpeed, autoWait, videoSeconds } = estimator.settings;
+    lines.push(`ストーリー合計: ${estimator.formatMinutes(total)}（${charsPerMinute}文字/分 | 表示 ${textSpeed}ms/文字 | クリック ${autoWait}ms | 動画 ${videoSeconds}秒）`);
+    return lines.join('\n');
+}
+
+/**
+ * 変数の書き込み・読み取り箇所をテキストとして整形
+ */
+function formatVariables(flowchart) {
+    const analyzer = new VariableAnalyzer();
+    const variables = analyzer.analyze(flowchart.parsedFiles);
+    const counts = analyzer.countByStatus(variables);
+    const statusLabels = { ok: '', 'read-only': '  [書き込みなし]', 'write-only': '  [読み取りなし]' };
+    const formatRefs = refs => refs.map(ref => `${ref.filename}:${ref.line}`).join(', ') || '-';
+
+    const lines = [];
+    variables.forEach(variable => {
+        lines.push(`${variable.key}${statusLabels[variable.status]}`);
+        lines.push(`  書き込み: ${formatRefs(variable.writes)}`);
+        lines.push(`  読み取り: ${formatRefs(variable.reads)}`);
+    });
+    analyzer.collectClears(flowchart.parsedFiles).forEach(clear => {
+        lines.push(`[${clear.tag}] ${clear.filename}:${clear.line}`);
+    });
+    lines.push(`変数: ${variables.length} | 書き込みなし: ${counts['read-only']} | 読み取りなし: ${counts['write-only']}`);
+    return lines.join('\n');
+}
+
+/**
+ * ボイスの収録状況をテキストとして整形
+ * dataフォルダがない場合はファイルの有無を確認せずボイスの割り当てだけを出力する
+ */
+async function formatVoice(flowchart, dataHandle, csv) {
+    const analyzer = new VoiceAnalyzer();
+    const lines = analyzer.analyze(flowchart);
+    if (dataHandle) {
+        await analyzer.checkRecorded(lines, async (storage, folder) =>
+            (await getResourceFileHandle(dataHandle, folder, storage)) !== null
+        );
+    }
+    if (csv) {
+        return analyzer.toCsv(lines).replace(/\r?\n$/, '');
+    }
+
+    const output = analyzer.summarize(lines).map(item =>
+        `${item.speaker}${padding(item.speaker, 16)}セリフ ${item.total} | ボイス ${item.voiced} | 収録済み ${item.recorded} | 未収録 ${item.missing}`
+    );
+    lines.filter(line => line.status === 'missing').forEach(line => {
+        output.push(`missing ${line.filename}:${line.line}  ${line.speaker || ''}  ${line.missing.join(', ')}`);
+    });
+    if (!dataHandle) {
+        output.push('dataフォルダが見つからないため、ボイスファイルの有無は確認していません');
+    }
+    output.push(`ボイス付きセリフ: ${lines.filter(line => line.storages.length > 0).length} / ${lines.length}`);
+    return output.join('\n');
+}
+
+/**
+ * キャラクター別の統計をテキストとして整形（セリフ数の多い順）
+ */
+function formatCharacters(flowchart, timeline, csv) {
+    const analyzer = new CharacterAnalyzer();
+    const characters = analyzer.sort(analyzer.analyze(flowchart, timeline.tracks.chara), 'lines');
+    if (csv) {
+        return analyzer.toCsv(characters).replace(/\r?\n$/, '');
+    }
+
+    const lines = characters.map(character =>
+        `${character.name}${padding(character.name, 16)}セリフ ${character.lines} | 文字 ${character.chars} | 単語 ${character.words} | ファイル ${character.fileCount} | 表示 ${character.screenTime} [p]`
+    );
+    lines.push(`キャラクター: ${characters.length}`);
+    return lines.join('\n');
+}
+
+/**
+ * 台本をCSV / TSVとして整形
+ */
+function formatScript(flowchart, options) {
+    const exporter = new ScriptExporter();
+    const speakers = options.speaker === null ? null : new Set(options.speaker.split(',').map(name => name.trim()));
+    const rows = exporter.collect(flowchart, { speakers, includeChoices: options.choices });
+    return (options.tsv ? exporter.toTsv(rows) : exporter.toCsv(rows)).replace(/\r?\n$/, '');
+}
+
+/**
+ * 翻訳済みの台本を取り込み、scenarioフォルダと同じ構成で scenario_<locale> に書き出す
+ * @param {Map<string, string>} relativePaths - ファイル名 -> scenarioフォルダからの相対パス
+ */
+function importTranslation(flowchart, contents, relativePaths, scenarioDir, options) {
+    if (!scenarioDir) {
+        return '.zip / .asar / .tpm 内のプロジェクトには翻訳を書き出せません。展開したフォルダを指定してください';
+    }
+
+    const importer = new TranslationImporter(new ScriptExporter());
+    const table = importer.parseTable(fs.readFileSync(options.translate, 'utf8'));
+    const { files, translated, untranslated, untranslatable, changed, unknown, mismatched } = importer.apply(flowchart, contents, table);
+
+    const outDir = path.join(path.dirname(path.resolve(scenarioDir)), `scenario_${options.locale}`);
+    files.forEach((content, filename) => {
+        const outPath = path.join(outDir, relativePaths.get(filename));
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, content, 'utf8');
+    });
+
+    const lines = [];
+    untranslatable.forEach(row => lines.push(`skipped      ${row.id}  ${row.reason}`));
+    changed.forEach(row => lines.push(`changed      ${row.id}  ${row.exportedText} → ${row.text}`));
+    untranslated.forEach(row => lines.push(`untranslated ${row.id}  ${row.text}`));
+    unknown.forEach(entry => lines.push(`unknown      ${entry.id}`));
+    mismatched.missing.forEach(id => lines.push(`id-lost      ${id}`));
+    mismatched.added.forEach(id => lines.push(`id-added     ${id}`));
+    lines.push(`書き出し先: ${outDir}`);
+    lines.push(`翻訳済み: ${translated.length} | 未翻訳: ${untranslated.length} | 置き換え不可: ${untranslatable.length} | 原文変更: ${changed.length} | 不明なID: ${unknown.length}`);
+    return lines.join('\n');
+}
+
+/**
+ * 使用タグの分類別集計と未定義タグの箇所をテキストとして整形
+ */
+function formatTags(flowchart, registry) {
+    const macroNames = new Set();
+    const nodes = [];
+    flowchart.parsedFiles.forEach(data => {
+        data.macros.forEach(macro => macroNames.add(macro.name));
+        nodes.push(...data.nodes);
+    });
+
+    const lines = [];
+    registry.summarize(nodes, macroNames).forEach(group => {
+        const tags = group.tags.map(tag => `${tag.name}${tag.plugin ? '*' : ''}(${tag.count})`).join(' ');
+        lines.push(`${group.label}${padding(group.label, 18)}${tags}`);
+    });
+
+    let unknownCount = 0;
+    flowchart.parsedFiles.forEach((data, filename) => {
+        data.nodes.forEach(node => {
+            if (node.type !== 'tag' || macroNames.has(node.name) || registry.has(node.name)) return;
+            lines.push(`unknown ${filename}:${node.line}  [${node.name}]`);
+            unknownCount++;
+        });
+    });
+    lines.push(`未定義タグ: ${unknownCount}件（* はプロジェクト側の定義）`);
+    return lines.join('\n');
+}
+
+/**
+ * プロジェクトを解析して出力を生成
+ */
+async function run(options) {
+    const { rootHandle, scenarioHandle, dataHandle } = await openProject(options.projectDir);
+    const scenarioDir = scenarioHandle.path || null; // .zip / .asar / .tpm 内のフォルダはパスを持たない
+
+    const ksFiles = await collectKsFiles(scenarioHandle, '', []);
+    if (ksFiles.length === 0) {
+        throw new Error(`ksファイルが見つかりません: ${options.projectDir}`);
+    }
+
+    const tagRegistry = new TagRegistry();
+    const parser = new TyranoParser(tagRegistry);
+    const flowchart = new FlowchartGenerator(parser);
+    const timeline = new TimelineProcessor(parser);
+
+    // プロジェクト側の定義ファイルは scenario / data / プロジェクト直下の順に探す
+    const projectHandles = [scenarioHandle, dataHandle, rootHandle].filter(handle => handle);
+    const pluginTags = await readJsonFile(projectHandles, tagRegistry.pluginFileName);
+    if (pluginTags) {
+        const { ignored } = tagRegistry.addPluginTags(pluginTags);
+        if (ignored.length > 0) {
+            console.error(`${tagRegistry.pluginFileName} のタグ定義を無視しました: ${ignored.join(', ')}`);
+        }
+    }
+    flowchart.setDisplayMode(options.mode);
+    flowchart.setStorySummary(await readJsonFile(projectHandles, 'story-summary.json'));
+
+    // 各ファイルを解析（ブラウザ版と同様にファイル名をキーにする）
+    const contents = new Map();
+    const relativePaths = new Map();
+    for (const { handle, relativePath } of ksFiles) {
+        const filename = handle.name;
+        const content = await (await handle.getFile()).text();
+        contents.set(filename, content);
+        relativePaths.set(filename, relativePath);
+        flowchart.addParsedFile(filename, parser.parse(content, filename));
+    }
+    parser.applyMacros(flowchart.parsedFiles);
+
+    // ストーリーファイルを時系列順にタイムラインへ流し込む
+    flowchart.getSortedStoryFiles().forEach(({ filename }) => {
+        timeline.processFile(contents.get(filename), filename);
+    });
+    timeline.finalize();
+
+    // 存在しない遷移先はフローチャート上でも区別する
+    const diagnosticsAnalyzer = new ScenarioDiagnostics(parser);
+    const diagnostics = diagnosticsAnalyzer.analyze(flowchart.parsedFiles);
+    flowchart.setDiagnostics(diagnostics);
+
+    const reachabilityAnalyzer = new ReachabilityAnalyzer();
+    const reachability = reachabilityAnalyzer.analyze(flowchart, reachabilityAnalyzer.parseEntryPoints(options.entry));
+    flowchart.setReachability(reachability);
+
+    const readingEstimator = new ReadingTimeEstimator(parser);
+    readingEstimator.setSettings(options.readingSettings);
+    const readingTimes = readingEstimator.analyze(flowchart);
+    flowchart.setReadingTimes(readingTimes);
+
+    const sections = [];
+    if (options.mermaid) {
+        sections.push(flowchart.generateMermaidCode().trimEnd());
+    }
+    if (options.stats) {
+        sections.push(formatStats(flowchart, timeline));
+    }
+    if (options.missing) {
+        sections.push(await formatMissingAssets(flowchart, dataHandle));
+    }
+    if (options.diagnostics) {
+        sections.push(formatDiagnostics(diagnosticsAnalyzer, diagnostics));
+    }
+    if (options.unreachable) {
+        sections.push(formatUnreachable(reachability));
+    }
+    if (options.routes) {
+        const entries = reachabilityAnalyzer.resolveEntryPoints(flowchart, reachabilityAnalyzer.parseEntryPoints(options.entry));
+        sections.push(formatRoutes(flowchart, entries, options.csv));
+    }
+    if (options.variables) {
+        sections.push(formatVariables(flowchart));
+    }
+    if (options.tags) {
+        sections.push(formatTags(flowchart, tagRegistry));
+    }
+    if (options.voice) {
+        sections.push(await formatVoice(flowchart, dataHandle, options.csv));
+    }
+    if (options.reading) {
+        const entries = reachabilityAnalyzer.resolveEntryPoints(flowchart, reachabilityAnalyzer.parseEntryPoints(options.entry));
+        sections.push(formatReadingTime(flowchart, readingEstimator, readingTimes, entries, options.csv));
+    }
+    if (options.characters) {
+        sections.push(formatCharacters(flowchart, timeline, options.csv));
+    }
+    if (options.script) {
+        sections.push(formatScript(flowchart, options));
+    }
+    if (options.translate) {
+        sections.push(importTranslation(flowchart, contents, relativePaths, scenarioDir, options));
+    }
+    if (options.unused) {
+        sections.push(await formatUnusedAssets(flowchart, dataHandle, options.csv));
+    }
+    if (options.json) {
+        const files = {};
+        flowchart.parsedFiles.forEach((data, filename) => {
+            files[filename] = data;
+        });
+        sections.push(JSON.stringify({
+            project: path.resolve(options.projectDir),
+            scenarioDir: scenarioDir ? path.resolve(scenarioDir) : scenarioHandle.name,
+            files: files,
+            timeline: timeline.getStats()
+        }, null, 2));
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help || !options.projectDir) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1]
+            .split('\n').map(line => line.replace(/^ \* ?/, '')).join('\n').trim();
+        process.stdout.write(usage + '\n');
+        process.exit(options.help ? 0 : 2);
+    }
+
+    if (!fs.existsSync(options.projectDir)) {
+        console.error(`フォルダが見つかりません: ${options.projectDir}`);
+        process.exit(1);
+    }
+
+    try {
+        const output = await run(options);
+        if (options.out) {
+            fs.writeFileSync(options.out, output, 'utf8');
+        } else {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -4,12 +4,55 @@
 
 class TyranoFlowApp {
     constructor() {
-        this.parser = new TyranoParser();
-        this.flowchart = new FlowchartGenerator();
-        this.timeline = new TimelineProcessor(); // 新しいタイムラインプロセッサ
+        this.tagRegistry = new TagRegistry(); // タグ定義（パーサー・タイムライン・詳細パネルで共有）
+        this.parser = new TyranoParser(this.tagRegistry);
+        this.flowchart = new FlowchartGenerator(this.parser);
+        this.timeline = new TimelineProcessor(this.parser); // 新しいタイムラインプロセッサ
+        this.maxCallDepth = 10; // ルートのタイムラインで辿る [call] の入れ子の上限
+        this.assets = new AssetAnalyzer();
+        this.missingAssets = []; // 不足素材の参照
+        this.diagnosticsAnalyzer = new ScenarioDiagnostics(this.parser);
+        this.diagnostics = []; // 診断結果
+        this.diagnosticFilter = new Set(['error', 'warning', 'info']); // 表示する重要度
+        this.reachabilityAnalyzer = new ReachabilityAnalyzer();
+        this.entryPoints = []; // 到達可能性の開始ファイル（空なら既定値）
+        this.reachability = null; // 到達可能性の解析結果
+        this.routeEnumerator = new RouteEnumerator();
+        this.routeResult = null; // ルート列挙の結果
+        this.selectedRouteId = null; // 強調表示中のルート
+        this.choiceTree = new ChoiceTreeBuilder();
+        this.variableAnalyzer = new VariableAnalyzer();
+        this.variableFilter = 'all'; // 'all' | 'issues'
+        this.voiceAnalyzer = new VoiceAnalyzer();
+        this.characterAnalyzer = new CharacterAnalyzer();
+        this.characterSort = { key: 'lines', ascending: false }; // キャラクター表の並び順
+        this.characterMetric = 'lines'; // 棒グラフの指標
+        this.characterStats = []; // キャラクター別の集計結果
+        this.readingEstimator = new ReadingTimeEstimator(this.parser);
+        this.readingTimes = new Map(); // ファイル名 -> 推定時間
+        this.scriptExporter = new ScriptExporter();
+        this.translationImporter = new TranslationImporter(this.scriptExporter);
+        this.highlighter = new SyntaxHighlighter(this.parser);
         this.currentProjectPath = null;
+        this.projectStore = new RecentProjectStore(); // 最近開いたプロジェクト
+        this.projectSource = new ProjectSource(); // フォルダ選択APIがないブラウザ向けの読み込み元（ファイル一覧・ZIP）
+        this.currentProjectId = null; // 表示状態の保存先（最近のプロジェクトの記録）
+        this.viewSaveTimer = null; // 表示状態の保存を間引くタイマー
         this.fileHandles = new Map();
+        this.filePaths = new Map(); // ファイル名 -> scenarioフォルダからの相対パス
         this.fileContents = new Map(); // ファイル内容のキャッシュ
+        this.fileStamps = new Map(); // ファイル名 -> 最終更新日時（変更の検出用）
+        this.detailFilename = null; // ファイル詳細に表示中のファイル
+        this.sourceFilename = null; // ソース表示中のファイル
+        this.sourceLine = null; // ソース表示で強調している行
+
+        // フォルダの監視（FileSystemObserver が使えなければ最終更新日時をポーリング）
+        this.scenarioHandle = null;
+        this.watchTimer = null;
+        this.watchObserver = null;
+        this.watchInterval = 2000; // ポーリング間隔（ミリ秒）
+        this.syncing = false; // 読み直し中（監視の通知が重なっても1回ずつ処理する）
+        this.refreshPending = false; // 読み直し中に押された更新（終わってから行う）
 
         // プロジェクトルートとdataフォルダのハンドル
         this.projectRootHandle = null;
@@ -19,6 +62,7 @@ class TyranoFlowApp {
         this.resourceHandles = {
             bgimage: null,
             fgimage: null,
+            image: null,
             video: null,
             bgm: null,
             sound: null
@@ -39,6 +83,15 @@ class TyranoFlowApp {
         this.trackLabelWidth = 120; // トラックラベルの幅
         this.selectedTrackId = null; // 選択中のトラックID
         this.selectedTrackType = null; // 選択中のトラックタイプ
+        this.timelineUnit = 'p'; // 'p' | 'seconds'（ルーラーとクリップ配置の単位）
+        this.pixelsPerSecond = 10; // 秒表示の基本スケール
+        this.timeScale = null; // [p] -> 秒の目盛り（ReadingTimeEstimator.createTimeScale() の結果）
+        this.charaImages = new Map(); // キャラ名 -> { storage, faces }（ステージプレビュー用）
+        this.previewRequestId = 0; // 最後に要求したプレビュー（古い描画結果を捨てる）
+        this.timelineRouteId = null; // タイムラインで辿るルート（null なら全ストーリーファイルをファイル順）
+        this.compareRouteId = null; // 並べて比較するルート
+        this.compareTimeline = null; // 比較ルートのタイムライン
+        this.compareTimeScale = null; // 比較ルートの [p] -> 秒の目盛り
 
         this.init();
     }
@@ -56,38 +109,99 @@ class TyranoFlowApp {
         this.setupTimelineControls();
         this.setupPanelToggle();
         this.setupDisplayModeToggle();
+        this.setupSourcePane();
+        this.setupRecentProjects();
+    }
+
+    /**
+     * ソース表示のセットアップ（閉じるボタンとEscキー）
+     */
+    setupSourcePane() {
+        const closeBtn = document.getElementById('source-pane-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeSource());
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || this.sourceFilename === null) return;
+            // モーダルが開いている場合はモーダル側で閉じる
+            if (document.querySelector('.modal.active')) return;
+            this.closeSource();
+        });
+    }
+
+    /**
+     * .ks ファイルのソースを行番号付きで表示し、指定行へスクロールして強調する（読み取り専用）
+     * @param {string} filename - ファイル名
+     * @param {number|null} line - 強調する行（1始まり、省略時はファイルの先頭）
+     */
+    async showSource(filename, line = null) {
+        const pane = document.getElementById('source-pane');
+        const title = document.getElementById('source-pane-title');
+        const body = document.getElementById('source-pane-body');
+        const handle = this.fileHandles.get(filename);
+        if (!pane || !body || !handle) return;
+
+        let content;
+        try {
+            content = await (await handle.getFile()).text();
+        } catch (error) {
+            console.error('Source read error:', error);
+            this.showError(`${filename} を読み込めませんでした`);
+            return;
+        }
+
+        this.sourceFilename = filename;
+        this.sourceLine = line;
+
+        const lines = this.highlighter.highlightScenario(content);
+        let html = '<div class="source-code">';
+        lines.forEach((code, index) => {
+            const number = index + 1;
+            const current = number === line ? ' current' : '';
+            html += `<div class="source-line${current}" data-line="${number}">`;
+            html += `<span class="source-line-number">${number}</span>`;
+            html += `<span class="source-line-text">${code || ' '}</span>`;
+            html += '</div>';
+        });
+        html += '</div>';
+        body.innerHTML = html;
+
+        if (title) {
+            const path = this.filePaths.get(filename) || filename;
+            title.textContent = line ? `${path}（行: ${line}）` : path;
+        }
+        pane.classList.add('active');
+
+        const currentLine = body.querySelector('.source-line.current');
+        if (currentLine) {
+            currentLine.scrollIntoView({ block: 'center' });
+        } else {
+            body.scrollTop = 0;
+        }
+    }
+
+    /**
+     * ソース表示を閉じる
+     */
+    closeSource() {
+        const pane = document.getElementById('source-pane');
+        if (pane) pane.classList.remove('active');
+        this.sourceFilename = null;
+        this.sourceLine = null;
     }
 
     /**
      * 表示モード切り替え機能のセットアップ
      */
     setupDisplayModeToggle() {
-        const modeSimple = document.getElementById('mode-simple');
-        const modeDetail = document.getElementById('mode-detail');
-
-        if (modeSimple && modeDetail) {
-            modeSimple.addEventListener('click', async () => {
-                if (this.flowchart.displayMode === 'simple') return;
-
-                modeSimple.classList.add('active');
-                modeDetail.classList.remove('active');
-                this.flowchart.setDisplayMode('simple');
-
-                // Mermaid設定を簡易表示用に最適化
-                mermaid.initialize({
-                    startOnLoad: false,
-                    theme: 'dark',
-                    flowchart: {
-                        useMaxWidth: false,
-                        htmlLabels: true,
-                        curve: 'basis',
-                        nodeSpacing: 300,
-                        rankSpacing: 200,
-                        padding: 20,
-                        diagramPadding: 100,
-                        arrowMarkerAbsolute: true
-                    }
-                });
+        this.getDisplayModes().forEach(({ mode, buttonId }) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+
+            button.addEventListener('click', async () => {
+                if (this.flowchart.displayMode === mode) return;
+                this.applyDisplayMode(mode);
 
                 // フローチャートを再描画
                 if (this.flowchart.parsedFiles.size > 0) {
@@ -96,66 +210,94 @@ class TyranoFlowApp {
                         this.panZoom.attachToSvg();
                     }
                 }
+                this.scheduleViewSave();
             });
+        });
+    }
 
-            modeDetail.addEventListener('click', async () => {
-                if (this.flowchart.displayMode === 'detail') return;
-
-                modeDetail.classList.add('active');
-                modeSimple.classList.remove('active');
-                this.flowchart.setDisplayMode('detail');
-
-                // Mermaid設定を詳細表示用に調整
-                mermaid.initialize({
-                    startOnLoad: false,
-                    theme: 'dark',
-                    flowchart: {
-                        useMaxWidth: false,
-                        htmlLabels: true,
-                        curve: 'basis',
-                        nodeSpacing: 300,
-                        rankSpacing: 200,
-                        padding: 40,
-                        diagramPadding: 100,
-                        arrowMarkerAbsolute: true
-                    }
-                });
+    /**
+     * 表示モードごとのボタンとノードの余白
+     */
+    getDisplayModes() {
+        return [
+            { mode: 'simple', buttonId: 'mode-simple', padding: 20 },
+            { mode: 'detail', buttonId: 'mode-detail', padding: 40 },
+            { mode: 'label', buttonId: 'mode-label', padding: 20 }
+        ];
+    }
 
-                // フローチャートを再描画
-                if (this.flowchart.parsedFiles.size > 0) {
-                    await this.flowchart.render('flowchart-container');
-                    if (this.panZoom) {
-                        this.panZoom.attachToSvg();
-                    }
-                }
-            });
-        }
+    /**
+     * 表示モードを設定し、ボタンの状態とMermaid設定を合わせる（再描画は呼び出し側で行う）
+     */
+    applyDisplayMode(mode) {
+        const modes = this.getDisplayModes();
+        const current = modes.find(m => m.mode === mode);
+        if (!current) return;
+
+        modes.forEach(({ buttonId }) => {
+            const button = document.getElementById(buttonId);
+            if (button) button.classList.toggle('active', buttonId === current.buttonId);
+        });
+        this.flowchart.setDisplayMode(mode);
+
+        // Mermaid設定を表示モードに合わせて調整
+        mermaid.initialize({
+            startOnLoad: false,
+            theme: 'dark',
+            flowchart: {
+                useMaxWidth: false,
+                htmlLabels: true,
+                curve: 'basis',
+                nodeSpacing: mode === 'label' ? 80 : 300,
+                rankSpacing: mode === 'label' ? 100 : 200,
+                padding: current.padding,
+                diagramPadding: 100,
+                arrowMarkerAbsolute: true
+            }
+        });
     }
 
     /**
      * パネル折りたたみ機能のセットアップ
      */
     setupPanelToggle() {
-        const leftPanel = document.getElementById('left-panel');
-        const rightPanel = document.getElementById('right-panel');
-        const leftToggle = document.getElementById('left-panel-toggle');
-        const rightToggle = document.getElementById('right-panel-toggle');
-
-        if (leftPanel && leftToggle) {
-            leftToggle.addEventListener('click', () => {
-                leftPanel.classList.toggle('collapsed');
-                leftToggle.textContent = leftPanel.classList.contains('collapsed') ? '▶' : '◀';
+        ['left', 'right'].forEach(side => {
+            const panel = document.getElementById(`${side}-panel`);
+            const toggle = document.getElementById(`${side}-panel-toggle`);
+            if (!panel || !toggle) return;
+
+            toggle.addEventListener('click', () => {
+                this.setPanelCollapsed(side, !panel.classList.contains('collapsed'));
+                this.scheduleViewSave();
             });
-        }
+        });
+    }
 
-        if (rightPanel && rightToggle) {
-            rightToggle.addEventListener('click', () => {
-                rightPanel.classList.toggle('collapsed');
-                rightToggle.textContent = rightPanel.classList.contains('collapsed') ? '◀' : '▶';
-            });
+    /**
+     * パネルの折りたたみを設定
+     * @param {string} side - 'left' | 'right'
+     */
+    setPanelCollapsed(side, collapsed) {
+        const panel = document.getElementById(`${side}-panel`);
+        const toggle = document.getElementById(`${side}-panel-toggle`);
+        if (!panel || !toggle) return;
+
+        panel.classList.toggle('collapsed', collapsed);
+        if (side === 'left') {
+            toggle.textContent = collapsed ? '▶' : '◀';
+        } else {
+            toggle.textContent = collapsed ? '◀' : '▶';
         }
     }
 
+    /**
+     * パネルが折りたたまれているか
+     */
+    isPanelCollapsed(side) {
+        const panel = document.getElementById(`${side}-panel`);
+        return !!panel && panel.classList.contains('collapsed');
+    }
+
     /**
      * パン・ズームのセットアップ
      */
@@ -163,40 +305,159 @@ class TyranoFlowApp {
         const container = document.getElementById('flowchart-container');
         if (container) {
             this.panZoom = new PanZoomController(container);
+            this.panZoom.onChange = () => this.scheduleViewSave();
+        }
+    }
+
+    /**
+     * 最近のプロジェクトのセットアップ
+     * 一覧をドロップゾーンに表示し、前回のプロジェクトに読み取り権限が残っていれば自動で開く
+     */
+    async setupRecentProjects() {
+        if (!this.projectStore.isAvailable()) return;
+
+        try {
+            const projects = await this.renderRecentProjects();
+            const last = projects[0];
+            if (last && this.fileHandles.size === 0 && await this.projectStore.ensurePermission(last.handle, false)) {
+                await this.openRecentProject(last);
+            }
+        } catch (error) {
+            console.warn('Recent projects unavailable:', error);
+        }
+    }
+
+    /**
+     * 最近のプロジェクトの一覧をドロップゾーンに表示
+     * @returns {Array<Object>} 最近開いた順のプロジェクト
+     */
+    async renderRecentProjects() {
+        const projects = await this.projectStore.list();
+        const container = document.getElementById('recent-projects');
+        if (!container) return projects;
+
+        if (projects.length === 0) {
+            container.innerHTML = '';
+            return projects;
+        }
+
+        let html = '<div class="recent-projects-title">最近のプロジェクト</div><ul class="recent-project-list">';
+        projects.forEach(project => {
+            const opened = new Date(project.lastOpened).toLocaleString();
+            html += `<li class="recent-project" data-project-id="${project.id}" title="クリックで開く（フォルダへのアクセスの許可を求めます）">`;
+            html += `<span class="recent-project-name">${this.escapeHtml(project.name)}</span>`;
+            html += `<span class="recent-project-meta">ストーリー: ${project.storyCount}個 ・ ${this.escapeHtml(opened)}</span>`;
+            html += '<button class="recent-project-remove" title="一覧から削除">×</button>';
+            html += '</li>';
+        });
+        html += '</ul>';
+        container.innerHTML = html;
+
+        container.querySelectorAll('.recent-project').forEach(item => {
+            const project = projects.find(p => p.id === parseInt(item.dataset.projectId));
+            item.addEventListener('click', () => this.openRecentProject(project, true));
+            item.querySelector('.recent-project-remove').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.projectStore.remove(project.id);
+                await this.renderRecentProjects();
+            });
+        });
+        return projects;
+    }
+
+    /**
+     * 最近のプロジェクトを開き、保存した表示状態を戻す
+     * @param {boolean} prompt - 権限がなければ許可を求める（クリック時のみ求められる）
+     */
+    async openRecentProject(project, prompt = false) {
+        try {
+            if (!await this.projectStore.ensurePermission(project.handle, prompt)) {
+                this.showError('フォルダへのアクセスが許可されませんでした');
+                return;
+            }
+            await this.loadFromDirectoryHandle(project.handle, project.view);
+        } catch (error) {
+            // フォルダが移動・削除された場合など
+            console.error('Recent project error:', error);
+            this.showError(`${project.name} を開けませんでした: ${error.message}`);
+        }
+    }
+
+    /**
+     * 読み込んだプロジェクトを最近のプロジェクトに記録
+     */
+    async rememberProject(dirHandle, fileCount, storyCount) {
+        // ファイル一覧・ZIPから作ったフォルダは保存しても開き直せない
+        if (!this.projectStore.isAvailable() || this.projectSource.isMemoryHandle(dirHandle)) return;
+
+        try {
+            const project = await this.projectStore.save(dirHandle, { fileCount, storyCount });
+            this.currentProjectId = project.id;
+            await this.renderRecentProjects();
+        } catch (error) {
+            console.warn('Failed to remember project:', error);
         }
     }
 
+    /**
+     * 現在の表示状態（表示モード・パネルの折りたたみ・パン・ズーム）
+     */
+    getViewState() {
+        return {
+            displayMode: this.flowchart.displayMode,
+            leftCollapsed: this.isPanelCollapsed('left'),
+            rightCollapsed: this.isPanelCollapsed('right'),
+            panZoom: this.panZoom
+                ? { scale: this.panZoom.scale, translateX: this.panZoom.translateX, translateY: this.panZoom.translateY }
+                : null
+        };
+    }
+
+    /**
+     * 表示状態を保存（操作が落ち着いてからまとめて保存する）
+     */
+    scheduleViewSave() {
+        if (this.currentProjectId === null) return;
+
+        clearTimeout(this.viewSaveTimer);
+        const projectId = this.currentProjectId;
+        this.viewSaveTimer = setTimeout(() => {
+            this.projectStore.saveView(projectId, this.getViewState())
+                .catch(error => console.warn('Failed to save view state:', error));
+        }, 500);
+    }
+
     /**
      * 表示切替タブのセットアップ
      */
     setupViewTabs() {
-        const tabFlowchart = document.getElementById('tab-flowchart');
-        const tabTimeline = document.getElementById('tab-timeline');
-        const dropZone = document.getElementById('drop-zone');
-        const timelineView = document.getElementById('timeline-view');
         const leftPanel = document.querySelector('.left-panel');
 
-        if (tabFlowchart && tabTimeline) {
-            tabFlowchart.addEventListener('click', () => {
-                tabFlowchart.classList.add('active');
-                tabTimeline.classList.remove('active');
-                dropZone.classList.add('active');
-                timelineView.classList.remove('active');
-                // 左パネルを表示
-                if (leftPanel) leftPanel.style.display = '';
-            });
-
-            tabTimeline.addEventListener('click', () => {
-                tabTimeline.classList.add('active');
-                tabFlowchart.classList.remove('active');
-                timelineView.classList.add('active');
-                dropZone.classList.remove('active');
-                // 左パネルを非表示
-                if (leftPanel) leftPanel.style.display = 'none';
-                // タイムラインをビルドして描画
-                this.buildAndRenderTimeline();
+        // タブ -> ビュー（存在しないタブは無視する）
+        const views = [
+            { tab: 'tab-flowchart', content: 'drop-zone', showLeftPanel: true },
+            { tab: 'tab-choices', content: 'choice-view', showLeftPanel: true, onShow: () => this.renderChoiceTree() },
+            { tab: 'tab-variables', content: 'variable-view', showLeftPanel: true, onShow: () => this.renderVariables() },
+            { tab: 'tab-characters', content: 'character-view', showLeftPanel: true, onShow: () => this.renderCharacters() },
+            { tab: 'tab-timeline', content: 'timeline-view', showLeftPanel: false, onShow: () => this.buildAndRenderTimeline() }
+        ]
+            .map(view => ({
+                ...view,
+                tabEl: document.getElementById(view.tab),
+                contentEl: document.getElementById(view.content)
+            }))
+            .filter(view => view.tabEl && view.contentEl);
+
+        views.forEach(view => {
+            view.tabEl.addEventListener('click', () => {
+                views.forEach(other => {
+                    other.tabEl.classList.toggle('active', other === view);
+                    other.contentEl.classList.toggle('active', other === view);
+                });
+                if (leftPanel) leftPanel.style.display = view.showLeftPanel ? '' : 'none';
+                if (view.onShow) view.onShow();
             });
-        }
+        });
     }
 
     /**
@@ -219,6 +480,33 @@ class TyranoFlowApp {
             });
         }
 
+        // タイムラインで辿るルートと比較するルート
+        const timelineRoute = document.getElementById('timeline-route');
+        if (timelineRoute) {
+            timelineRoute.addEventListener('change', () => {
+                this.timelineRouteId = timelineRoute.value ? parseInt(timelineRoute.value) : null;
+                this.buildAndRenderTimeline();
+            });
+        }
+
+        const compareRoute = document.getElementById('timeline-compare-route');
+        if (compareRoute) {
+            compareRoute.addEventListener('change', () => {
+                this.compareRouteId = compareRoute.value ? parseInt(compareRoute.value) : null;
+                this.buildAndRenderTimeline();
+            });
+        }
+
+        // ルーラーの単位（[p] / 秒）
+        const timelineUnit = document.getElementById('timeline-unit');
+        if (timelineUnit) {
+            timelineUnit.addEventListener('change', () => {
+                this.timelineUnit = timelineUnit.value;
+                this.renderTimelineTracks();
+                this.setPlayheadTime(this.playheadTime);
+            });
+        }
+
         // 再生ヘッドのドラッグ
         const playhead = document.getElementById('playhead');
         const timelinePanel = document.getElementById('timeline-panel');
@@ -247,7 +535,7 @@ class TyranoFlowApp {
                 const visualX = e.clientX - panelRect.left;
                 const pixelX = visualX - this.trackLabelWidth + scrollLeft;
                 const time = this.pixelToTime(pixelX);
-                this.setPlayheadTime(Math.max(0, Math.min(time, this.timeline.totalTime)));
+                this.setPlayheadTime(Math.max(0, Math.min(time, this.getTimelineEndTime())));
             });
 
             document.addEventListener('mouseup', () => {
@@ -274,7 +562,7 @@ class TyranoFlowApp {
                 const visualX = e.clientX - panelRect.left;
                 const pixelX = visualX - this.trackLabelWidth + scrollLeft;
                 const time = this.pixelToTime(pixelX);
-                this.setPlayheadTime(Math.max(0, Math.min(time, this.timeline.totalTime)));
+                this.setPlayheadTime(Math.max(0, Math.min(time, this.getTimelineEndTime())));
             });
         }
 
@@ -302,7 +590,7 @@ class TyranoFlowApp {
                 const visualX = e.clientX - panelRect.left;
                 const pixelX = visualX - this.trackLabelWidth + scrollLeft;
                 const time = this.pixelToTime(pixelX);
-                this.setPlayheadTime(Math.max(0, Math.min(time, this.timeline.totalTime)));
+                this.setPlayheadTime(Math.max(0, Math.min(time, this.getTimelineEndTime())));
             });
         }
 
@@ -339,7 +627,7 @@ class TyranoFlowApp {
                     break;
                 case 'ArrowRight':
                     e.preventDefault();
-                    this.setPlayheadTime(Math.min(this.timeline.totalTime, this.playheadTime + 1));
+                    this.setPlayheadTime(Math.min(this.getTimelineEndTime(), this.playheadTime + 1));
                     break;
             }
         });
@@ -351,15 +639,14 @@ class TyranoFlowApp {
     navigateToClipEdge(direction) {
         if (!this.selectedTrackId) return;
 
-        const trackList = this.timeline.getTrackList();
-        const track = trackList.find(t => t.id === this.selectedTrackId);
+        const track = this.getTimelineTrackList().find(t => t.id === this.selectedTrackId);
         if (!track || track.events.length === 0) return;
 
-        // 全てのクリップ境界（開始・終了時間）を収集してソート
+        // 全てのクリップ境界（開始・終了時間）を収集してソート（比較トラックは主タイムラインの時間に直す）
         const edges = new Set();
         track.events.forEach(event => {
-            edges.add(event.startTime);
-            edges.add(event.endTime);
+            edges.add(this.toPrimaryTime(event.startTime, track.scale));
+            edges.add(this.toPrimaryTime(event.endTime, track.scale));
         });
         const sortedEdges = Array.from(edges).sort((a, b) => a - b);
 
@@ -393,20 +680,83 @@ class TyranoFlowApp {
         this.renderTimelineTracks();
     }
 
+    /**
+     * 秒表示かどうか（目盛りがまだなければ [p] 表示）
+     */
+    isSecondsAxis() {
+        return this.timelineUnit === 'seconds' && this.timeScale !== null;
+    }
+
     /**
      * 時間をピクセルに変換
+     * 秒表示では推定秒数に比例した位置にする（テキストの長いクリックほど幅が広い）
+     * @param {Object} scale - 秒の目盛り（比較ルートのトラックは this.compareTimeScale）
      */
-    timeToPixel(time) {
+    timeToPixel(time, scale = this.timeScale) {
+        if (this.isSecondsAxis()) {
+            return this.readingEstimator.toSeconds(scale, time) * this.pixelsPerSecond * (this.timelineZoom / 100);
+        }
         return time * this.pixelsPerUnit * (this.timelineZoom / 100);
     }
 
     /**
      * ピクセルを時間に変換
      */
-    pixelToTime(pixel) {
+    pixelToTime(pixel, scale = this.timeScale) {
+        if (this.isSecondsAxis()) {
+            return this.readingEstimator.toTime(scale, pixel / (this.pixelsPerSecond * (this.timelineZoom / 100)));
+        }
         return pixel / (this.pixelsPerUnit * (this.timelineZoom / 100));
     }
 
+    /**
+     * 比較ルートの時間を、同じ位置にある主タイムラインの時間に変換
+     * （秒表示では推定秒数、[p] 表示ではクリック数で揃える。主タイムラインの終端より後は終端になる）
+     */
+    toPrimaryTime(time, scale = this.timeScale) {
+        if (scale === this.timeScale) return time;
+        return this.pixelToTime(this.timeToPixel(time, scale));
+    }
+
+    /**
+     * 主タイムラインの時間を比較ルートの時間に変換
+     */
+    toCompareTime(time) {
+        return this.pixelToTime(this.timeToPixel(time), this.compareTimeScale);
+    }
+
+    /**
+     * 再生ヘッドを動かせる終端（比較中は長い方のルートの終端）
+     */
+    getTimelineEndTime() {
+        if (!this.compareTimeline) return this.timeline.totalTime;
+        return Math.max(this.timeline.totalTime, this.toPrimaryTime(this.compareTimeline.totalTime, this.compareTimeScale));
+    }
+
+    /**
+     * 描画するトラックの一覧（比較ルートのトラックは id に compare_ を付けて後ろに並べる）
+     */
+    getTimelineTrackList() {
+        const tracks = this.timeline.getTrackList().map(track => ({ ...track, scale: this.timeScale }));
+        if (!this.compareTimeline) return tracks;
+        return tracks.concat(this.compareTimeline.getTrackList().map(track => ({
+            ...track,
+            id: `compare_${track.id}`,
+            scale: this.compareTimeScale,
+            compare: true
+        })));
+    }
+
+    /**
+     * 時間の表記（[p] 表示は "[3p]"、秒表示は "1:05"）
+     */
+    formatTimelineTime(time) {
+        if (this.isSecondsAxis()) {
+            return this.readingEstimator.formatClock(this.readingEstimator.toSeconds(this.timeScale, time));
+        }
+        return `[${Math.floor(time)}p]`;
+    }
+
     /**
      * 再生ヘッドの時間位置を設定
      */
@@ -420,7 +770,7 @@ class TyranoFlowApp {
         // プレビュー時間表示を更新
         const previewTime = document.getElementById('preview-time');
         if (previewTime) {
-            previewTime.textContent = `[${Math.floor(time)}p]`;
+            previewTime.textContent = this.formatTimelineTime(time);
         }
     }
 
@@ -496,155 +846,152 @@ class TyranoFlowApp {
     }
 
     /**
-     * 指定時間のプレビューを更新
+     * 指定時間のプレビューを更新（その時点の背景・画像・キャラ・動画・メッセージを重ねて表示）
      */
-    updatePreviewAtTime(time) {
-        const events = this.timeline.getEventsAtTime(time);
-        if (events.length === 0) {
+    async updatePreviewAtTime(time) {
+        const requestId = ++this.previewRequestId;
+        const getSource = stage => stage.text || stage.video || stage.charas[stage.charas.length - 1] ||
+            stage.images[stage.images.length - 1] || stage.bg || stage.bgm || stage.se[0];
+        const stage = this.timeline.getStageAtTime(time);
+        const compareStage = this.compareTimeline ? this.compareTimeline.getStageAtTime(this.toCompareTime(time)) : null;
+        const source = getSource(stage) || (compareStage && getSource(compareStage));
+        if (!source) {
             this.clearPreview();
             return;
         }
 
-        let targetEvent = null;
-
-        // 選択中のトラックがある場合、そのトラックのイベントを優先
-        if (this.selectedTrackId) {
-            const trackList = this.timeline.getTrackList();
-            const selectedTrack = trackList.find(t => t.id === this.selectedTrackId);
-            if (selectedTrack) {
-                // 選択トラックのイベントから現在時間に該当するものを探す
-                targetEvent = selectedTrack.events.find(e =>
-                    e.startTime <= time && e.endTime > time
-                );
-            }
-        }
-
-        // 選択トラックにイベントがない場合はフォールバック
-        if (!targetEvent) {
-            // 優先順位: テキスト > キャラ > 画像 > 背景 > BGM > SE
-            targetEvent = events.find(e => e.type === 'text') ||
-                          events.find(e => e.type === 'chara') ||
-                          events.find(e => e.type === 'image') ||
-                          events.find(e => e.type === 'bg') ||
-                          events.find(e => e.type === 'bgm') ||
-                          events.find(e => e.type === 'se') ||
-                          events[0];
-        }
+        let html = await this.createStageHtml(stage);
 
-        if (targetEvent) {
-            this.showEventPreview(targetEvent);
-        } else {
-            this.clearPreview();
+        // 比較中は同じ位置の比較ルートのステージを横に並べる
+        if (compareStage) {
+            const primaryLabel = this.timelineRouteId !== null ? `ルート ${this.timelineRouteId}` : '全ストーリー';
+            html = '<div class="stage-compare">' +
+                `<div class="stage-compare-item"><div class="stage-compare-label">${primaryLabel}</div>${html}</div>` +
+                `<div class="stage-compare-item"><div class="stage-compare-label">比較: ルート ${this.compareRouteId}</div>${await this.createStageHtml(compareStage)}</div>` +
+                '</div>';
         }
-    }
 
-    /**
-     * プレビューをクリア
-     */
-    clearPreview() {
-        const placeholder = document.getElementById('preview-placeholder');
-        const content = document.getElementById('preview-content');
-        if (placeholder) placeholder.style.display = 'flex';
-        if (content) content.style.display = 'none';
-    }
+        // 画像の読み込み中に再生ヘッドが動いた場合は新しい位置の描画に任せる
+        if (requestId !== this.previewRequestId) return;
 
-    /**
-     * イベントのプレビューを表示
-     */
-    async showEventPreview(event) {
         const placeholder = document.getElementById('preview-placeholder');
         const content = document.getElementById('preview-content');
         const filenameEl = document.getElementById('preview-filename');
         const previewBody = document.getElementById('preview-body');
-
         if (!content || !filenameEl || !previewBody) return;
 
-        placeholder.style.display = 'none';
+        if (placeholder) placeholder.style.display = 'none';
         content.style.display = 'flex';
+        filenameEl.textContent = source.filename || '';
+        previewBody.innerHTML = html;
+    }
 
-        filenameEl.textContent = event.filename || '';
+    /**
+     * [chara_new] / [chara_face] からキャラクターの立ち絵を収集
+     * @returns {Map<string, Object>} キャラ名 -> { storage, faces: Map<表情, storage> }
+     */
+    collectCharaImages() {
+        const charas = new Map();
+        const getChara = name => {
+            if (!charas.has(name)) charas.set(name, { storage: null, faces: new Map() });
+            return charas.get(name);
+        };
 
-        let html = '';
+        this.flowchart.parsedFiles.forEach(data => {
+            data.nodes.forEach(node => {
+                if (node.type !== 'tag' || !node.params.name || !node.params.storage) return;
+                if (node.name === 'chara_new') {
+                    getChara(node.params.name).storage = node.params.storage;
+                } else if (node.name === 'chara_face' && node.params.face) {
+                    getChara(node.params.name).faces.set(node.params.face, node.params.storage);
+                }
+            });
+        });
+        return charas;
+    }
 
-        switch (event.type) {
-            case 'text':
-                html = `<div class="preview-text-content">
-                    ${event.speaker ? `<div class="preview-speaker">${this.escapeHtml(event.speaker)}</div>` : ''}
-                    <div class="preview-dialogue">${this.escapeHtml(event.text)}</div>
-                </div>`;
-                break;
+    /**
+     * ステージプレビューのHTMLを作成
+     * 素材が見つからないレイヤーはファイル名の枠で代わりに表示する
+     */
+    async createStageHtml(stage) {
+        const createLayer = async (storage, folder, className, label, style = '') => {
+            const blobUrl = storage ? await this.getResourceBlobUrl(storage, folder) : null;
+            const styleAttr = style ? ` style="${style}"` : '';
+            if (blobUrl) {
+                return `<img src="${blobUrl}" alt="${this.escapeHtml(storage)}" class="${className}"${styleAttr}>`;
+            }
+            return `<div class="${className} stage-missing"${styleAttr}>${this.escapeHtml(label)}</div>`;
+        };
 
-            case 'bg':
-                if (event.storage) {
-                    const blobUrl = await this.getResourceBlobUrl(event.storage, 'bgimage');
-                    if (blobUrl) {
-                        html = `<div class="preview-image-container">
-                            <img src="${blobUrl}" alt="${event.storage}" class="preview-image-fit">
-                        </div>`;
-                    } else {
-                        html = `<div class="preview-info">背景: ${event.storage}</div>`;
-                    }
-                }
-                break;
+        let html = '<div class="stage-preview"><div class="stage-screen">';
 
-            case 'image':
-                if (event.storage) {
-                    const blobUrl = await this.getResourceBlobUrl(event.storage, 'fgimage');
-                    if (blobUrl) {
-                        html = `<div class="preview-image-container">
-                            <img src="${blobUrl}" alt="${event.storage}" class="preview-image-fit">
-                        </div>`;
-                    } else {
-                        html = `<div class="preview-info">画像: ${event.storage} (レイヤー${event.layer})</div>`;
-                    }
-                }
-                break;
+        if (stage.bg) {
+            html += await createLayer(stage.bg.storage, 'bgimage', 'stage-bg', `背景: ${stage.bg.storage || ''}`);
+        }
 
-            case 'chara':
-                html = `<div class="preview-info">
-                    <div>キャラ: ${event.name}</div>
-                    ${event.face ? `<div>表情: ${event.face}</div>` : ''}
-                </div>`;
-                break;
+        for (const image of stage.images) {
+            html += await createLayer(image.storage, image.folder || 'fgimage', 'stage-image', `画像 L${image.layer}: ${image.storage || ''}`);
+        }
 
-            case 'bgm':
-                if (event.storage) {
-                    const blobUrl = await this.getResourceBlobUrl(event.storage, 'bgm');
-                    if (blobUrl) {
-                        html = `<div class="preview-audio-container">
-                            <div class="preview-audio-label">BGM: ${event.storage}</div>
-                            <audio controls class="preview-audio">
-                                <source src="${blobUrl}">
-                            </audio>
-                        </div>`;
-                    } else {
-                        html = `<div class="preview-info">BGM: ${event.storage}</div>`;
-                    }
-                }
-                break;
+        // キャラクターは表示した順に左から等間隔で並べる
+        for (const [index, chara] of stage.charas.entries()) {
+            const definition = this.charaImages.get(chara.name);
+            const storage = chara.storage ||
+                (definition && chara.face && definition.faces.get(chara.face)) ||
+                (definition && definition.storage);
+            const left = (index + 1) / (stage.charas.length + 1) * 100;
+            const label = chara.face ? `${chara.name} (${chara.face})` : chara.name;
+            html += await createLayer(storage, 'fgimage', 'stage-chara', label, `left: ${left}%`);
+        }
 
-            case 'se':
-                if (event.storage) {
-                    const blobUrl = await this.getResourceBlobUrl(event.storage, 'sound');
-                    if (blobUrl) {
-                        html = `<div class="preview-audio-container">
-                            <div class="preview-audio-label">SE: ${event.storage}</div>
-                            <audio controls class="preview-audio">
-                                <source src="${blobUrl}">
-                            </audio>
-                        </div>`;
-                    } else {
-                        html = `<div class="preview-info">SE: ${event.storage}</div>`;
-                    }
-                }
-                break;
+        if (stage.video) {
+            const blobUrl = stage.video.storage ? await this.getResourceBlobUrl(stage.video.storage, 'video') : null;
+            html += blobUrl
+                ? `<video src="${blobUrl}" class="stage-video" muted preload="metadata"></video>`
+                : `<div class="stage-video stage-missing">動画: ${this.escapeHtml(stage.video.storage || '(不明)')}</div>`;
+        }
 
-            case 'video':
-                html = `<div class="preview-info">動画: ${event.storage || '(不明)'}</div>`;
-                break;
+        if (stage.text) {
+            html += '<div class="stage-message">';
+            if (stage.text.speaker) {
+                html += `<div class="stage-speaker">${this.escapeHtml(stage.text.speaker)}</div>`;
+            }
+            html += `<div class="stage-text">${this.escapeHtml(stage.text.text)}</div>`;
+            html += '</div>';
+        }
+        html += '</div>';
+
+        // 再生中の音声
+        const sounds = [
+            ...(stage.bgm ? [{ label: 'BGM', event: stage.bgm, folder: 'bgm' }] : []),
+            ...stage.se.map(event => ({ label: 'SE', event, folder: 'sound' }))
+        ];
+        if (sounds.length > 0) {
+            html += '<div class="stage-audio">';
+            for (const { label, event, folder } of sounds) {
+                const blobUrl = event.storage ? await this.getResourceBlobUrl(event.storage, folder) : null;
+                html += `<div class="stage-audio-item"><span class="preview-audio-label">${label}: ${this.escapeHtml(event.storage || '')}</span>`;
+                if (blobUrl) {
+                    html += `<audio controls class="preview-audio" src="${blobUrl}"></audio>`;
+                }
+                html += '</div>';
+            }
+            html += '</div>';
         }
 
-        previewBody.innerHTML = html;
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * プレビューをクリア
+     */
+    clearPreview() {
+        const placeholder = document.getElementById('preview-placeholder');
+        const content = document.getElementById('preview-content');
+        if (placeholder) placeholder.style.display = 'flex';
+        if (content) content.style.display = 'none';
     }
 
     /**
@@ -654,6 +1001,8 @@ class TyranoFlowApp {
     setupScrollContainment() {
         const fileList = document.getElementById('file-list');
         const fileDetails = document.getElementById('file-details');
+        const diagnosticsList = document.getElementById('diagnostics-list');
+        const routesList = document.getElementById('routes-list');
 
         const handleWheel = (e) => {
             // ネストされたスクロール可能な要素をチェック
@@ -717,6 +1066,12 @@ class TyranoFlowApp {
         if (fileDetails) {
             fileDetails.addEventListener('wheel', handleWheel, { passive: false });
         }
+        if (diagnosticsList) {
+            diagnosticsList.addEventListener('wheel', handleWheel, { passive: false });
+        }
+        if (routesList) {
+            routesList.addEventListener('wheel', handleWheel, { passive: false });
+        }
     }
 
     /**
@@ -735,6 +1090,40 @@ class TyranoFlowApp {
             refreshBtn.addEventListener('click', () => this.refresh());
         }
 
+        // フォルダ選択APIがない場合のフォルダ選択と、ZIPファイルの選択
+        const folderInput = document.getElementById('folder-input');
+        if (folderInput) {
+            folderInput.addEventListener('change', async () => {
+                if (folderInput.files.length > 0) {
+                    await this.loadFromSource(() => this.projectSource.fromFileList(folderInput.files));
+                }
+                folderInput.value = '';
+            });
+        }
+
+        const zipBtn = document.getElementById('open-zip-btn');
+        const zipInput = document.getElementById('zip-input');
+        if (zipBtn && zipInput) {
+            zipBtn.addEventListener('click', () => zipInput.click());
+            zipInput.addEventListener('change', async () => {
+                const file = zipInput.files[0];
+                if (file) {
+                    await this.loadFromSource(() => {
+                        if (this.projectSource.isAsarFile(file)) return this.projectSource.fromAsar(file);
+                        if (this.projectSource.isTpmFile(file)) return this.projectSource.fromTpm(file);
+                        return this.projectSource.fromZip(file);
+                    });
+                }
+                zipInput.value = '';
+            });
+        }
+
+        // 監視ボタン
+        const watchBtn = document.getElementById('watch-btn');
+        if (watchBtn) {
+            watchBtn.addEventListener('click', () => this.toggleWatch());
+        }
+
         // 検索ボタン
         const searchBtn = document.getElementById('search-btn');
         const searchInput = document.getElementById('search-input');
@@ -747,14 +1136,95 @@ class TyranoFlowApp {
             });
         }
 
-        // 検索モーダルを閉じる
-        const searchModalClose = document.getElementById('search-modal-close');
-        const searchModal = document.getElementById('search-modal');
-        if (searchModalClose && searchModal) {
-            searchModalClose.addEventListener('click', () => {
-                searchModal.classList.remove('active');
+        // 素材チェックボタン
+        const missingAssetsBtn = document.getElementById('missing-assets-btn');
+        if (missingAssetsBtn) {
+            missingAssetsBtn.addEventListener('click', () => this.showMissingAssetsReport());
+        }
+
+        // 未使用素材ボタン
+        const unusedAssetsBtn = document.getElementById('unused-assets-btn');
+        if (unusedAssetsBtn) {
+            unusedAssetsBtn.addEventListener('click', () => this.showUnusedAssetsReport());
+        }
+
+        // 変数一覧の絞り込み
+        const variableFilter = document.getElementById('variable-filter');
+        if (variableFilter) {
+            variableFilter.addEventListener('change', () => {
+                this.variableFilter = variableFilter.value;
+                this.renderVariables();
             });
-            searchModal.addEventListener('click', (e) => {
+        }
+
+        // キャラクター統計の棒グラフの指標とCSV出力
+        const characterMetric = document.getElementById('character-metric');
+        if (characterMetric) {
+            characterMetric.addEventListener('change', () => {
+                this.characterMetric = characterMetric.value;
+                this.renderCharacterTable();
+            });
+        }
+
+        const characterExportBtn = document.getElementById('character-export-btn');
+        if (characterExportBtn) {
+            characterExportBtn.addEventListener('click', () => this.exportCharactersCsv());
+        }
+
+        // ルートのCSV出力ボタン
+        const routesExportBtn = document.getElementById('routes-export-btn');
+        if (routesExportBtn) {
+            routesExportBtn.addEventListener('click', () => this.exportRoutesCsv());
+        }
+
+        // 到達チェックボタン
+        const reachabilityBtn = document.getElementById('reachability-btn');
+        if (reachabilityBtn) {
+            reachabilityBtn.addEventListener('click', () => this.showReachabilityReport());
+        }
+
+        const voiceBtn = document.getElementById('voice-btn');
+        if (voiceBtn) {
+            voiceBtn.addEventListener('click', () => this.showVoiceReport());
+        }
+
+        const readingTimeBtn = document.getElementById('reading-time-btn');
+        if (readingTimeBtn) {
+            readingTimeBtn.addEventListener('click', () => this.showReadingTimeReport());
+        }
+
+        const scriptExportBtn = document.getElementById('script-export-btn');
+        if (scriptExportBtn) {
+            scriptExportBtn.addEventListener('click', () => this.showScriptExportDialog());
+        }
+
+        const translationImportBtn = document.getElementById('translation-import-btn');
+        if (translationImportBtn) {
+            translationImportBtn.addEventListener('click', () => this.showTranslationImportDialog());
+        }
+
+        // レポートモーダルを閉じる
+        const reportModalClose = document.getElementById('report-modal-close');
+        const reportModal = document.getElementById('report-modal');
+        if (reportModalClose && reportModal) {
+            reportModalClose.addEventListener('click', () => {
+                reportModal.classList.remove('active');
+            });
+            reportModal.addEventListener('click', (e) => {
+                if (e.target === reportModal) {
+                    reportModal.classList.remove('active');
+                }
+            });
+        }
+
+        // 検索モーダルを閉じる
+        const searchModalClose = document.getElementById('search-modal-close');
+        const searchModal = document.getElementById('search-modal');
+        if (searchModalClose && searchModal) {
+            searchModalClose.addEventListener('click', () => {
+                searchModal.classList.remove('active');
+            });
+            searchModal.addEventListener('click', (e) => {
                 if (e.target === searchModal) {
                     searchModal.classList.remove('active');
                 }
@@ -787,11 +1257,35 @@ class TyranoFlowApp {
             if (items.length > 0) {
                 const item = items[0];
                 if (item.kind === 'file') {
-                    const handle = await item.getAsFileSystemHandle();
-                    if (handle.kind === 'directory') {
+                    // DataTransferItem は await の後には使えないため、先にすべて取り出す
+                    const file = item.getAsFile();
+                    const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+                    const handlePromise = item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null;
+
+                    if (this.projectSource.isZipFile(file)) {
+                        // ZIPはブラウザ内で展開
+                        await this.loadFromSource(() => this.projectSource.fromZip(file));
+                        return;
+                    }
+                    if (this.projectSource.isAsarFile(file)) {
+                        // Electron のリリースビルドの app.asar
+                        await this.loadFromSource(() => this.projectSource.fromAsar(file));
+                        return;
+                    }
+                    if (this.projectSource.isTpmFile(file)) {
+                        // 中身が ZIP / asar の .tpm
+                        await this.loadFromSource(() => this.projectSource.fromTpm(file));
+                        return;
+                    }
+
+                    const handle = handlePromise ? await handlePromise : null;
+                    if (handle && handle.kind === 'directory') {
                         await this.loadFromDirectoryHandle(handle);
+                    } else if (!handle && entry && entry.isDirectory) {
+                        // getAsFileSystemHandle がないブラウザ（Firefox / Safari）
+                        await this.loadFromSource(() => this.projectSource.fromEntry(entry));
                     } else {
-                        this.showError('フォルダをドロップしてください');
+                        this.showError('フォルダ・.zip・.asar・.tpm ファイルをドロップしてください');
                     }
                 }
             }
@@ -812,6 +1306,13 @@ class TyranoFlowApp {
      * フォルダ選択ダイアログを開く
      */
     async selectFolder() {
+        // File System Access API がないブラウザでは <input webkitdirectory> で選ぶ
+        if (!window.showDirectoryPicker) {
+            const folderInput = document.getElementById('folder-input');
+            if (folderInput) folderInput.click();
+            return;
+        }
+
         try {
             // File System Access API
             const handle = await window.showDirectoryPicker();
@@ -824,62 +1325,64 @@ class TyranoFlowApp {
         }
     }
 
+    /**
+     * ファイル一覧・ZIPなどから作ったフォルダを読み込む
+     * @param {Function} createRoot - ProjectSource でフォルダを作成する関数
+     */
+    async loadFromSource(createRoot) {
+        let root;
+        this.showLoading(true);
+        try {
+            root = await createRoot();
+        } catch (error) {
+            console.error('Project source error:', error);
+            this.showError('読み込みに失敗しました: ' + error.message);
+            this.showLoading(false);
+            return;
+        }
+        await this.loadFromDirectoryHandle(root);
+    }
+
     /**
      * DirectoryHandleからファイルを読み込む
+     * @param {Object|null} view - 戻す表示状態（最近のプロジェクトから開いた場合、getViewState() の形式）
      */
-    async loadFromDirectoryHandle(dirHandle) {
+    async loadFromDirectoryHandle(dirHandle, view = null) {
         this.showLoading(true);
+        this.currentProjectId = null;
         this.flowchart.clear();
         this.fileHandles.clear();
+        this.filePaths.clear();
+        this.fileStamps.clear();
+        this.detailFilename = null;
         this.clearBlobCache();
 
         try {
-            // プロジェクトルートを特定
-            this.projectRootHandle = dirHandle;
-
-            // dataフォルダを探す
-            let scenarioHandle = null;
+            // シナリオと素材のフォルダを中身から探す
+            // （プロジェクト・dataフォルダ・scenarioフォルダのほか、data の深さが違うブラウザ版や app.asar を含むリリースビルドにも対応）
+            const layout = await this.projectSource.findLayout(dirHandle, this.assets.folders);
+            const scenarioHandle = layout.scenarioHandle;
+            this.projectRootHandle = layout.rootHandle;
+            this.dataHandle = layout.dataHandle;
+            Object.keys(this.resourceHandles).forEach(folder => {
+                this.resourceHandles[folder] = null;
+            });
 
-            try {
-                // まず data/scenario の構造を試す
-                this.dataHandle = await dirHandle.getDirectoryHandle('data');
-                scenarioHandle = await this.dataHandle.getDirectoryHandle('scenario');
-
-                // リソースフォルダのハンドルを取得
-                await this.loadResourceHandles();
-            } catch {
-                // dataフォルダがない場合 - dirHandleがdataフォルダ自体かもしれない
-                if (dirHandle.name === 'data') {
-                    // dataフォルダを直接ドロップした場合
-                    this.dataHandle = dirHandle;
-                    try {
-                        scenarioHandle = await dirHandle.getDirectoryHandle('scenario');
-                        // リソースフォルダのハンドルを取得
-                        await this.loadResourceHandles();
-                    } catch {
-                        scenarioHandle = dirHandle;
-                    }
-                } else if (dirHandle.name === 'scenario') {
-                    // scenarioフォルダを直接ドロップした場合
-                    scenarioHandle = dirHandle;
-                } else {
-                    // その他のフォルダ構造
-                    try {
-                        scenarioHandle = await dirHandle.getDirectoryHandle('scenario');
-                    } catch {
-                        scenarioHandle = dirHandle;
-                    }
-                }
-            }
+            // リソースフォルダのハンドルを取得
+            await this.loadResourceHandles();
 
             // story-summary.jsonを探して読み込み（複数の場所を試行）
-            const summaryLocations = [scenarioHandle, this.dataHandle, dirHandle].filter(h => h);
+            const summaryLocations = [scenarioHandle, this.dataHandle, layout.rootHandle].filter(h => h);
             for (const handle of summaryLocations) {
                 const loaded = await this.flowchart.loadStorySummaryFromDir(handle);
                 if (loaded) break;
             }
 
+            // プロジェクト側のタグ定義（プラグインタグ）を読み込み
+            const pluginTagResult = await this.loadPluginTags(summaryLocations);
+
             // .ksファイルを読み込む（systemフォルダを除外）
+            this.scenarioHandle = scenarioHandle;
             const ksFiles = [];
             await this.collectKsFiles(scenarioHandle, ksFiles, '');
 
@@ -896,23 +1399,66 @@ class TyranoFlowApp {
                 const parsed = this.parser.parse(content, handle.name);
                 this.flowchart.addParsedFile(handle.name, parsed);
                 this.fileHandles.set(handle.name, handle);
+                this.filePaths.set(handle.name, relativePath);
+                this.fileStamps.set(handle.name, file.lastModified);
+            }
+
+            // マクロ呼び出しを展開（定義は別ファイルにあることが多いため全ファイル解析後に行う）
+            this.parser.applyMacros(this.flowchart.parsedFiles);
+
+            // 参照素材の存在と遷移先、到達可能性、ルートを確認
+            await this.validateAssets();
+            this.runDiagnostics();
+            this.runReachability();
+            this.runReadingTime();
+            this.runRouteEnumeration();
+
+            // 前回の表示モードとパネルの折りたたみを戻す
+            if (view) {
+                this.applyDisplayMode(view.displayMode);
+                this.setPanelCollapsed('left', !!view.leftCollapsed);
+                this.setPanelCollapsed('right', !!view.rightCollapsed);
             }
 
             // フローチャートを描画
             await this.flowchart.render('flowchart-container');
 
-            // パン・ズームをSVGにアタッチ
+            // パン・ズームをSVGにアタッチ（前回の表示位置があればそこに戻す）
             if (this.panZoom) {
-                this.panZoom.attachToSvg();
+                if (view && view.panZoom) {
+                    Object.assign(this.panZoom, view.panZoom);
+                    this.panZoom.attachToSvg(true);
+                } else {
+                    this.panZoom.attachToSvg();
+                }
             }
 
-            // ファイル一覧を表示
+            // ファイル一覧と診断結果、ルートを表示
             this.renderFileList();
+            this.renderDiagnostics();
+            this.renderRoutes();
+            this.renderChoiceTree();
+            this.renderVariables();
+            this.renderCharacters();
 
             // プロジェクトパスを保存
             this.currentProjectPath = dirHandle.name;
             const storyCount = this.flowchart.getSortedStoryFiles().length;
-            this.updateStatus(`${ksFiles.length}個のksファイル（ストーリー: ${storyCount}個）を読み込みました`);
+            const pluginTags = pluginTagResult.count > 0 ? `、プラグインタグ: ${pluginTagResult.count}個` : '';
+            const ignoredTags = pluginTagResult.ignored.length > 0
+                ? `（無視したタグ定義: ${pluginTagResult.ignored.join(', ')}）`
+                : '';
+            this.updateStatus(`${ksFiles.length}個のksファイル（ストーリー: ${storyCount}個${pluginTags}）を読み込みました${ignoredTags}`);
+            await this.rememberProject(dirHandle, ksFiles.length, storyCount);
+
+            // 監視中なら新しいフォルダを監視し直す（監視できない読み込み元なら止める）
+            if (this.isWatching()) {
+                if (this.projectSource.isMemoryHandle(scenarioHandle)) {
+                    this.stopWatch();
+                } else {
+                    await this.startWatch();
+                }
+            }
 
         } catch (error) {
             console.error('Load error:', error);
@@ -922,15 +1468,40 @@ class TyranoFlowApp {
         this.showLoading(false);
     }
 
+    /**
+     * プロジェクト側のタグ定義ファイルを読み込み（最初に見つかったものを使う）
+     * 前のプロジェクトの定義は破棄する
+     * @returns {Promise<Object>} addPluginTags() の結果 { count, ignored }（ファイルがないか読み込めなければ空）
+     */
+    async loadPluginTags(dirHandles) {
+        this.tagRegistry.reset();
+
+        for (const handle of dirHandles) {
+            let content;
+            try {
+                const fileHandle = await handle.getFileHandle(this.tagRegistry.pluginFileName);
+                content = await (await fileHandle.getFile()).text();
+            } catch {
+                continue;
+            }
+
+            try {
+                return this.tagRegistry.addPluginTags(JSON.parse(content));
+            } catch (error) {
+                this.showError(`${this.tagRegistry.pluginFileName} を読み込めませんでした: ${error.message}`);
+                return { count: 0, ignored: [] };
+            }
+        }
+        return { count: 0, ignored: [] };
+    }
+
     /**
      * リソースフォルダのハンドルを取得
      */
     async loadResourceHandles() {
         if (!this.dataHandle) return;
 
-        const folders = ['bgimage', 'fgimage', 'video', 'bgm', 'sound'];
-
-        for (const folder of folders) {
+        for (const folder of this.assets.folders) {
             try {
                 this.resourceHandles[folder] = await this.dataHandle.getDirectoryHandle(folder);
             } catch {
@@ -939,6 +1510,556 @@ class TyranoFlowApp {
         }
     }
 
+    /**
+     * シナリオが参照する素材がdataフォルダに存在するか確認
+     * dataフォルダが特定できない場合（scenarioフォルダのみ読み込んだ場合）は確認しない
+     */
+    async validateAssets() {
+        if (!this.dataHandle) {
+            this.missingAssets = [];
+        } else {
+            this.missingAssets = await this.assets.findMissing(
+                this.flowchart.parsedFiles,
+                async (storage, folder) => (await this.getResourceFileHandle(storage, folder)) !== null
+            );
+        }
+        this.flowchart.setMissingAssets(this.missingAssets);
+    }
+
+    /**
+     * 素材フォルダ内の全ファイルを列挙
+     * @returns {Promise<Array<Object>>} { folder, path, size } の配列
+     */
+    async listResourceFiles() {
+        const files = [];
+
+        const walk = async (dirHandle, folder, path) => {
+            for await (const entry of dirHandle.values()) {
+                if (entry.kind === 'file') {
+                    if (!this.assets.isListedFile(entry.name)) continue;
+                    const file = await entry.getFile();
+                    files.push({ folder, path: path + entry.name, size: file.size });
+                } else if (entry.kind === 'directory') {
+                    await walk(entry, folder, path + entry.name + '/');
+                }
+            }
+        };
+
+        for (const folder of this.assets.folders) {
+            const handle = this.resourceHandles[folder];
+            if (handle) {
+                await walk(handle, folder, '');
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * jump/call/linkの遷移先とラベル定義を診断
+     */
+    runDiagnostics() {
+        this.diagnostics = this.diagnosticsAnalyzer.analyze(this.flowchart.parsedFiles);
+        this.flowchart.setDiagnostics(this.diagnostics);
+    }
+
+    /**
+     * 開始ファイルからの到達可能性を解析
+     */
+    runReachability() {
+        this.reachability = this.reachabilityAnalyzer.analyze(this.flowchart, this.entryPoints);
+        this.flowchart.setReachability(this.reachability);
+    }
+
+    /**
+     * ファイル・ラベルごとの推定プレイ時間を見積もる
+     */
+    runReadingTime() {
+        this.readingTimes = this.readingEstimator.analyze(this.flowchart);
+        this.flowchart.setReadingTimes(this.readingTimes);
+    }
+
+    /**
+     * 開始ファイルから各エンディングまでのルートを列挙
+     */
+    runRouteEnumeration(keepSelection = false) {
+        const previous = keepSelection
+            ? [this.selectedRouteId, this.timelineRouteId, this.compareRouteId].map(id => this.findRoute(id))
+            : [];
+
+        const entries = this.reachabilityAnalyzer.resolveEntryPoints(this.flowchart, this.entryPoints);
+        this.routeResult = this.routeEnumerator.enumerate(this.flowchart, entries);
+
+        // 列挙し直したルートは番号が変わるため、同じ経路のルートがあればその番号で選択し直す（なければ解除）
+        const [selected, timelineRoute, compareRoute] = [0, 1, 2].map(index => {
+            const path = previous[index] ? previous[index].keys.join('>') : null;
+            return path ? this.routeResult.routes.find(route => route.keys.join('>') === path) || null : null;
+        });
+        this.selectedRouteId = selected ? selected.id : null;
+        this.flowchart.highlightedRoute = selected ? selected.keys : null;
+        this.timelineRouteId = timelineRoute ? timelineRoute.id : null;
+        this.compareRouteId = compareRoute ? compareRoute.id : null;
+    }
+
+    /**
+     * 番号からルートを取得（見つからなければ null）
+     */
+    findRoute(routeId) {
+        if (routeId === null || !this.routeResult) return null;
+        return this.routeResult.routes.find(route => route.id === routeId) || null;
+    }
+
+    /**
+     * ルートパネルを描画（エンディングごとにまとめる）
+     */
+    renderRoutes() {
+        const container = document.getElementById('routes-list');
+        const summary = document.getElementById('routes-summary');
+        if (!container || !this.routeResult) return;
+
+        const { routes, endings, loopCount, truncated } = this.routeResult;
+        if (summary) {
+            summary.textContent = `${endings.size}エンディング / ${routes.length}ルート${truncated ? '（上限で打ち切り）' : ''}`;
+            summary.title = loopCount > 0 ? `ループ ${loopCount}箇所は1周目のみ辿っています` : '';
+        }
+
+        if (routes.length === 0) {
+            container.innerHTML = '<div class="placeholder">エンディングへのルートが見つかりません</div>';
+            return;
+        }
+
+        let html = '';
+        endings.forEach((count, ending) => {
+            html += '<div class="route-group">';
+            html += `<div class="route-group-header">${this.escapeHtml(ending)} (${count})</div>`;
+            routes.filter(route => route.ending === ending).forEach(route => {
+                const selected = route.id === this.selectedRouteId ? ' selected' : '';
+                html += `<div class="route-item${selected}" data-route-id="${route.id}" title="${this.escapeHtml(this.routeEnumerator.formatPath(route))}">`;
+                const readingTime = this.readingEstimator.estimateRoute(route, this.readingTimes);
+                html += `<div class="route-title">ルート ${route.id}<span class="route-time">約${this.readingEstimator.formatMinutes(readingTime.seconds)}</span></div>`;
+                html += `<div class="route-choices">${route.choices.length > 0
+                    ? route.choices.map(choice => this.escapeHtml(choice.text)).join(' → ')
+                    : '(選択肢なし)'}</div>`;
+                if (route.conditions.length > 0) {
+                    html += `<div class="route-conditions">条件: ${route.conditions.map(c => this.escapeHtml(c.cond)).join(', ')}</div>`;
+                }
+                html += '</div>';
+            });
+            html += '</div>';
+        });
+        container.innerHTML = html;
+
+        // クリックでフローチャート上のルートを強調表示（もう一度クリックで解除）
+        container.querySelectorAll('.route-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const routeId = parseInt(item.dataset.routeId);
+                this.selectedRouteId = this.selectedRouteId === routeId ? null : routeId;
+                const route = routes.find(r => r.id === this.selectedRouteId);
+                this.flowchart.highlightRoute('flowchart-container', route ? route.keys : null);
+                container.querySelectorAll('.route-item').forEach(other => {
+                    other.classList.toggle('selected', parseInt(other.dataset.routeId) === this.selectedRouteId);
+                });
+
+                // タイムライン表示中なら選んだルートに沿って作り直す
+                const timelineView = document.getElementById('timeline-view');
+                this.timelineRouteId = this.selectedRouteId;
+                if (timelineView && timelineView.classList.contains('active')) {
+                    this.buildAndRenderTimeline();
+                }
+            });
+        });
+    }
+
+    /**
+     * 選択肢ツリーを描画
+     * 各選択肢の先は開いたときに初めて辿る（分岐が多くても一度に展開しない）
+     */
+    renderChoiceTree() {
+        const container = document.getElementById('choice-tree');
+        if (!container) return;
+
+        if (this.flowchart.parsedFiles.size === 0) {
+            container.innerHTML = '<div class="placeholder">フォルダを読み込むと選択肢ツリーを表示します</div>';
+            return;
+        }
+
+        const graph = this.flowchart.buildTransitionGraph();
+        const entries = this.reachabilityAnalyzer.resolveEntryPoints(this.flowchart, this.entryPoints);
+
+        container.innerHTML = '';
+        entries.forEach(({ entry, key }) => {
+            const header = document.createElement('div');
+            header.className = 'choice-entry';
+            header.textContent = `開始: ${entry}`;
+            container.appendChild(header);
+            container.appendChild(this.createChoiceList(graph, key, new Set()));
+        });
+    }
+
+    /**
+     * 指定ノードの次に出会う選択ポイント・エンディングの一覧要素を作成
+     * @param {Map<string, Object>} graph - 遷移グラフ
+     * @param {string} key - 開始ノードキー
+     * @param {Set<string>} ancestors - ツリー上の祖先の選択ポイント（ループ検出用）
+     */
+    createChoiceList(graph, key, ancestors) {
+        const list = document.createElement('ul');
+        list.className = 'choice-list';
+
+        const items = this.choiceTree.findNext(this.flowchart, graph, key);
+        if (items.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'choice-leaf';
+            li.textContent = '(この先に選択肢・エンディングはありません)';
+            list.appendChild(li);
+        }
+
+        items.forEach(item => {
+            const li = document.createElement('li');
+            if (item.type === 'ending') {
+                li.className = 'choice-leaf choice-ending';
+                li.textContent = `エンディング: ${item.filename}`;
+                li.addEventListener('click', () => {
+                    this.showFileDetails(item.filename, this.flowchart.parsedFiles.get(item.filename));
+                });
+            } else if (ancestors.has(item.key)) {
+                const label = item.choicePoint.label ? ` *${item.choicePoint.label}` : '';
+                li.className = 'choice-leaf choice-loop';
+                li.textContent = `↺ ${item.filename}${label} の選択肢へ戻る`;
+            } else {
+                li.appendChild(this.createChoicePointElement(graph, item, new Set([...ancestors, item.key])));
+            }
+            list.appendChild(li);
+        });
+
+        return list;
+    }
+
+    /**
+     * 選択ポイント（同時に表示される選択肢のまとまり）の要素を作成
+     */
+    createChoicePointElement(graph, item, ancestors) {
+        const { filename, choicePoint } = item;
+
+        const details = document.createElement('details');
+        details.className = 'choice-point';
+        details.open = true;
+
+        const summary = document.createElement('summary');
+        const label = choicePoint.label ? ` *${this.escapeHtml(choicePoint.label)}` : '';
+        summary.innerHTML = `<span class="choice-location">${this.escapeHtml(filename)}${label} (行: ${choicePoint.line})</span>` +
+            `<span class="choice-count">${choicePoint.options.length}択</span>`;
+        summary.querySelector('.choice-location').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showFileDetails(filename, this.flowchart.parsedFiles.get(filename));
+        });
+        details.appendChild(summary);
+
+        const options = document.createElement('ul');
+        options.className = 'choice-options';
+        choicePoint.options.forEach(option => {
+            const li = document.createElement('li');
+            const text = option.text || (option.graphic ? `[${option.graphic}]` : '(選択肢)');
+            const target = [option.storage, option.target].filter(v => v).join(' ');
+            const optionHtml = `<span class="choice-text">${this.escapeHtml(text)}</span>` +
+                (option.cond ? `<span class="choice-cond">cond: ${this.escapeHtml(option.cond)}</span>` : '') +
+                `<span class="choice-target">→ ${this.escapeHtml(target || '(なし)')}</span>`;
+
+            const targetKey = this.choiceTree.getOptionKey(this.flowchart, filename, option);
+            if (!targetKey) {
+                li.className = 'choice-leaf';
+                li.innerHTML = optionHtml + '<span class="choice-unresolved">遷移先不明</span>';
+            } else {
+                const optionDetails = document.createElement('details');
+                optionDetails.className = 'choice-option';
+                const optionSummary = document.createElement('summary');
+                optionSummary.innerHTML = optionHtml;
+                optionDetails.appendChild(optionSummary);
+
+                // 開いたときに次の選択ポイントを辿る
+                optionDetails.addEventListener('toggle', () => {
+                    if (optionDetails.open && !optionDetails.dataset.loaded) {
+                        optionDetails.dataset.loaded = 'true';
+                        optionDetails.appendChild(this.createChoiceList(graph, targetKey, ancestors));
+                    }
+                });
+                li.appendChild(optionDetails);
+            }
+            options.appendChild(li);
+        });
+        details.appendChild(options);
+
+        return details;
+    }
+
+    /**
+     * 変数一覧を描画
+     */
+    renderVariables() {
+        const container = document.getElementById('variable-table');
+        const summary = document.getElementById('variable-summary');
+        if (!container) return;
+
+        if (this.flowchart.parsedFiles.size === 0) {
+            container.innerHTML = '<div class="placeholder">フォルダを読み込むと変数一覧を表示します</div>';
+            if (summary) summary.textContent = '';
+            return;
+        }
+
+        const variables = this.variableAnalyzer.analyze(this.flowchart.parsedFiles);
+        const clears = this.variableAnalyzer.collectClears(this.flowchart.parsedFiles);
+        const counts = this.variableAnalyzer.countByStatus(variables);
+        if (summary) {
+            summary.textContent = `変数: ${variables.length} | 書き込みなし: ${counts['read-only']} | 読み取りなし: ${counts['write-only']}`;
+        }
+
+        const statusLabels = { ok: '', 'read-only': '書き込みなし', 'write-only': '読み取りなし' };
+        const renderRefs = refs => refs.map(ref =>
+            `<span class="variable-ref" data-filename="${this.escapeHtml(ref.filename)}" title="[${ref.tag}]">${this.escapeHtml(ref.filename)}:${ref.line}</span>`
+        ).join('');
+
+        const visible = this.variableFilter === 'issues'
+            ? variables.filter(variable => variable.status !== 'ok')
+            : variables;
+
+        let html = '';
+        if (clears.length > 0) {
+            html += `<div class="variable-clears">全変数のクリア: ${clears.map(clear =>
+                `<span class="variable-ref" data-filename="${this.escapeHtml(clear.filename)}" title="[${clear.tag}]">${this.escapeHtml(clear.filename)}:${clear.line}</span>`
+            ).join('')}</div>`;
+        }
+
+        if (visible.length === 0) {
+            html += '<div class="placeholder">該当する変数はありません</div>';
+        } else {
+            html += '<table class="file-table variable-table">';
+            html += '<thead><tr><th>変数</th><th>書き込み</th><th>読み取り</th><th>状態</th></tr></thead><tbody>';
+            visible.forEach(variable => {
+                html += `<tr class="variable-row status-${variable.status}">`;
+                html += `<td class="variable-name">${this.escapeHtml(variable.key)}</td>`;
+                html += `<td>${renderRefs(variable.writes)}</td>`;
+                html += `<td>${renderRefs(variable.reads)}</td>`;
+                html += `<td class="variable-status">${statusLabels[variable.status]}</td>`;
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+        }
+        container.innerHTML = html;
+
+        // クリックでファイル詳細を表示
+        container.querySelectorAll('.variable-ref').forEach(ref => {
+            ref.addEventListener('click', () => {
+                const filename = ref.dataset.filename;
+                this.showFileDetails(filename, this.flowchart.parsedFiles.get(filename));
+            });
+        });
+    }
+
+    /**
+     * キャラクター別の統計を集計して描画
+     * 表示時間は専用のタイムラインプロセッサでストーリー全体を処理して求める
+     */
+    async renderCharacters() {
+        const container = document.getElementById('character-table');
+        const summary = document.getElementById('character-summary');
+        if (!container) return;
+
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.characterStats = [];
+            container.innerHTML = '<div class="placeholder">フォルダを読み込むとキャラクター統計を表示します</div>';
+            if (summary) summary.textContent = '';
+            return;
+        }
+
+        const timeline = new TimelineProcessor(this.parser);
+        for (const { filename } of this.flowchart.getSortedStoryFiles()) {
+            const handle = this.fileHandles.get(filename);
+            if (!handle) continue;
+            try {
+                timeline.processFile(await (await handle.getFile()).text(), filename);
+            } catch (error) {
+                console.warn(`Failed to read file: ${filename}`, error);
+            }
+        }
+        timeline.finalize();
+
+        this.characterStats = this.characterAnalyzer.analyze(this.flowchart, timeline.tracks.chara);
+        if (summary) {
+            const totalLines = this.characterStats.reduce((sum, character) => sum + character.lines, 0);
+            summary.textContent = `キャラクター: ${this.characterStats.length} | セリフ: ${totalLines} | 総時間: ${timeline.totalTime} [p]`;
+        }
+        this.renderCharacterTable();
+    }
+
+    /**
+     * キャラクター統計の表と棒グラフを描画（集計済みの結果を並べ替えて表示）
+     */
+    renderCharacterTable() {
+        const container = document.getElementById('character-table');
+        if (!container || this.flowchart.parsedFiles.size === 0) return;
+
+        if (this.characterStats.length === 0) {
+            container.innerHTML = '<div class="placeholder">話者・キャラクターが見つかりませんでした</div>';
+            return;
+        }
+
+        const metrics = this.characterAnalyzer.metrics;
+        const metric = this.characterMetric;
+        const { key, ascending } = this.characterSort;
+        const sorted = this.characterAnalyzer.sort(this.characterStats, key, ascending);
+
+        // 棒グラフ（選択中の指標を最大値に対する割合で表示）
+        const max = Math.max(1, ...this.characterStats.map(character => character[metric]));
+        let html = '<div class="character-chart">';
+        this.characterAnalyzer.sort(this.characterStats, metric).forEach(character => {
+            const percent = Math.round(character[metric] / max * 100);
+            html += '<div class="character-bar-row">';
+            html += `<span class="character-bar-label">${this.escapeHtml(character.name)}</span>`;
+            html += `<span class="character-bar"><span class="character-bar-fill" style="width: ${percent}%"></span></span>`;
+            html += `<span class="character-bar-value">${character[metric]}</span>`;
+            html += '</div>';
+        });
+        html += '</div>';
+
+        // 表（見出しのクリックで並べ替え）
+        const columns = { name: '名前', ...metrics };
+        html += '<table class="file-table character-table"><thead><tr>';
+        Object.entries(columns).forEach(([column, label]) => {
+            const mark = column === key ? (ascending ? ' ▲' : ' ▼') : '';
+            html += `<th class="character-sort" data-key="${column}">${label}${mark}</th>`;
+        });
+        html += '<th>登場ファイル</th></tr></thead><tbody>';
+        sorted.forEach(character => {
+            html += '<tr>';
+            html += `<td class="character-name"${character.charaName ? ` title="${this.escapeHtml(character.charaName)}"` : ''}>${this.escapeHtml(character.name)}</td>`;
+            Object.keys(metrics).forEach(column => {
+                html += `<td class="character-number">${character[column]}</td>`;
+            });
+            html += `<td>${character.files.map(filename =>
+                `<span class="variable-ref" data-filename="${this.escapeHtml(filename)}">${this.escapeHtml(filename)}</span>`
+            ).join('')}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+
+        container.querySelectorAll('.character-sort').forEach(th => {
+            th.addEventListener('click', () => {
+                const column = th.dataset.key;
+                this.characterSort = column === key
+                    ? { key, ascending: !ascending }
+                    : { key: column, ascending: column === 'name' };
+                this.renderCharacterTable();
+            });
+        });
+
+        // クリックでファイル詳細を表示
+        container.querySelectorAll('.variable-ref').forEach(ref => {
+            ref.addEventListener('click', () => {
+                const filename = ref.dataset.filename;
+                this.showFileDetails(filename, this.flowchart.parsedFiles.get(filename));
+            });
+        });
+    }
+
+    /**
+     * キャラクター統計をCSVでダウンロード（表示中の並び順）
+     */
+    exportCharactersCsv() {
+        if (this.characterStats.length === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+        const projectName = this.currentProjectPath || 'project';
+        const { key, ascending } = this.characterSort;
+        const sorted = this.characterAnalyzer.sort(this.characterStats, key, ascending);
+        this.downloadText(`${projectName}-characters.csv`, this.characterAnalyzer.toCsv(sorted), 'text/csv');
+    }
+
+    /**
+     * ルート一覧をCSVでダウンロード
+     */
+    exportRoutesCsv() {
+        if (!this.routeResult) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+        const projectName = this.currentProjectPath || 'project';
+        this.downloadText(`${projectName}-routes.csv`, this.routeEnumerator.toCsv(this.routeResult.routes), 'text/csv');
+    }
+
+    /**
+     * 診断パネルを描画
+     */
+    renderDiagnostics() {
+        const container = document.getElementById('diagnostics-list');
+        const summary = document.getElementById('diagnostics-summary');
+        if (!container) return;
+
+        const labels = { error: 'エラー', warning: '警告', info: '情報' };
+        const counts = this.diagnosticsAnalyzer.countBySeverity(this.diagnostics);
+
+        // 重要度ごとの件数（クリックで表示を切り替え）
+        if (summary) {
+            summary.innerHTML = this.diagnosticsAnalyzer.severities.map(severity => {
+                const off = this.diagnosticFilter.has(severity) ? '' : ' off';
+                return `<button class="severity-toggle severity-${severity}${off}" data-severity="${severity}">${labels[severity]} ${counts[severity]}</button>`;
+            }).join('');
+
+            summary.querySelectorAll('.severity-toggle').forEach(button => {
+                button.addEventListener('click', () => {
+                    const severity = button.dataset.severity;
+                    if (this.diagnosticFilter.has(severity)) {
+                        this.diagnosticFilter.delete(severity);
+                    } else {
+                        this.diagnosticFilter.add(severity);
+                    }
+                    this.renderDiagnostics();
+                });
+            });
+        }
+
+        const visible = this.diagnostics.filter(d => this.diagnosticFilter.has(d.severity));
+        if (visible.length === 0) {
+            container.innerHTML = '<div class="placeholder">問題は見つかりませんでした</div>';
+            return;
+        }
+
+        let html = '';
+        visible.forEach(d => {
+            html += `<div class="diagnostic-item severity-${d.severity}" data-filename="${d.filename}" data-line="${d.line}">`;
+            html += `<div class="diagnostic-location">${d.filename} (行: ${d.line})</div>`;
+            html += `<div class="diagnostic-message">${this.escapeHtml(d.message)}</div>`;
+            html += '</div>';
+        });
+        container.innerHTML = html;
+
+        // クリックでファイル詳細と該当行のソースを表示
+        container.querySelectorAll('.diagnostic-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const filename = item.dataset.filename;
+                const data = this.flowchart.parsedFiles.get(filename);
+                this.showFileDetails(filename, data);
+                this.showSource(filename, parseInt(item.dataset.line) || null);
+            });
+        });
+    }
+
+    /**
+     * プロジェクト全体のマクロ使用箇所を取得
+     * @returns {Map<string, Array<Object>>} マクロ名 -> { filename, line } の配列
+     */
+    collectMacroUses() {
+        const uses = new Map();
+        this.flowchart.parsedFiles.forEach((data, filename) => {
+            (data.macroCalls || []).forEach(call => {
+                if (!uses.has(call.name)) uses.set(call.name, []);
+                uses.get(call.name).push({ filename, line: call.line });
+            });
+        });
+        return uses;
+    }
+
     /**
      * ksファイルを再帰的に収集（systemフォルダを除外）
      */
@@ -963,21 +2084,28 @@ class TyranoFlowApp {
         const files = this.flowchart.getFileList();
 
         let html = '<table class="file-table">';
-        html += '<thead><tr><th>ファイル名</th><th>クリック回数</th><th>画像</th><th>動画</th><th>BGM</th><th>SE</th></tr></thead>';
+        html += '<thead><tr><th>ファイル名</th><th>クリック回数</th><th>推定時間</th><th>画像</th><th>動画</th><th>BGM</th><th>SE</th></tr></thead>';
         html += '<tbody>';
 
         let lastWasStory = true;
         files.forEach(file => {
             // システムファイルの区切り
             if (lastWasStory && file.isSystem) {
-                html += '<tr class="file-separator"><td colspan="6">--- システムファイル ---</td></tr>';
+                html += '<tr class="file-separator"><td colspan="7">--- システムファイル ---</td></tr>';
                 lastWasStory = false;
             }
 
-            const rowClass = file.isSystem ? 'file-row system-file' : 'file-row story-file';
+            let rowClass = file.isSystem ? 'file-row system-file' : 'file-row story-file';
+            if (file.isUnreachable && !file.isSystem) {
+                rowClass += ' unreachable';
+            }
             html += `<tr class="${rowClass}" data-filename="${file.filename}">`;
-            html += `<td>${file.filename}</td>`;
+            const missingBadge = file.missingAssetCount > 0
+                ? ` <span class="missing-badge" title="不足素材: ${file.missingAssetCount}件">⚠${file.missingAssetCount}</span>`
+                : '';
+            html += `<td>${file.filename}${missingBadge}</td>`;
             html += `<td>${file.clickCount}</td>`;
+            html += `<td>${file.readingSeconds !== null ? this.readingEstimator.formatMinutes(file.readingSeconds) : '-'}</td>`;
             html += `<td>${file.imageCount}</td>`;
             html += `<td>${file.videoCount}</td>`;
             html += `<td>${file.bgmCount}</td>`;
@@ -1004,15 +2132,33 @@ class TyranoFlowApp {
     async showFileDetails(filename, data) {
         const container = document.getElementById('file-details');
         if (!container || !data) return;
+        this.detailFilename = filename;
 
-        let html = `<h3>${filename}</h3>`;
+        let html = `<h3>${filename} <button class="btn btn-small source-link" title="ソースを表示">ソース</button></h3>`;
         html += `<p class="click-count">クリック数: ${data.clickCount}</p>`;
+        const readingTime = this.readingTimes.get(filename);
+        if (readingTime) {
+            html += `<p class="click-count">推定時間: 約${this.readingEstimator.formatMinutes(readingTime.seconds)}（${readingTime.chars}文字）</p>`;
+        }
+
+        // 不足素材
+        const missing = this.missingAssets.filter(ref => ref.filename === filename);
+        if (missing.length > 0) {
+            html += '<div class="section missing-section"><h4>不足素材</h4><ul>';
+            missing.forEach(ref => {
+                html += `<li class="source-link" data-line="${ref.line}">[${ref.type}] ${this.escapeHtml(ref.folder + '/' + ref.storage)} (行: ${ref.line})</li>`;
+            });
+            html += '</ul></div>';
+        }
 
         // ラベル
         if (data.labels.length > 0) {
             html += '<div class="section"><h4>ラベル</h4><ul>';
-            data.labels.forEach(label => {
-                html += `<li>*${label.name} (行: ${label.line})</li>`;
+            data.labels.forEach((label, index) => {
+                // ラベル単位のブロックは先頭部分の後にラベル順で並ぶ
+                const block = readingTime && readingTime.blocks[index + 1];
+                const time = block ? ` 約${this.readingEstimator.formatMinutes(block.seconds)}` : '';
+                html += `<li class="source-link" data-line="${label.line}">*${label.name} (行: ${label.line})${time}</li>`;
             });
             html += '</ul></div>';
         }
@@ -1024,7 +2170,8 @@ class TyranoFlowApp {
                 const target = jump.storage || '(同一ファイル)';
                 const label = jump.target ? ` → ${jump.target}` : '';
                 const cond = jump.cond ? ` [条件: ${jump.cond}]` : '';
-                html += `<li>${target}${label}${cond}</li>`;
+                const via = jump.macro ? ` [マクロ: ${jump.macro}]` : '';
+                html += `<li>${target}${label}${cond}${via} (行: ${jump.line})</li>`;
             });
             html += '</ul></div>';
         }
@@ -1036,7 +2183,8 @@ class TyranoFlowApp {
                 const text = link.text ? `"${link.text}"` : link.type;
                 const target = link.storage || '(同一ファイル)';
                 const label = link.target ? ` → ${link.target}` : '';
-                html += `<li>[${link.type}] ${text}: ${target}${label}</li>`;
+                const cond = link.cond ? ` [cond: ${link.cond}]` : '';
+                html += `<li>[${link.type}] ${text}: ${target}${label}${cond} (行: ${link.line})</li>`;
             });
             html += '</ul></div>';
         }
@@ -1045,7 +2193,51 @@ class TyranoFlowApp {
         if (data.branches.length > 0) {
             html += '<div class="section"><h4>条件分岐</h4><ul>';
             data.branches.forEach(branch => {
-                html += `<li>[${branch.type}] ${branch.exp}</li>`;
+                html += `<li>[${branch.type}] ${branch.exp} (行: ${branch.line})</li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        // マクロ（このファイルでの定義と使用）
+        const macros = data.macros || [];
+        const macroCalls = data.macroCalls || [];
+        if (macros.length > 0 || macroCalls.length > 0) {
+            const uses = this.collectMacroUses();
+            html += '<div class="section macro-section"><h4>マクロ</h4><ul>';
+            macros.forEach(macro => {
+                const params = macro.params.length > 0 ? ` ${macro.params.map(p => '%' + p).join(' ')}` : '';
+                const calls = uses.get(macro.name) || [];
+                const callList = calls.slice(0, 10).map(call => `${call.filename}:${call.line}`).join(', ');
+                const more = calls.length > 10 ? ` 他${calls.length - 10}件` : '';
+                html += `<li>定義: [${this.escapeHtml(macro.name)}]${this.escapeHtml(params)} (行: ${macro.line})`;
+                html += `<div class="macro-uses">使用 ${calls.length}件${calls.length > 0 ? ': ' + this.escapeHtml(callList) + more : ''}</div></li>`;
+            });
+
+            // 使用しているマクロはマクロ名ごとにまとめる
+            const callsByName = new Map();
+            macroCalls.forEach(call => {
+                if (!callsByName.has(call.name)) callsByName.set(call.name, []);
+                callsByName.get(call.name).push(call);
+            });
+            callsByName.forEach((calls, name) => {
+                const lines = calls.map(call => call.line).join(', ');
+                html += `<li>使用: [${this.escapeHtml(name)}] (行: ${lines})`;
+                html += `<div class="macro-uses">定義: ${this.escapeHtml(calls[0].definedIn)}:${calls[0].definedLine}</div></li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        // 使用タグ（分類ごと、未定義のタグを区別する）
+        const tagSummary = this.tagRegistry.summarize(data.nodes, new Set(macroCalls.map(call => call.name)));
+        if (tagSummary.length > 0) {
+            html += '<div class="section tag-section"><h4>タグ</h4><ul>';
+            tagSummary.forEach(group => {
+                const tags = group.tags.map(tag => {
+                    const className = tag.plugin ? ' class="tag-plugin"' : '';
+                    return `<span${className}>[${this.escapeHtml(tag.name)}]×${tag.count}</span>`;
+                }).join(' ');
+                const className = group.category === 'unknown' ? ' class="tag-unknown"' : '';
+                html += `<li${className}><span class="tag-category">${group.label}</span>${tags}</li>`;
             });
             html += '</ul></div>';
         }
@@ -1070,7 +2262,7 @@ class TyranoFlowApp {
         }
 
         // SE（再生ボタン付き）
-        const seList = data.audio.filter(a => a.type !== 'bgm' && a.type !== 'playbgm');
+        const seList = data.audio.filter(a => a.type === 'se');
         if (seList.length > 0) {
             html += '<div class="section"><h4>SE</h4><div class="resource-list">';
             for (const audio of seList) {
@@ -1079,6 +2271,16 @@ class TyranoFlowApp {
             html += '</div></div>';
         }
 
+        // ボイス（[playse buf=voice]、再生ボタン付き）
+        const voiceList = data.audio.filter(a => a.type === 'voice');
+        if (voiceList.length > 0) {
+            html += '<div class="section"><h4>ボイス</h4><div class="resource-list">';
+            for (const audio of voiceList) {
+                html += await this.createAudioPreviewHtml(audio);
+            }
+            html += '</div></div>';
+        }
+
         // 動画（再生ボタン付き）
         if (data.videos.length > 0) {
             html += '<div class="section"><h4>動画</h4><div class="resource-list">';
@@ -1088,13 +2290,26 @@ class TyranoFlowApp {
             html += '</div></div>';
         }
 
+        // スクリプト（[iscript] / [html]）
+        if (data.scripts && data.scripts.length > 0) {
+            html += '<div class="section"><h4>スクリプト</h4>';
+            data.scripts.forEach(script => {
+                const code = script.kind === 'html'
+                    ? this.highlighter.highlightHtml(script.text)
+                    : this.highlighter.highlightJavaScript(script.text);
+                html += `<div class="script-header source-link" data-line="${script.line}">[${script.kind}] (行: ${script.line}-${script.endLine})</div>`;
+                html += `<pre class="script-block"><code>${code}</code></pre>`;
+            });
+            html += '</div>';
+        }
+
         // テキスト（セリフ・ナレーション）
         if (data.dialogues && data.dialogues.length > 0) {
             html += '<div class="section"><h4>テキスト</h4><div class="dialogue-list">';
             for (const dialogue of data.dialogues) {
                 const speakerClass = dialogue.speaker ? 'dialogue-speaker' : 'dialogue-narrator';
                 const speakerName = dialogue.speaker || 'ナレーション';
-                html += `<div class="dialogue-item">`;
+                html += `<div class="dialogue-item source-link" data-line="${dialogue.line}">`;
                 html += `<span class="${speakerClass}">${this.escapeHtml(speakerName)}</span>`;
                 html += `<span class="dialogue-text">${this.escapeHtml(dialogue.text)}</span>`;
                 html += `</div>`;
@@ -1104,6 +2319,11 @@ class TyranoFlowApp {
 
         container.innerHTML = html;
 
+        // 行のある項目（ラベル・テキストなど）はクリックでその行のソースを表示
+        container.querySelectorAll('.source-link').forEach(item => {
+            item.addEventListener('click', () => this.showSource(filename, parseInt(item.dataset.line) || null));
+        });
+
         // ハイライト
         document.querySelectorAll('.file-row').forEach(row => {
             row.classList.remove('selected');
@@ -1148,7 +2368,7 @@ class TyranoFlowApp {
     async createAudioPreviewHtml(audio) {
         const storage = audio.storage;
         const folder = audio.type === 'bgm' ? 'bgm' : 'sound';
-        const typeLabel = audio.type === 'bgm' ? 'BGM' : 'SE';
+        const typeLabel = audio.type === 'bgm' ? 'BGM' : (audio.type === 'voice' ? 'ボイス' : 'SE');
 
         const blobUrl = await this.getResourceBlobUrl(storage, folder);
 
@@ -1195,19 +2415,13 @@ class TyranoFlowApp {
     }
 
     /**
-     * リソースファイルのBlob URLを取得
+     * リソースファイルのハンドルを取得（見つからなければnull）
      */
-    async getResourceBlobUrl(storagePath, folderType) {
-        // キャッシュをチェック
-        const cacheKey = `${folderType}/${storagePath}`;
-        if (this.blobUrlCache.has(cacheKey)) {
-            return this.blobUrlCache.get(cacheKey);
-        }
+    async getResourceFileHandle(storagePath, folderType) {
+        const folderHandle = this.resourceHandles[folderType];
+        if (!folderHandle || !storagePath) return null;
 
         try {
-            const folderHandle = this.resourceHandles[folderType];
-            if (!folderHandle) return null;
-
             // パスを分解してファイルを取得
             const pathParts = storagePath.split('/');
             let currentHandle = folderHandle;
@@ -1217,7 +2431,29 @@ class TyranoFlowApp {
             }
 
             const fileName = pathParts[pathParts.length - 1];
-            const fileHandle = await currentHandle.getFileHandle(fileName);
+            return await currentHandle.getFileHandle(fileName);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * リソースファイルのBlob URLを取得
+     */
+    async getResourceBlobUrl(storagePath, folderType) {
+        // キャッシュをチェック
+        const cacheKey = `${folderType}/${storagePath}`;
+        if (this.blobUrlCache.has(cacheKey)) {
+            return this.blobUrlCache.get(cacheKey);
+        }
+
+        try {
+            const fileHandle = await this.getResourceFileHandle(storagePath, folderType);
+            if (!fileHandle) {
+                console.warn(`Resource not found: ${folderType}/${storagePath}`);
+                return null;
+            }
+
             const file = await fileHandle.getFile();
             const blobUrl = URL.createObjectURL(file);
 
@@ -1289,41 +2525,261 @@ class TyranoFlowApp {
     }
 
     /**
-     * 更新
+     * 更新（全ファイルを読み直し、追加・削除されたファイルも反映する）
+     * 監視による読み直しの途中なら、それが終わってから行う
+     */
+    async refresh() {
+        if (!this.scenarioHandle) {
+            this.showError('先にフォルダを選択してください');
+            return;
+        }
+        if (this.syncing) {
+            this.refreshPending = true;
+            this.updateStatus('変更を確認しています。終わり次第更新します');
+            return;
+        }
+
+        this.syncing = true;
+        this.showLoading(true);
+        this.clearBlobCache();
+
+        try {
+            const changes = await this.syncFiles(true);
+            await this.applyFileChanges();
+            this.commitFileStamps(changes);
+            const added = changes.added.length > 0 ? `（追加: ${changes.added.length}個）` : '';
+            const removed = changes.removed.length > 0 ? `（削除: ${changes.removed.length}個）` : '';
+            this.updateStatus(`更新しました${added}${removed}`);
+        } catch (error) {
+            console.error('Refresh error:', error);
+            this.showError('更新に失敗しました');
+        }
+
+        this.showLoading(false);
+        this.syncing = false;
+        await this.runPendingRefresh();
+    }
+
+    /**
+     * 読み直し中に押された更新があれば行う
+     */
+    async runPendingRefresh() {
+        if (!this.refreshPending) return;
+        this.refreshPending = false;
+        await this.refresh();
+    }
+
+    /**
+     * scenarioフォルダの .ks ファイルを集め直し、変更されたファイルだけを解析し直す
+     * 読み直したファイルの更新日時は stamps に返し、applyFileChanges() が済んでから commitFileStamps() で記録する
+     * （反映に失敗した変更は次の確認でもう一度読み直す）
+     * @param {boolean} force - 変更がなくても全ファイルを解析し直す
+     * @returns {Object} { changed, added, removed, stamps } changed / added / removed はファイル名の配列、
+     *   stamps はファイル名 -> 更新日時
+     */
+    async syncFiles(force = false) {
+        const ksFiles = [];
+        await this.collectKsFiles(this.scenarioHandle, ksFiles, '');
+
+        const changes = { changed: [], added: [], removed: [], stamps: new Map() };
+        const found = new Set();
+        for (const { handle, relativePath } of ksFiles) {
+            const filename = handle.name;
+            found.add(filename);
+            const file = await handle.getFile();
+            const isNew = !this.fileHandles.has(filename);
+            if (!force && !isNew && this.fileStamps.get(filename) === file.lastModified) continue;
+
+            const content = await file.text();
+            this.flowchart.addParsedFile(filename, this.parser.parse(content, filename));
+            this.fileHandles.set(filename, handle);
+            this.filePaths.set(filename, relativePath);
+            this.fileContents.delete(filename);
+            changes.stamps.set(filename, file.lastModified);
+            (isNew ? changes.added : changes.changed).push(filename);
+        }
+
+        [...this.fileHandles.keys()].filter(filename => !found.has(filename)).forEach(filename => {
+            this.flowchart.removeParsedFile(filename);
+            this.fileHandles.delete(filename);
+            this.filePaths.delete(filename);
+            this.fileStamps.delete(filename);
+            this.fileContents.delete(filename);
+            changes.removed.push(filename);
+        });
+
+        return changes;
+    }
+
+    /**
+     * 反映が済んだファイルの更新日時を記録（syncFiles() の結果）
+     */
+    commitFileStamps(changes) {
+        changes.stamps.forEach((lastModified, filename) => this.fileStamps.set(filename, lastModified));
+    }
+
+    /**
+     * 読み直したファイルを各ビューに反映（パン・ズーム、ファイル詳細、ルートの選択はそのまま）
+     */
+    async applyFileChanges() {
+        // マクロの定義が変わった場合に備えて展開は全ファイルでやり直す
+        this.parser.applyMacros(this.flowchart.parsedFiles);
+
+        await this.validateAssets();
+        this.runDiagnostics();
+        this.runReachability();
+        this.runReadingTime();
+        this.runRouteEnumeration(true);
+
+        // 台詞の修正など図に現れない変更では描き直さない
+        // （Mermaidは図全体をまとめてレイアウトするため、変わったsubgraphだけを差し替えることはできない）
+        const rerendered = await this.flowchart.render('flowchart-container', { skipUnchanged: true });
+
+        // パン・ズームをSVGにアタッチ（表示位置は変えない）
+        if (rerendered && this.panZoom) {
+            this.panZoom.attachToSvg(true);
+        }
+
+        this.renderFileList();
+        this.renderDiagnostics();
+        this.renderRoutes();
+        this.renderChoiceTree();
+        this.renderVariables();
+        this.renderCharacters();
+
+        // タイムライン表示中なら作り直し、再生ヘッドは同じ位置に戻す
+        const timelineView = document.getElementById('timeline-view');
+        if (timelineView && timelineView.classList.contains('active')) {
+            const playheadTime = this.playheadTime;
+            await this.buildAndRenderTimeline();
+            this.setPlayheadTime(Math.min(playheadTime, this.getTimelineEndTime()));
+        }
+
+        // 表示中のソースを読み直す（削除されたファイルなら閉じる）
+        if (this.sourceFilename) {
+            if (this.fileHandles.has(this.sourceFilename)) {
+                const body = document.getElementById('source-pane-body');
+                const scrollTop = body ? body.scrollTop : 0;
+                await this.showSource(this.sourceFilename, this.sourceLine);
+                if (body) body.scrollTop = scrollTop;
+            } else {
+                this.closeSource();
+            }
+        }
+
+        // 表示中のファイル詳細を開き直す（削除されたファイルなら閉じる）
+        if (this.detailFilename) {
+            const data = this.flowchart.parsedFiles.get(this.detailFilename);
+            if (data) {
+                await this.showFileDetails(this.detailFilename, data);
+            } else {
+                this.detailFilename = null;
+                const details = document.getElementById('file-details');
+                if (details) details.innerHTML = '';
+            }
+        }
+    }
+
+    /**
+     * 監視中かどうか
+     */
+    isWatching() {
+        return this.watchTimer !== null || this.watchObserver !== null;
+    }
+
+    /**
+     * フォルダの監視を切り替え
+     */
+    async toggleWatch() {
+        if (this.isWatching()) {
+            this.stopWatch();
+            this.updateStatus('フォルダの監視を停止しました');
+        } else {
+            if (!this.scenarioHandle) {
+                this.showError('先にフォルダを選択してください');
+                return;
+            }
+            if (this.projectSource.isMemoryHandle(this.scenarioHandle)) {
+                this.showError('ファイル一覧・ZIP・asar・tpmから読み込んだ場合は変更を監視できません');
+                return;
+            }
+            await this.startWatch();
+            this.updateStatus('フォルダを監視しています（保存すると自動で反映します）');
+        }
+    }
+
+    /**
+     * フォルダの監視を開始
+     * FileSystemObserver が使えるブラウザでは変更の通知を、それ以外では最終更新日時のポーリングを使う
+     */
+    async startWatch() {
+        this.stopWatch();
+
+        if (typeof FileSystemObserver !== 'undefined') {
+            try {
+                const observer = new FileSystemObserver(() => this.checkForChanges());
+                await observer.observe(this.scenarioHandle, { recursive: true });
+                this.watchObserver = observer;
+            } catch (error) {
+                console.warn('FileSystemObserver unavailable, falling back to polling:', error);
+            }
+        }
+        if (!this.watchObserver) {
+            this.watchTimer = setInterval(() => this.checkForChanges(), this.watchInterval);
+        }
+        this.updateWatchButton();
+    }
+
+    /**
+     * フォルダの監視を停止
+     */
+    stopWatch() {
+        if (this.watchObserver) {
+            this.watchObserver.disconnect();
+            this.watchObserver = null;
+        }
+        if (this.watchTimer !== null) {
+            clearInterval(this.watchTimer);
+            this.watchTimer = null;
+        }
+        this.updateWatchButton();
+    }
+
+    /**
+     * 監視ボタンの表示を更新
+     */
+    updateWatchButton() {
+        const watchBtn = document.getElementById('watch-btn');
+        if (!watchBtn) return;
+        const watching = this.isWatching();
+        watchBtn.classList.toggle('watching', watching);
+        watchBtn.textContent = watching ? '監視中' : '監視';
+        watchBtn.title = watching ? 'クリックで監視を停止' : 'フォルダの変更を自動で反映';
+    }
+
+    /**
+     * 変更されたファイルがあれば読み直して反映（監視から呼ばれる）
      */
-    async refresh() {
-        if (this.fileHandles.size === 0) {
-            this.showError('先にフォルダを選択してください');
-            return;
-        }
-
-        this.showLoading(true);
-        this.flowchart.clear();
-        this.clearBlobCache();
+    async checkForChanges() {
+        if (this.syncing || !this.scenarioHandle) return;
+        this.syncing = true;
 
         try {
-            for (const [filename, handle] of this.fileHandles) {
-                const file = await handle.getFile();
-                const content = await file.text();
-                const parsed = this.parser.parse(content, filename);
-                this.flowchart.addParsedFile(filename, parsed);
-            }
-
-            await this.flowchart.render('flowchart-container');
-
-            // パン・ズームをSVGにアタッチ
-            if (this.panZoom) {
-                this.panZoom.attachToSvg();
+            const changes = await this.syncFiles();
+            const filenames = [...changes.changed, ...changes.added, ...changes.removed];
+            if (filenames.length > 0) {
+                await this.applyFileChanges();
+                this.commitFileStamps(changes);
+                const time = new Date().toLocaleTimeString();
+                this.updateStatus(`${time} 変更を反映しました: ${filenames.join(', ')}`);
             }
-
-            this.renderFileList();
-            this.updateStatus('更新しました');
         } catch (error) {
-            console.error('Refresh error:', error);
-            this.showError('更新に失敗しました');
+            // 保存途中のファイルなどで読めない場合は次の確認で読み直す
+            console.warn('Watch error:', error);
         }
 
-        this.showLoading(false);
+        this.syncing = false;
+        await this.runPendingRefresh();
     }
 
     /**
@@ -1432,7 +2888,8 @@ class TyranoFlowApp {
                     results.push({
                         filename: filename,
                         type: 'jump',
-                        text: `[jump] → ${jump.storage || ''}${jump.target ? ' *' + jump.target : ''}`
+                        text: `[jump] → ${jump.storage || ''}${jump.target ? ' *' + jump.target : ''}`,
+                        line: jump.line
                     });
                 }
             });
@@ -1444,7 +2901,8 @@ class TyranoFlowApp {
                     results.push({
                         filename: filename,
                         type: 'link',
-                        text: `[${link.type}] ${link.text || ''} → ${link.storage || ''}`
+                        text: `[${link.type}] ${link.text || ''} → ${link.storage || ''}`,
+                        line: link.line
                     });
                 }
             });
@@ -1471,8 +2929,9 @@ class TyranoFlowApp {
             let html = '';
             results.forEach((result, index) => {
                 const highlightedText = this.highlightText(result.text, query);
-                html += `<div class="search-result-item" data-index="${index}" data-filename="${result.filename}">`;
-                html += `<div class="search-result-file">${result.filename}</div>`;
+                html += `<div class="search-result-item" data-index="${index}" data-filename="${result.filename}" data-line="${result.line || ''}">`;
+                const lineInfo = result.line ? ` (行: ${result.line})` : '';
+                html += `<div class="search-result-file">${result.filename}${lineInfo}</div>`;
                 if (result.speaker !== undefined) {
                     html += `<div class="search-result-speaker">${result.speaker || 'ナレーション'}</div>`;
                 }
@@ -1481,13 +2940,14 @@ class TyranoFlowApp {
             });
             resultsContainer.innerHTML = html;
 
-            // クリックでファイル詳細を表示
+            // クリックでファイル詳細と該当行のソースを表示
             resultsContainer.querySelectorAll('.search-result-item').forEach(item => {
                 item.addEventListener('click', () => {
                     const filename = item.dataset.filename;
                     const data = this.flowchart.parsedFiles.get(filename);
                     if (data) {
                         this.showFileDetails(filename, data);
+                        this.showSource(filename, parseInt(item.dataset.line) || null);
                         modal.classList.remove('active');
                     }
                 });
@@ -1513,12 +2973,571 @@ class TyranoFlowApp {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    /**
+     * レポートモーダルを表示
+     * 各項目に data-filename を持たせておくと、クリックでファイル詳細を開く
+     */
+    showReportModal(title, bodyHtml, actions = []) {
+        const modal = document.getElementById('report-modal');
+        const titleEl = document.getElementById('report-title');
+        const body = document.getElementById('report-body');
+        const actionsEl = document.getElementById('report-actions');
+        if (!modal || !titleEl || !body) return;
+
+        titleEl.textContent = title;
+        body.innerHTML = bodyHtml;
+
+        // ヘッダーのボタン（エクスポートなど）
+        if (actionsEl) {
+            actionsEl.innerHTML = '';
+            actions.forEach(({ label, onClick }) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = label;
+                button.addEventListener('click', onClick);
+                actionsEl.appendChild(button);
+            });
+        }
+
+        body.querySelectorAll('[data-filename]').forEach(item => {
+            item.addEventListener('click', () => {
+                const data = this.flowchart.parsedFiles.get(item.dataset.filename);
+                if (data) {
+                    this.showFileDetails(item.dataset.filename, data);
+                    modal.classList.remove('active');
+                }
+            });
+        });
+
+        modal.classList.add('active');
+    }
+
+    /**
+     * 不足素材レポートを表示
+     */
+    showMissingAssetsReport() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+        if (!this.dataHandle) {
+            this.showError('dataフォルダが見つからないため素材を確認できません');
+            return;
+        }
+
+        let html = '';
+        if (this.missingAssets.length === 0) {
+            html = '<div class="search-no-results">不足している素材はありません</div>';
+        } else {
+            this.missingAssets.forEach(ref => {
+                html += `<div class="search-result-item" data-filename="${this.escapeHtml(ref.filename)}">`;
+                html += `<div class="search-result-file">${this.escapeHtml(ref.filename)} (行: ${ref.line})</div>`;
+                html += `<div class="search-result-text">[${ref.type}] ${this.escapeHtml(ref.folder + '/' + ref.storage)}</div>`;
+                html += '</div>';
+            });
+        }
+
+        this.showReportModal(`不足素材 (${this.missingAssets.length}件)`, html);
+    }
+
+    /**
+     * 到達不能なファイル・ラベルのレポートを表示
+     */
+    showReachabilityReport() {
+        if (this.flowchart.parsedFiles.size === 0 || !this.reachability) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+
+        const { entryPoints, unreachableFiles, unreachableLabels } = this.reachability;
+        const storyFiles = unreachableFiles.filter(name => !this.flowchart.isSystemFile(name));
+        const systemFiles = unreachableFiles.filter(name => this.flowchart.isSystemFile(name));
+
+        // 開始ファイルの指定
+        let html = '<div class="report-form">';
+        html += '<label for="entry-points-input">開始ファイル</label>';
+        html += `<input type="text" id="entry-points-input" value="${this.escapeHtml(entryPoints.join(', '))}" placeholder="first.ks, title.ks*start">`;
+        html += '<button id="entry-points-apply" class="btn btn-secondary">再解析</button>';
+        html += '</div>';
+
+        const renderItems = (items, emptyText) => {
+            if (items.length === 0) {
+                return `<div class="search-no-results">${emptyText}</div>`;
+            }
+            return items.map(item => {
+                let itemHtml = `<div class="search-result-item" data-filename="${this.escapeHtml(item.filename)}">`;
+                itemHtml += `<div class="search-result-file">${this.escapeHtml(item.filename)}${item.line ? ` (行: ${item.line})` : ''}</div>`;
+                if (item.label) {
+                    itemHtml += `<div class="search-result-text">*${this.escapeHtml(item.label)}</div>`;
+                }
+                return itemHtml + '</div>';
+            }).join('');
+        };
+
+        html += `<h4 class="report-section-title">到達できないファイル (${storyFiles.length})</h4>`;
+        html += renderItems(storyFiles.map(filename => ({ filename })), 'すべてのファイルに到達できます');
+        html += `<h4 class="report-section-title">到達できないラベル (${unreachableLabels.length})</h4>`;
+        html += renderItems(unreachableLabels, 'すべてのラベルに到達できます');
+        if (systemFiles.length > 0) {
+            html += `<h4 class="report-section-title">到達できないシステムファイル (${systemFiles.length})</h4>`;
+            html += '<div class="report-note">メニューやボタンの role から呼び出されるものは含まれません</div>';
+            html += renderItems(systemFiles.map(filename => ({ filename })), '');
+        }
+
+        this.showReportModal(`到達チェック (${storyFiles.length}ファイル / ${unreachableLabels.length}ラベル)`, html);
+
+        // 開始ファイルを変更して再解析
+        const input = document.getElementById('entry-points-input');
+        const applyBtn = document.getElementById('entry-points-apply');
+        const apply = async () => {
+            this.entryPoints = this.reachabilityAnalyzer.parseEntryPoints(input.value);
+            this.runReachability();
+            this.runRouteEnumeration();
+            this.renderFileList();
+            this.renderRoutes();
+            this.renderChoiceTree();
+            await this.flowchart.render('flowchart-container');
+            if (this.panZoom) {
+                this.panZoom.attachToSvg();
+            }
+            this.showReachabilityReport();
+        };
+        if (input && applyBtn) {
+            applyBtn.addEventListener('click', apply);
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    apply();
+                }
+            });
+        }
+    }
+
+    /**
+     * 未使用素材レポートを表示
+     */
+    async showUnusedAssetsReport() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+        if (!this.dataHandle) {
+            this.showError('dataフォルダが見つからないため素材を確認できません');
+            return;
+        }
+
+        this.showLoading(true);
+        let unused = [];
+        try {
+            const files = await this.listResourceFiles();
+            const voiceRefs = this.voiceAnalyzer.collectReferences(this.voiceAnalyzer.analyze(this.flowchart));
+            unused = this.assets.findUnused(this.flowchart.parsedFiles, files, voiceRefs);
+        } catch (error) {
+            console.error('Resource listing error:', error);
+            this.showError('素材フォルダの読み込みに失敗しました');
+            this.showLoading(false);
+            return;
+        }
+        this.showLoading(false);
+
+        const totalSize = this.assets.formatSize(this.assets.getTotalSize(unused));
+
+        let html = '';
+        if (unused.length === 0) {
+            html = '<div class="search-no-results">未使用の素材はありません</div>';
+        } else {
+            html += '<table class="file-table report-table">';
+            html += '<thead><tr><th>フォルダ</th><th>ファイル</th><th>サイズ</th></tr></thead><tbody>';
+            unused.forEach(file => {
+                html += '<tr>';
+                html += `<td>${file.folder}</td>`;
+                html += `<td>${this.escapeHtml(file.path)}</td>`;
+                html += `<td class="size-cell">${this.assets.formatSize(file.size)}</td>`;
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+        }
+
+        const projectName = this.currentProjectPath || 'project';
+        this.showReportModal(`未使用素材 (${unused.length}件 / ${totalSize})`, html, [
+            {
+                label: 'テキスト出力',
+                onClick: () => this.downloadText(`${projectName}-unused-assets.txt`, this.assets.toText(unused), 'text/plain')
+            },
+            {
+                label: 'CSV出力',
+                onClick: () => this.downloadText(`${projectName}-unused-assets.csv`, this.assets.toCsv(unused), 'text/csv')
+            }
+        ]);
+    }
+
+    /**
+     * ボイスの収録状況レポートを表示
+     * キャラクターごとの進捗と、ボイスファイルが見つからないセリフを一覧にする
+     */
+    async showVoiceReport() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+
+        const lines = this.voiceAnalyzer.analyze(this.flowchart);
+        if (this.dataHandle) {
+            this.showLoading(true);
+            await this.voiceAnalyzer.checkRecorded(
+                lines,
+                async (storage, folder) => (await this.getResourceFileHandle(storage, folder)) !== null
+            );
+            this.showLoading(false);
+        }
+        const summary = this.voiceAnalyzer.summarize(lines);
+
+        let html = '';
+        if (!this.dataHandle) {
+            html += '<p class="report-note">dataフォルダが見つからないため、ボイスファイルの有無は確認していません</p>';
+        }
+
+        if (summary.length === 0) {
+            html += '<div class="search-no-results">話者付きのセリフがありません</div>';
+        } else {
+            html += '<table class="file-table report-table voice-table">';
+            html += '<thead><tr><th>キャラクター</th><th>セリフ</th><th>ボイス指定</th><th>収録済み</th><th>未収録</th><th>進捗</th></tr></thead><tbody>';
+            summary.forEach(item => {
+                const progress = item.voiced > 0 ? Math.round(item.recorded / item.voiced * 100) : 0;
+                html += '<tr>';
+                html += `<td>${this.escapeHtml(item.speaker)}</td>`;
+                html += `<td>${item.total}</td>`;
+                html += `<td>${item.voiced}</td>`;
+                html += `<td>${item.recorded}</td>`;
+                html += `<td class="${item.missing > 0 ? 'voice-missing' : ''}">${item.missing}</td>`;
+                html += `<td><div class="voice-progress"><div class="voice-progress-bar" style="width: ${progress}%"></div></div>${progress}%</td>`;
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+        }
+
+        const missingLines = lines.filter(line => line.status === 'missing');
+        if (missingLines.length > 0) {
+            html += `<div class="report-section-title">未収録のセリフ (${missingLines.length}件)</div>`;
+            missingLines.forEach(line => {
+                html += `<div class="search-result-item" data-filename="${this.escapeHtml(line.filename)}">`;
+                html += `<div class="search-result-file">${this.escapeHtml(line.filename)} (行: ${line.line}) ${this.escapeHtml(line.speaker || '')}</div>`;
+                html += `<div class="search-result-text">${this.escapeHtml(line.missing.join(' / '))}: ${this.escapeHtml(line.text)}</div>`;
+                html += '</div>';
+            });
+        }
+
+        const projectName = this.currentProjectPath || 'project';
+        this.showReportModal('ボイス収録状況', html, [
+            {
+                label: '台本CSV出力',
+                onClick: () => this.downloadText(`${projectName}-voice-script.csv`, this.voiceAnalyzer.toCsv(lines), 'text/csv')
+            }
+        ]);
+    }
+
+    /**
+     * 推定プレイ時間のレポートを表示
+     * 見積もりの設定を変えるとファイル一覧・フローチャート・ルートの表示も更新する
+     */
+    showReadingTimeReport() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+
+        const fields = [
+            { key: 'charsPerMinute', label: '文字/分' },
+            { key: 'textSpeed', label: '表示 ms/文字' },
+            { key: 'autoWait', label: 'クリック ms' },
+            { key: 'videoSeconds', label: '動画 秒' }
+        ];
+        let html = '<div class="report-form reading-settings">';
+        fields.forEach(({ key, label }) => {
+            html += `<label for="reading-${key}">${label}</label>`;
+            html += `<input type="number" min="0" id="reading-${key}" class="reading-setting" data-key="${key}" value="${this.readingEstimator.settings[key]}">`;
+        });
+        html += '</div>';
+        html += '<p class="report-note">クリック待ちまでの1ページを「読む時間」と「文字表示の時間」の長い方とし、クリック待ちの間と [wait time] を加えます。動画の長さは読み込まないため動画待ちは固定の秒数です</p>';
+        html += '<div id="reading-time-tables"></div>';
+
+        const storyFiles = () => this.flowchart.getSortedStoryFiles().map(({ filename }) => filename);
+        const routes = () => (this.routeResult ? this.routeResult.routes : []);
+        const projectName = this.currentProjectPath || 'project';
+        this.showReportModal('推定プレイ時間', html, [
+            {
+                label: 'CSV出力',
+                onClick: () => this.downloadText(
+                    `${projectName}-reading-time.csv`,
+                    this.readingEstimator.toCsv(this.readingTimes, storyFiles(), routes()),
+                    'text/csv'
+                )
+            }
+        ]);
+
+        const renderTables = () => {
+            const minutes = seconds => this.readingEstimator.formatMinutes(seconds);
+            let tables = '<table class="file-table report-table">';
+            tables += '<thead><tr><th>ファイル / ラベル</th><th>文字</th><th>クリック</th><th>推定時間</th></tr></thead><tbody>';
+            let total = 0;
+            storyFiles().forEach(filename => {
+                const estimate = this.readingTimes.get(filename);
+                total += estimate.seconds;
+                tables += `<tr class="reading-file" data-filename="${this.escapeHtml(filename)}"><td>${this.escapeHtml(filename)}</td><td>${estimate.chars}</td><td>${estimate.clicks}</td><td>${minutes(estimate.seconds)}</td></tr>`;
+                estimate.blocks.filter(block => block.label).forEach(block => {
+                    tables += `<tr class="reading-label"><td>*${this.escapeHtml(block.label)}</td><td>${block.chars}</td><td>${block.clicks}</td><td>${minutes(block.seconds)}</td></tr>`;
+                });
+            });
+            tables += `<tr class="reading-total"><td>合計</td><td></td><td></td><td>${minutes(total)}</td></tr>`;
+            tables += '</tbody></table>';
+
+            if (routes().length > 0) {
+                tables += '<div class="report-section-title">ルート</div>';
+                tables += '<table class="file-table report-table">';
+                tables += '<thead><tr><th>ルート</th><th>エンディング</th><th>選択肢</th><th>推定時間</th></tr></thead><tbody>';
+                routes().forEach(route => {
+                    const estimate = this.readingEstimator.estimateRoute(route, this.readingTimes);
+                    const choices = route.choices.map(choice => this.escapeHtml(choice.text)).join(' → ') || '(選択肢なし)';
+                    tables += `<tr><td>${route.id}</td><td>${this.escapeHtml(route.ending)}</td><td>${choices}</td><td>${minutes(estimate.seconds)}</td></tr>`;
+                });
+                tables += '</tbody></table>';
+            }
+
+            const container = document.getElementById('reading-time-tables');
+            container.innerHTML = tables;
+            container.querySelectorAll('[data-filename]').forEach(row => {
+                row.addEventListener('click', () => {
+                    this.showFileDetails(row.dataset.filename, this.flowchart.parsedFiles.get(row.dataset.filename));
+                    document.getElementById('report-modal').classList.remove('active');
+                });
+            });
+        };
+        renderTables();
+
+        document.querySelectorAll('.reading-setting').forEach(input => {
+            input.addEventListener('change', async () => {
+                this.readingEstimator.setSettings({ [input.dataset.key]: input.value });
+                input.value = this.readingEstimator.settings[input.dataset.key];
+                this.runReadingTime();
+                renderTables();
+                this.renderFileList();
+                this.renderRoutes();
+                if (this.timeScale) {
+                    this.timeScale = this.readingEstimator.createTimeScale(this.timeline);
+                    this.updateTimelineStats();
+                    this.renderTimelineTracks();
+                }
+                if (this.flowchart.displayMode !== 'simple') {
+                    await this.flowchart.render('flowchart-container');
+                    if (this.panZoom) {
+                        this.panZoom.attachToSvg();
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * 台本出力ダイアログを表示
+     * 話者の絞り込みと選択肢の有無を選んでCSV / TSVとして保存する
+     */
+    showScriptExportDialog() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+
+        const speakers = this.scriptExporter.getSpeakers(this.flowchart);
+
+        let html = '<div class="report-section-title">話者</div><div class="script-speakers">';
+        speakers.forEach(({ speaker, count }) => {
+            html += `<label><input type="checkbox" class="script-speaker" value="${this.escapeHtml(speaker)}" checked> `;
+            html += `${this.escapeHtml(speaker || 'ナレーション')} (${count})</label>`;
+        });
+        html += '</div>';
+        html += '<label class="script-option"><input type="checkbox" id="script-include-choices"> 選択肢のテキストを含める</label>';
+        html += '<p class="report-note" id="script-export-summary"></p>';
+
+        // 現在の指定で台本の行を収集
+        const collect = () => {
+            const checked = [...document.querySelectorAll('.script-speaker:checked')].map(input => input.value);
+            const includeChoices = document.getElementById('script-include-choices').checked;
+            return this.scriptExporter.collect(this.flowchart, {
+                speakers: checked.length === speakers.length ? null : new Set(checked),
+                includeChoices
+            });
+        };
+
+        const projectName = this.currentProjectPath || 'project';
+        this.showReportModal('台本出力', html, [
+            {
+                label: 'CSV出力',
+                onClick: () => this.downloadText(`${projectName}-script.csv`, this.scriptExporter.toCsv(collect()), 'text/csv')
+            },
+            {
+                label: 'TSV出力',
+                onClick: () => this.downloadText(`${projectName}-script.tsv`, this.scriptExporter.toTsv(collect()), 'text/tab-separated-values')
+            }
+        ]);
+
+        // 出力される行数と文字数を表示
+        const updateSummary = () => {
+            const rows = collect();
+            const chars = rows.reduce((sum, row) => sum + row.chars, 0);
+            document.getElementById('script-export-summary').textContent = `${rows.length}行 / ${chars}文字`;
+        };
+        document.querySelectorAll('.script-speaker, #script-include-choices').forEach(input => {
+            input.addEventListener('change', updateSummary);
+        });
+        updateSummary();
+    }
+
+    /**
+     * 翻訳取込ダイアログを表示
+     * 台本出力のCSV / TSV に translation 列を記入したファイルを読み込み、結果を確認してから書き出す
+     */
+    showTranslationImportDialog() {
+        if (this.flowchart.parsedFiles.size === 0) {
+            this.showError('先にフォルダを読み込んでください');
+            return;
+        }
+
+        let html = '<div class="report-form">';
+        html += '<label for="translation-locale-input">言語</label>';
+        html += '<input type="text" id="translation-locale-input" value="en" placeholder="en">';
+        html += '<input type="file" id="translation-file-input" accept=".csv,.tsv,.txt">';
+        html += '</div>';
+        html += '<p class="report-note">台本出力のファイルに translation 列を記入したものを選択してください。行IDで照合し、data/scenario_言語 に書き出します</p>';
+        this.showReportModal('翻訳取込', html);
+
+        const fileInput = document.getElementById('translation-file-input');
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const locale = document.getElementById('translation-locale-input').value.trim() || 'en';
+
+            try {
+                const table = this.translationImporter.parseTable(await file.text());
+                const contents = new Map();
+                for (const [filename, handle] of this.fileHandles) {
+                    contents.set(filename, await (await handle.getFile()).text());
+                }
+                const result = this.translationImporter.apply(this.flowchart, contents, table);
+                this.showTranslationImportResult(locale, result);
+            } catch (error) {
+                console.error('Translation import error:', error);
+                this.showError('翻訳ファイルを読み込めませんでした: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * 翻訳取込の結果（未翻訳・置き換えできない行・原文変更・不明なID・行IDの変化）を表示
+     */
+    showTranslationImportResult(locale, result) {
+        const { translated, untranslated, untranslatable, changed, unknown, mismatched } = result;
+        const renderRows = (rows, renderText) => rows.map(row => {
+            let item = `<div class="search-result-item" data-filename="${this.escapeHtml(row.filename)}">`;
+            item += `<div class="search-result-file">${this.escapeHtml(row.id)} (行: ${row.line})</div>`;
+            item += `<div class="search-result-text">${renderText(row)}</div>`;
+            return item + '</div>';
+        }).join('');
+
+        let html = `<p class="report-note">翻訳済み ${translated.length}行 / 未翻訳 ${untranslated.length}行 / 置き換え不可 ${untranslatable.length}行 / 原文変更 ${changed.length}行 / 不明なID ${unknown.length}件</p>`;
+        if (mismatched.missing.length > 0 || mismatched.added.length > 0) {
+            // 書き出した内容を読み直すと台本の構成が変わる（次の台本出力で行IDがずれる）
+            html += `<h4 class="report-section-title">書き出すと行IDが変わります</h4>`;
+            html += mismatched.missing.map(id => `<div class="search-result-item">- ${this.escapeHtml(id)}</div>`).join('');
+            html += mismatched.added.map(id => `<div class="search-result-item">+ ${this.escapeHtml(id)}</div>`).join('');
+        }
+        if (untranslatable.length > 0) {
+            html += `<h4 class="report-section-title">置き換えられない行 (${untranslatable.length}) - 置き換えていません</h4>`;
+            html += renderRows(untranslatable, row =>
+                `${this.escapeHtml(row.translation)} - ${this.escapeHtml(row.reason)}`);
+        }
+        if (changed.length > 0) {
+            html += `<h4 class="report-section-title">原文が変更された行 (${changed.length}) - 置き換えていません</h4>`;
+            html += renderRows(changed, row =>
+                `${this.escapeHtml(row.exportedText)} → ${this.escapeHtml(row.text)}`);
+        }
+        if (untranslated.length > 0) {
+            html += `<h4 class="report-section-title">未翻訳の行 (${untranslated.length})</h4>`;
+            html += renderRows(untranslated, row => this.escapeHtml(row.text));
+        }
+        if (unknown.length > 0) {
+            html += `<h4 class="report-section-title">シナリオにない行ID (${unknown.length})</h4>`;
+            html += unknown.map(entry => `<div class="search-result-item">${this.escapeHtml(entry.id)}</div>`).join('');
+        }
+
+        this.showReportModal(`翻訳取込 (${locale})`, html, [
+            {
+                label: `scenario_${locale} に書き出し`,
+                onClick: () => this.writeTranslatedFiles(locale, result.files)
+            }
+        ]);
+    }
+
+    /**
+     * 翻訳後のファイルを data/scenario_言語 に書き出し（フォルダ構成は scenario と同じ）
+     */
+    async writeTranslatedFiles(locale, files) {
+        if (!this.dataHandle) {
+            this.showError('dataフォルダが見つからないため書き出せません');
+            return;
+        }
+        if (this.projectSource.isMemoryHandle(this.dataHandle)) {
+            this.showError('ファイル一覧・ZIP・asar・tpmから読み込んだ場合はフォルダに書き出せません');
+            return;
+        }
+
+        try {
+            // 読み込み時は読み取り権限のみのため、書き込み権限を求める
+            const permission = await this.dataHandle.requestPermission({ mode: 'readwrite' });
+            if (permission !== 'granted') {
+                this.showError('書き込みが許可されませんでした');
+                return;
+            }
+
+            const localeHandle = await this.dataHandle.getDirectoryHandle(`scenario_${locale}`, { create: true });
+            for (const [filename, content] of files) {
+                const parts = (this.filePaths.get(filename) || filename).split('/');
+                let dirHandle = localeHandle;
+                for (const dir of parts.slice(0, -1)) {
+                    dirHandle = await dirHandle.getDirectoryHandle(dir, { create: true });
+                }
+                const fileHandle = await dirHandle.getFileHandle(parts[parts.length - 1], { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(content);
+                await writable.close();
+            }
+            this.updateStatus(`scenario_${locale} に${files.size}個のファイルを書き出しました`);
+        } catch (error) {
+            console.error('Translation write error:', error);
+            this.showError('書き出しに失敗しました: ' + error.message);
+        }
+    }
+
+    /**
+     * テキストをファイルとしてダウンロード
+     */
+    downloadText(filename, text, mimeType) {
+        const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * タイムラインをビルドして描画
      */
     async buildAndRenderTimeline() {
         // タイムラインプロセッサをクリア
         this.timeline.clear();
+        this.timeScale = null;
+        this.compareTimeline = null;
+        this.compareTimeScale = null;
 
         // トラック選択をリセット（最初のトラックが自動選択される）
         this.selectedTrackId = null;
@@ -1532,38 +3551,57 @@ class TyranoFlowApp {
             return;
         }
 
-        // ストーリーファイルを時系列順に取得して処理
-        const storyFiles = this.flowchart.getSortedStoryFiles();
+        const route = this.findRoute(this.timelineRouteId);
+        if (route) {
+            // 選んだルートで通過するブロックだけを処理
+            await this.processRouteTimeline(this.timeline, route);
+        } else {
+            // ストーリーファイルを時系列順に取得して処理
+            const storyFiles = this.flowchart.getSortedStoryFiles();
 
-        console.log('=== Building Timeline ===');
-        console.log(`Processing ${storyFiles.length} story files...`);
+            console.log('=== Building Timeline ===');
+            console.log(`Processing ${storyFiles.length} story files...`);
 
-        for (const { filename, data } of storyFiles) {
-            // ファイル内容を取得
-            const handle = this.fileHandles.get(filename);
-            if (handle) {
-                try {
-                    const file = await handle.getFile();
-                    const content = await file.text();
-                    this.fileContents.set(filename, content);
-
-                    // [p]タグと@pコマンドの数をカウント（デバッグ用）
-                    const bracketPCount = (content.match(/\[p(?:\s[^\]]*)?]/gi) || []).length;
-                    const atPCount = (content.match(/^@p(?:\s|$)/gim) || []).length;
-                    const timeBeforeFile = this.timeline.currentTime;
-
-                    // TimelineProcessorで処理
-                    this.timeline.processFile(content, filename);
-
-                    console.log(`  ${filename}: [p]=${bracketPCount} @p=${atPCount}, time ${timeBeforeFile}→${this.timeline.currentTime}`);
-                } catch (error) {
-                    console.warn(`Failed to read file: ${filename}`, error);
+            for (const { filename, data } of storyFiles) {
+                // ファイル内容を取得
+                const handle = this.fileHandles.get(filename);
+                if (handle) {
+                    try {
+                        const file = await handle.getFile();
+                        const content = await file.text();
+                        this.fileContents.set(filename, content);
+
+                        // [p]タグと@pコマンドの数をカウント（デバッグ用）
+                        const bracketPCount = (content.match(/\[p(?:\s[^\]]*)?]/gi) || []).length;
+                        const atPCount = (content.match(/^@p(?:\s|$)/gim) || []).length;
+                        const timeBeforeFile = this.timeline.currentTime;
+
+                        // TimelineProcessorで処理
+                        this.timeline.processFile(content, filename);
+
+                        console.log(`  ${filename}: [p]=${bracketPCount} @p=${atPCount}, time ${timeBeforeFile}→${this.timeline.currentTime}`);
+                    } catch (error) {
+                        console.warn(`Failed to read file: ${filename}`, error);
+                    }
                 }
             }
         }
 
         // 処理を完了（未終了イベントを閉じる）
         this.timeline.finalize();
+        this.timeScale = this.readingEstimator.createTimeScale(this.timeline);
+        this.charaImages = this.collectCharaImages();
+
+        // 比較するルート（同じ時間軸の下段に並べる）
+        const compareRoute = this.findRoute(this.compareRouteId);
+        if (compareRoute) {
+            this.compareTimeline = new TimelineProcessor(this.parser);
+            await this.processRouteTimeline(this.compareTimeline, compareRoute);
+            this.compareTimeline.finalize();
+            this.compareTimeScale = this.readingEstimator.createTimeScale(this.compareTimeline);
+        }
+
+        this.renderTimelineRouteOptions();
 
         // 統計を更新
         this.updateTimelineStats();
@@ -1575,6 +3613,72 @@ class TyranoFlowApp {
         this.setPlayheadTime(0);
     }
 
+    /**
+     * ルートに沿ってタイムラインを処理
+     * 通過するラベル単位のブロックを順に、次へ進んだ jump・選択肢の行まで処理する
+     * （表示状態はプロセッサが引き継ぐため、ジャンプ先でも背景・BGM・キャラがそのまま続く）
+     */
+    async processRouteTimeline(timeline, route) {
+        const contents = new Map();
+        for (const step of route.steps) {
+            await this.processTimelineRange(timeline, step.filename, step.line, step.exitLine || step.endLine, contents);
+        }
+    }
+
+    /**
+     * ファイルの指定範囲をタイムラインに処理
+     * ルートは [call] を分岐として扱わないため、範囲内の [call] はその行で呼び出し先を [return] まで処理してから続ける
+     * @param {Map<string, string|null>} contents - 読み込んだファイル内容のキャッシュ（読めなかったファイルは null）
+     * @param {number} depth - [call] の入れ子の深さ（再帰する呼び出しで止まらないようにする）
+     */
+    async processTimelineRange(timeline, filename, startLine, endLine, contents, depth = 0) {
+        if (!contents.has(filename)) {
+            const handle = this.fileHandles.get(filename);
+            try {
+                contents.set(filename, handle ? await (await handle.getFile()).text() : null);
+            } catch (error) {
+                console.warn(`Failed to read file: ${filename}`, error);
+                contents.set(filename, null);
+            }
+        }
+        const content = contents.get(filename);
+        if (content === null) return;
+
+        const data = this.flowchart.parsedFiles.get(filename);
+        const calls = data && depth < this.maxCallDepth
+            ? data.calls.filter(call => call.line >= startLine && call.line <= endLine)
+            : [];
+
+        let line = startLine;
+        for (const call of calls) {
+            const subroutine = this.flowchart.getSubroutineRange(filename, call.storage, call.target);
+            if (!subroutine) continue;
+            timeline.processFile(content, filename, { startLine: line, endLine: call.line });
+            await this.processTimelineRange(timeline, subroutine.filename, subroutine.startLine, subroutine.endLine, contents, depth + 1);
+            line = call.line + 1;
+        }
+        timeline.processFile(content, filename, { startLine: line, endLine });
+    }
+
+    /**
+     * タイムラインのルート選択肢を更新（ルート番号・エンディング・選択肢）
+     */
+    renderTimelineRouteOptions() {
+        const routes = this.routeResult ? this.routeResult.routes : [];
+        const routeLabel = route => {
+            const choices = route.choices.map(choice => choice.text).join(' → ');
+            return `ルート ${route.id} → ${route.ending}${choices ? ` (${choices})` : ''}`;
+        };
+        const fill = (select, emptyLabel, selectedId) => {
+            if (!select) return;
+            select.innerHTML = `<option value="">${emptyLabel}</option>` + routes.map(route =>
+                `<option value="${route.id}"${route.id === selectedId ? ' selected' : ''}>${this.escapeHtml(routeLabel(route))}</option>`
+            ).join('');
+        };
+        fill(document.getElementById('timeline-route'), '全ストーリー（ファイル順）', this.timelineRouteId);
+        fill(document.getElementById('timeline-compare-route'), '比較なし', this.compareRouteId);
+    }
+
     /**
      * タイムライン統計を更新
      */
@@ -1582,7 +3686,8 @@ class TyranoFlowApp {
         const stats = this.timeline.getStats();
         const statsEl = document.getElementById('timeline-stats');
         if (statsEl) {
-            statsEl.textContent = `トラック: ${stats.trackCount} | イベント: ${stats.totalEvents} | 総時間: ${stats.totalTime} [p]`;
+            const seconds = this.timeScale ? ` (約${this.readingEstimator.formatClock(this.timeScale.totalSeconds)})` : '';
+            statsEl.textContent = `トラック: ${stats.trackCount} | イベント: ${stats.totalEvents} | 総時間: ${stats.totalTime} [p]${seconds}`;
         }
     }
 
@@ -1598,7 +3703,7 @@ class TyranoFlowApp {
         tracksContainer.innerHTML = '';
         if (rulerContent) rulerContent.innerHTML = '';
 
-        const trackList = this.timeline.getTrackList();
+        const trackList = this.getTimelineTrackList();
 
         if (trackList.length === 0) {
             tracksContainer.innerHTML = '<div class="timeline-empty">タイムラインデータがありません</div>';
@@ -1610,17 +3715,30 @@ class TyranoFlowApp {
         console.log(`pixelsPerUnit: ${this.pixelsPerUnit}, timelineZoom: ${this.timelineZoom}%`);
         console.log(`totalTime: ${this.timeline.totalTime}, tracks: ${trackList.length}`);
 
-        // 総時間からタイムラインの幅を計算
-        const totalWidth = this.timeToPixel(this.timeline.totalTime) + 100;
+        // 総時間からタイムラインの幅を計算（比較中は長い方に合わせる）
+        const totalPixels = Math.max(
+            this.timeToPixel(this.timeline.totalTime),
+            this.compareTimeline ? this.timeToPixel(this.compareTimeline.totalTime, this.compareTimeScale) : 0
+        );
+        const totalWidth = totalPixels + 100;
         console.log(`totalWidth: ${totalWidth}px`);
 
         // ルーラーを生成
         if (rulerContent) {
-            this.renderRuler(rulerContent, this.timeline.totalTime);
-        }
-
-        // 各トラックを生成
-        trackList.forEach(track => {
+            this.renderRuler(rulerContent, totalPixels);
+        }
+
+        // 各トラックを生成（比較中はルートごとに見出しを付ける）
+        trackList.forEach((track, index) => {
+            if (this.compareTimeline && (index === 0 || (track.compare && !trackList[index - 1].compare))) {
+                const header = document.createElement('div');
+                header.className = 'timeline-compare-header';
+                header.textContent = track.compare
+                    ? `比較: ルート ${this.compareRouteId}`
+                    : (this.timelineRouteId !== null ? `ルート ${this.timelineRouteId}` : '全ストーリー');
+                header.style.width = `${this.trackLabelWidth + totalWidth}px`;
+                tracksContainer.appendChild(header);
+            }
             const trackEl = this.createTrackElement(track, totalWidth);
             tracksContainer.appendChild(trackEl);
         });
@@ -1631,10 +3749,17 @@ class TyranoFlowApp {
 
     /**
      * ルーラーを生成
+     * @param {number} totalPixels - タイムラインの長さ（ピクセル）
      */
-    renderRuler(container, totalTime) {
+    renderRuler(container, totalPixels) {
         container.innerHTML = '';
 
+        if (this.isSecondsAxis()) {
+            this.renderSecondsRuler(container, totalPixels);
+            return;
+        }
+        const totalTime = this.pixelToTime(totalPixels);
+
         // 目盛り間隔を計算（ズームに応じて調整）
         let interval = 1;
         if (this.timelineZoom < 50) interval = 10;
@@ -1656,7 +3781,27 @@ class TyranoFlowApp {
             container.appendChild(marker);
         }
 
-        container.style.width = `${this.timeToPixel(totalTime) + 100}px`;
+        container.style.width = `${totalPixels + 100}px`;
+    }
+
+    /**
+     * 秒単位のルーラーを生成（目盛りは秒、ラベルは "分:秒"）
+     */
+    renderSecondsRuler(container, totalPixels) {
+        const scale = this.pixelsPerSecond * (this.timelineZoom / 100);
+        const totalSeconds = totalPixels / scale;
+
+        // ラベルが重ならない間隔（60px以上）を選ぶ
+        const interval = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600].find(seconds => seconds * scale >= 60) || 1200;
+        for (let seconds = 0; seconds <= totalSeconds; seconds += interval) {
+            const marker = document.createElement('div');
+            marker.className = 'ruler-marker major';
+            marker.style.left = `${seconds * scale}px`;
+            marker.innerHTML = `<span>${this.readingEstimator.formatClock(seconds)}</span>`;
+            container.appendChild(marker);
+        }
+
+        container.style.width = `${totalPixels + 100}px`;
     }
 
     /**
@@ -1691,8 +3836,8 @@ class TyranoFlowApp {
             this.selectedTrackId = track.id;
             this.selectedTrackType = track.type;
 
-            // 現在の再生ヘッド位置でプレビューを更新
-            this.updatePreviewAtTime(this.playheadTime);
+            // 選択したトラックのクリップをハイライト
+            this.highlightClipAtPlayhead(this.playheadTime);
         });
         trackEl.appendChild(label);
 
@@ -1719,16 +3864,16 @@ class TyranoFlowApp {
         clip.className = 'timeline-clip';
         clip.dataset.type = event.type;
 
-        // デバッグ用データ属性
-        clip.dataset.startTime = event.startTime;
-        clip.dataset.endTime = event.endTime;
+        // 再生ヘッド位置の判定用（比較トラックは主タイムラインの時間に直して持つ）
+        clip.dataset.startTime = this.toPrimaryTime(event.startTime, track.scale);
+        clip.dataset.endTime = this.toPrimaryTime(event.endTime, track.scale);
 
         // 位置とサイズを計算（NaN対策）
         const startTime = typeof event.startTime === 'number' ? event.startTime : 0;
         const endTime = typeof event.endTime === 'number' ? event.endTime : startTime + 0.5;
-        const left = this.timeToPixel(startTime);
+        const left = this.timeToPixel(startTime, track.scale);
         const duration = Math.max(endTime - startTime, 0.5); // 最小0.5単位
-        const width = Math.max(this.timeToPixel(duration), 20);
+        const width = Math.max(this.timeToPixel(startTime + duration, track.scale) - left, 20);
 
         clip.style.left = `${left}px`;
         clip.style.width = `${width}px`;
@@ -1773,7 +3918,7 @@ class TyranoFlowApp {
             <div class="clip-subtitle">${this.escapeHtml(subtitle)}</div>
         `;
 
-        // クリックでプレビューとトラック選択
+        // クリックでトラック選択し、クリップの開始位置のステージを表示
         clip.addEventListener('click', (e) => {
             e.stopPropagation();
 
@@ -1793,11 +3938,13 @@ class TyranoFlowApp {
             this.selectedTrackId = track.id;
             this.selectedTrackType = track.type;
 
-            // プレビューを表示
-            this.showEventPreview(event);
-
             // 再生ヘッドをクリップの開始位置に移動
-            this.setPlayheadTime(event.startTime);
+            this.setPlayheadTime(this.toPrimaryTime(event.startTime, track.scale));
+
+            // クリップを追加した行のソースを表示
+            if (event.filename && event.line) {
+                this.showSource(event.filename, event.line);
+            }
         });
 
         return clip;
@@ -0,0 +1,163 @@
+/**
+ * Asset Analyzer
+ * シナリオが参照する素材（画像・動画・音声）を集計し、dataフォルダの内容と突き合わせる
+ */
+
+class AssetAnalyzer {
+    constructor() {
+        // 素材フォルダ（TyranoFlowApp.resourceHandles と同じキー）
+        this.folders = ['bgimage', 'fgimage', 'image', 'video', 'bgm', 'sound'];
+
+        // 音声フォルダ（TyranoScriptはブラウザに応じて.ogg/.m4aを差し替えるため拡張子を区別しない）
+        this.audioFolders = ['bgm', 'sound'];
+        this.audioExtPattern = /\.(ogg|m4a|mp3|wav|opus)$/i;
+
+        // 一覧から除外するファイル（OSが生成するもの）
+        this.ignoredFilePattern = /^(\..*|Thumbs\.db|desktop\.ini)$/i;
+    }
+
+    /**
+     * 静的に解決できるstorage指定かどうか判定
+     * 変数埋め込み（&f.xxx）、マクロ引数（%xxx）、URLは対象外
+     */
+    isStaticStorage(storage) {
+        if (!storage) return false;
+        return !/^[&%]/.test(storage) && !/^(https?:)?\/\//i.test(storage);
+    }
+
+    /**
+     * 全ファイルの素材参照を収集
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     * @returns {Array<Object>} { filename, line, type, folder, storage } の配列
+     */
+    collectReferences(parsedFiles) {
+        const refs = [];
+
+        parsedFiles.forEach((data, filename) => {
+            // [button graphic=] などの参照も data.images に含まれる（TagRegistry の assets 定義）
+            const items = [...data.images, ...data.videos, ...data.audio];
+            items.forEach(item => {
+                if (!this.isStaticStorage(item.storage)) return;
+                refs.push({
+                    filename: filename,
+                    line: item.line,
+                    type: item.type,
+                    folder: item.folder,
+                    storage: item.storage
+                });
+            });
+        });
+
+        return refs;
+    }
+
+    /**
+     * 存在しない素材への参照を検出
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     * @param {Function} exists - (storage, folder) => Promise<boolean> 素材の存在確認
+     * @returns {Promise<Array<Object>>} 見つからなかった参照（ファイル名・行順）
+     */
+    async findMissing(parsedFiles, exists) {
+        const refs = this.collectReferences(parsedFiles);
+        const checked = new Map(); // "folder/storage" -> 存在するか
+        const missing = [];
+
+        for (const ref of refs) {
+            const key = `${ref.folder}/${ref.storage}`;
+            if (!checked.has(key)) {
+                checked.set(key, await exists(ref.storage, ref.folder));
+            }
+            if (!checked.get(key)) {
+                missing.push(ref);
+            }
+        }
+
+        missing.sort((a, b) => a.filename.localeCompare(b.filename) || a.line - b.line);
+        return missing;
+    }
+
+    /**
+     * 参照とファイルを照合するためのキーを生成
+     */
+    referenceKey(folder, storagePath) {
+        const key = `${folder}/${storagePath}`;
+        return this.audioFolders.includes(folder) ? key.replace(this.audioExtPattern, '') : key;
+    }
+
+    /**
+     * 一覧に含めるファイルかどうか判定
+     */
+    isListedFile(name) {
+        return !this.ignoredFilePattern.test(name);
+    }
+
+    /**
+     * どのシナリオからも参照されていない素材ファイルを検出
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     * @param {Array<Object>} files - 素材フォルダ内のファイル { folder, path, size }
+     * @param {Array<Object>} extraRefs - タグの記述以外で参照される素材 { folder, storage }
+     *   （[voconfig] の連番で自動再生されるボイスなど。VoiceAnalyzer.collectReferences() の結果）
+     * @returns {Array<Object>} 参照されていないファイル（フォルダ・パス順）
+     */
+    findUnused(parsedFiles, files, extraRefs = []) {
+        const referenced = new Set(
+            [...this.collectReferences(parsedFiles), ...extraRefs].map(ref => this.referenceKey(ref.folder, ref.storage))
+        );
+
+        return files
+            .filter(file => !referenced.has(this.referenceKey(file.folder, file.path)))
+            .sort((a, b) => a.folder.localeCompare(b.folder) || a.path.localeCompare(b.path));
+    }
+
+    /**
+     * ファイルサイズの合計を取得
+     */
+    getTotalSize(files) {
+        return files.reduce((sum, file) => sum + (file.size || 0), 0);
+    }
+
+    /**
+     * バイト数を読みやすい単位に変換
+     */
+    formatSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${size} ${units[unit]}` : `${size.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * 未使用素材の一覧をテキスト形式で出力
+     */
+    toText(files) {
+        const lines = files.map(file => `${file.folder}/${file.path}\t${this.formatSize(file.size)}`);
+        lines.push(`合計: ${files.length}ファイル / ${this.formatSize(this.getTotalSize(files))}`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 未使用素材の一覧をCSV形式で出力
+     */
+    toCsv(files) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = ['folder,path,size'];
+        files.forEach(file => {
+            lines.push([file.folder, file.path, file.size].map(escape).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssetAnalyzer;
+} else {
+    window.AssetAnalyzer = AssetAnalyzer;
+}
@@ -0,0 +1,135 @@
+/**
+ * Character Analyzer
+ * 話者ごとのセリフ数・文字数・登場ファイルと、タイムライン上の表示時間を集計する
+ */
+
+class CharacterAnalyzer {
+    constructor() {
+        // 並べ替えできる項目（表の列と棒グラフの指標）
+        this.metrics = {
+            lines: 'セリフ数',
+            chars: '文字数',
+            words: '単語数',
+            fileCount: 'ファイル数',
+            screenTime: '表示時間 [p]'
+        };
+    }
+
+    /**
+     * [chara_new] の name -> jname（表示名）の対応を取得
+     * 話者指定（#）は表示名で書かれることが多いため、タイムラインのキャラ名と突き合わせるのに使う
+     */
+    collectDisplayNames(parsedFiles) {
+        const names = new Map();
+        parsedFiles.forEach(data => {
+            data.nodes.forEach(node => {
+                if (node.type === 'tag' && node.name === 'chara_new' && node.params.name) {
+                    names.set(node.params.name, node.params.jname || node.params.name);
+                }
+            });
+        });
+        return names;
+    }
+
+    /**
+     * 文字数（空白を除く）
+     */
+    countChars(text) {
+        return [...text.replace(/\s/g, '')].length;
+    }
+
+    /**
+     * 単語数（空白区切り。翻訳後の台本や英語のシナリオ向け）
+     */
+    countWords(text) {
+        return text.split(/\s+/).filter(word => word).length;
+    }
+
+    /**
+     * キャラクターごとに集計
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Object} charaTracks - TimelineProcessor.tracks.chara（キャラ名 -> 表示イベント）
+     * @returns {Array<Object>} { name, charaName, lines, chars, words, files, fileCount, screenTime } の配列
+     */
+    analyze(flowchart, charaTracks = {}) {
+        const displayNames = this.collectDisplayNames(flowchart.parsedFiles);
+        const characters = new Map(); // 表示名 -> 集計結果
+
+        const getCharacter = name => {
+            if (!characters.has(name)) {
+                characters.set(name, { name, charaName: null, lines: 0, chars: 0, words: 0, files: [], screenTime: 0 });
+            }
+            return characters.get(name);
+        };
+
+        // セリフ（ナレーションは除く）
+        flowchart.getSortedStoryFiles().forEach(({ filename, data }) => {
+            (data.dialogues || []).forEach(dialogue => {
+                if (!dialogue.speaker) return;
+                const character = getCharacter(displayNames.get(dialogue.speaker) || dialogue.speaker);
+                character.lines++;
+                character.chars += this.countChars(dialogue.text);
+                character.words += this.countWords(dialogue.text);
+                if (!character.files.includes(filename)) character.files.push(filename);
+            });
+        });
+
+        // 表示時間（タイムラインのキャラクタートラック）
+        Object.entries(charaTracks).forEach(([charaName, events]) => {
+            const character = getCharacter(displayNames.get(charaName) || charaName);
+            character.charaName = charaName;
+            events.forEach(event => {
+                character.screenTime += Math.max(0, (event.endTime || event.startTime) - event.startTime);
+                if (event.filename && !character.files.includes(event.filename)) character.files.push(event.filename);
+            });
+        });
+
+        return [...characters.values()].map(character => ({
+            ...character,
+            fileCount: character.files.length
+        }));
+    }
+
+    /**
+     * 指定した項目で並べ替え（名前は昇順、それ以外は降順が既定）
+     * @param {string} key - 'name' または this.metrics のキー
+     * @param {boolean} ascending - 昇順にするか
+     */
+    sort(characters, key, ascending = key === 'name') {
+        const direction = ascending ? 1 : -1;
+        return [...characters].sort((a, b) => {
+            const order = key === 'name' ? a.name.localeCompare(b.name) : a[key] - b[key];
+            return order * direction || a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * CSV形式で出力
+     */
+    toCsv(characters) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = ['name,chara,lines,chars,words,files,screen_time'];
+        characters.forEach(character => {
+            lines.push([
+                character.name,
+                character.charaName || '',
+                character.lines,
+                character.chars,
+                character.words,
+                character.files.join(' / '),
+                character.screenTime
+            ].map(escape).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CharacterAnalyzer;
+} else {
+    window.CharacterAnalyzer = CharacterAnalyzer;
+}
@@ -0,0 +1,72 @@
+/**
+ * Choice Tree Builder
+ * 遷移グラフを辿り、プレイヤーが出会う選択ポイントを順に求める（選択肢ツリー表示用）
+ */
+
+class ChoiceTreeBuilder {
+    /**
+     * ブロック内で最初に出会う選択ポイントを取得
+     * @param {Object} data - 解析結果
+     * @param {Object} node - 遷移グラフのノード
+     */
+    getBlockChoicePoint(data, node) {
+        return (data.choicePoints || []).find(choicePoint =>
+            choicePoint.label === node.label && choicePoint.line >= node.line
+        ) || null;
+    }
+
+    /**
+     * 選択肢の遷移先ノードキーを取得（解決できない場合は null）
+     */
+    getOptionKey(flowchart, filename, option) {
+        if (!option.storage && !option.target) return null;
+        return flowchart.resolveGraphKey(filename, option.storage, option.target);
+    }
+
+    /**
+     * 指定ノードから選択肢以外の遷移（流れ込み・jump・call）を辿り、
+     * 次に出会う選択ポイントとエンディングを取得
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Map<string, Object>} graph - buildTransitionGraph() の結果
+     * @param {string} startKey - 開始ノードキー
+     * @returns {Array<Object>} { type: 'choice'|'ending', key, filename, choicePoint? } の配列
+     */
+    findNext(flowchart, graph, startKey) {
+        const items = [];
+        const visited = new Set();
+        const queue = [startKey];
+
+        while (queue.length > 0) {
+            const key = queue.shift();
+            if (visited.has(key) || !graph.has(key)) continue;
+            visited.add(key);
+
+            const node = graph.get(key);
+            if (flowchart.isEndingFile(node.filename)) {
+                items.push({ type: 'ending', key, filename: node.filename });
+                continue;
+            }
+
+            // 選択ポイントがあるブロックは[s]で止まるため、それより前の遷移だけを辿る
+            const choicePoint = this.getBlockChoicePoint(flowchart.parsedFiles.get(node.filename), node);
+            if (choicePoint) {
+                items.push({ type: 'choice', key, filename: node.filename, choicePoint });
+            }
+
+            node.edges.forEach(edge => {
+                if (edge.type === 'link') return;
+                if (choicePoint && (edge.type === 'fall' || edge.line >= choicePoint.line)) return;
+                queue.push(edge.to);
+            });
+        }
+
+        return items;
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChoiceTreeBuilder;
+} else {
+    window.ChoiceTreeBuilder = ChoiceTreeBuilder;
+}
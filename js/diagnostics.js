@@ -0,0 +1,191 @@
+/**
+ * Scenario Diagnostics
+ * jump/call/linkの遷移先やラベル定義の不備を検出する
+ */
+
+class ScenarioDiagnostics {
+    /**
+     * @param {TyranoParser} parser - [call] 先が [return] に到達するかの判定に使う
+     */
+    constructor(parser = new (typeof module !== 'undefined' && module.exports ? require('./parser.js') : TyranoParser)()) {
+        this.parser = parser;
+
+        // 重要度（表示順）
+        this.severities = ['error', 'warning', 'info'];
+    }
+
+    /**
+     * 変数埋め込み（&f.xxx）やマクロ引数（%xxx）など、静的に解決できない指定か判定
+     */
+    isDynamic(value) {
+        return /^[&%]/.test(value);
+    }
+
+    /**
+     * target属性からラベル名を取得（先頭の*を除去）
+     */
+    normalizeTarget(target) {
+        if (!target) return null;
+        return target.replace(/^\*/, '').trim() || null;
+    }
+
+    /**
+     * storage属性に対応する解析済みファイル名を取得（サブフォルダ指定はファイル名で照合）
+     */
+    resolveStorage(parsedFiles, storage) {
+        if (parsedFiles.has(storage)) return storage;
+        const basename = storage.split('/').pop();
+        return parsedFiles.has(basename) ? basename : null;
+    }
+
+    /**
+     * 全ファイルを診断
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     * @returns {Array<Object>} { severity, code, message, filename, line, storage?, target?, dangling? } の配列
+     */
+    analyze(parsedFiles) {
+        const diagnostics = [];
+
+        parsedFiles.forEach((data, filename) => {
+            this.checkDuplicateLabels(filename, data, diagnostics);
+
+            const transitions = [
+                ...data.jumps.map(jump => ({ tag: 'jump', ...jump })),
+                ...data.calls.map(call => ({ tag: 'call', ...call })),
+                ...data.links
+                    .filter(link => link.storage || link.target)
+                    .map(link => ({ ...link, tag: link.type }))
+            ];
+
+            transitions.forEach(transition => {
+                this.checkTransition(parsedFiles, filename, transition, diagnostics);
+            });
+        });
+
+        // 重要度 -> ファイル名 -> 行の順に並べる
+        diagnostics.sort((a, b) =>
+            this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity) ||
+            a.filename.localeCompare(b.filename) ||
+            a.line - b.line
+        );
+
+        return diagnostics;
+    }
+
+    /**
+     * 同一ファイル内の重複ラベルを検出
+     */
+    checkDuplicateLabels(filename, data, diagnostics) {
+        const seen = new Map(); // ラベル名 -> 最初の行
+        data.labels.forEach(label => {
+            if (seen.has(label.name)) {
+                diagnostics.push({
+                    severity: 'warning',
+                    code: 'duplicate-label',
+                    message: `ラベル *${label.name} が重複しています（最初の定義: 行 ${seen.get(label.name)}）`,
+                    filename: filename,
+                    line: label.line
+                });
+            } else {
+                seen.set(label.name, label.line);
+            }
+        });
+    }
+
+    /**
+     * jump/call/linkの遷移先を検証
+     */
+    checkTransition(parsedFiles, filename, transition, diagnostics) {
+        const { tag, storage, target, line } = transition;
+        const labelName = this.normalizeTarget(target);
+
+        // 変数などで動的に指定されている場合は検証できない
+        if ((storage && this.isDynamic(storage)) || (labelName && this.isDynamic(labelName))) {
+            diagnostics.push({
+                severity: 'info',
+                code: 'dynamic-target',
+                message: `[${tag}] の遷移先が動的に指定されているため検証できません（${storage || ''}${target ? ' ' + target : ''}）`,
+                filename: filename,
+                line: line
+            });
+            return;
+        }
+
+        const targetFile = storage ? this.resolveStorage(parsedFiles, storage) : filename;
+        if (!targetFile) {
+            diagnostics.push({
+                severity: 'error',
+                code: 'unknown-storage',
+                message: `[${tag}] の遷移先ファイル ${storage} が見つかりません`,
+                filename: filename,
+                line: line,
+                storage: storage,
+                target: labelName,
+                dangling: true
+            });
+            return;
+        }
+
+        const targetData = parsedFiles.get(targetFile);
+        let targetLine = 1;
+        if (labelName) {
+            const label = targetData.labels.find(l => l.name === labelName);
+            if (!label) {
+                diagnostics.push({
+                    severity: 'error',
+                    code: 'unknown-label',
+                    message: `[${tag}] の遷移先ラベル *${labelName} が ${targetFile} に見つかりません`,
+                    filename: filename,
+                    line: line,
+                    storage: storage,
+                    target: labelName,
+                    dangling: true
+                });
+                return;
+            }
+            targetLine = label.line;
+        }
+
+        if (tag === 'call' && !this.reachesReturn(targetData, targetLine)) {
+            diagnostics.push({
+                severity: 'warning',
+                code: 'call-without-return',
+                message: `[call] の呼び出し先 ${targetFile}${labelName ? ' *' + labelName : ''} が [return] に到達しません`,
+                filename: filename,
+                line: line,
+                storage: storage,
+                target: labelName
+            });
+        }
+    }
+
+    /**
+     * 指定行から順に実行したとき[return]に到達するか判定
+     * [if]の外の[s]または無条件の[jump]（マクロ展開後を含む）で止まる場合は到達しないとみなす（[if]の中の[return]は到達するとみなす）
+     * マクロ定義の本体はその場では実行されないため対象外
+     */
+    reachesReturn(data, fromLine) {
+        const nodes = this.parser.excludeMacroBodies(data.nodes || []).filter(node => node.line >= fromLine);
+        const stop = this.parser.findTerminators(nodes, data.jumps).find(tag => tag.name !== 'return');
+        const end = stop ? nodes.indexOf(stop) : nodes.length;
+        return nodes.slice(0, end).some(node => node.type === 'tag' && node.name === 'return');
+    }
+
+    /**
+     * 重要度ごとの件数を取得
+     */
+    countBySeverity(diagnostics) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        diagnostics.forEach(d => {
+            counts[d.severity]++;
+        });
+        return counts;
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioDiagnostics;
+} else {
+    window.ScenarioDiagnostics = ScenarioDiagnostics;
+}
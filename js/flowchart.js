@@ -4,11 +4,23 @@
  */
 
 class FlowchartGenerator {
-    constructor() {
+    /**
+     * @param {TyranoParser} parser - ラベル単位のブロックの終端（[s]・[return]・[jump]）の判定に使う
+     */
+    constructor(parser = new (typeof module !== 'undefined' && module.exports ? require('./parser.js') : TyranoParser)()) {
+        this.parser = parser;
         this.parsedFiles = new Map();
         this.renderCount = 0; // ユニークID用カウンター
+        this.renderedCode = null; // 最後に描画したMermaidコード
         this.storySummary = {}; // ストーリー要約（story-summary.jsonから読み込み）
-        this.displayMode = 'simple'; // 'simple' | 'detail'
+        this.displayMode = 'simple'; // 'simple' | 'detail' | 'label'
+        this.labelNodeMap = new Map(); // ラベル表示時のノードID -> { filename, label }
+        this.missingAssets = []; // 不足素材の参照 { filename, line, ... }
+        this.diagnostics = []; // 診断結果（遷移先が存在しないものは点線で描画する）
+        this.reachability = null; // 到達可能性の解析結果（到達不能なノードを薄く表示する）
+        this.graphKeyNodeMap = new Map(); // ラベル表示時の遷移グラフのノードキー -> ノードID
+        this.highlightedRoute = null; // 強調表示中のルート（遷移グラフのノードキーの配列）
+        this.readingTimes = new Map(); // ファイル名 -> 推定時間（ReadingTimeEstimator.analyze() の結果）
 
         // システムファイルのパターン（フローチャートから除外）
         this.systemFilePatterns = [
@@ -33,6 +45,115 @@ class FlowchartGenerator {
         this.displayMode = mode;
     }
 
+    /**
+     * 不足素材の参照を設定（該当ノードを強調表示する）
+     */
+    setMissingAssets(missingAssets) {
+        this.missingAssets = missingAssets || [];
+    }
+
+    /**
+     * 診断結果を設定
+     */
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics || [];
+    }
+
+    /**
+     * 推定時間を設定（詳細表示・ラベル表示のノードとファイル一覧に表示する）
+     */
+    setReadingTimes(readingTimes) {
+        this.readingTimes = readingTimes || new Map();
+    }
+
+    /**
+     * 推定時間の表記を取得（index を指定するとラベル単位のブロック、見積もりがなければ null）
+     */
+    getReadingTimeLabel(filename, index = null) {
+        const estimate = this.readingTimes.get(filename);
+        if (!estimate) return null;
+        const target = index === null ? estimate : estimate.blocks[index];
+        return target ? `約${(target.seconds / 60).toFixed(1)}分` : null;
+    }
+
+    /**
+     * 遷移先が存在しない（dangling）jump/call/linkかどうか判定
+     */
+    isDanglingTransition(filename, transition) {
+        return this.diagnostics.some(d =>
+            d.dangling &&
+            d.filename === filename &&
+            d.line === transition.line &&
+            (d.storage || null) === (transition.storage || null)
+        );
+    }
+
+    /**
+     * 遷移先が存在しないjump/call/linkの点線エッジを生成
+     * @param {string} filename - 遷移元ファイル名
+     * @param {Map<string, string>} danglingIds - 遷移先 -> ダミーノードID（生成中に共有）
+     * @param {Function} getFromId - 行番号 -> 遷移元ノードID
+     */
+    generateDanglingEdges(filename, danglingIds, getFromId) {
+        let code = '';
+
+        this.diagnostics
+            .filter(d => d.dangling && d.filename === filename)
+            .forEach(d => {
+                const key = `${d.storage || filename}*${d.target || ''}`;
+                let toId = danglingIds.get(key);
+                if (!toId) {
+                    toId = `dangling_${danglingIds.size}`;
+                    danglingIds.set(key, toId);
+                    const text = `? ${d.storage || filename}${d.target ? ' *' + d.target : ''}`;
+                    code += `    ${toId}["${this.escapeLabel(text)}"]\n`;
+                }
+                code += `    ${getFromId(d.line)} -.-> ${toId}\n`;
+            });
+
+        return code;
+    }
+
+    /**
+     * ダミーノードのスタイル定義を生成
+     */
+    generateDanglingClasses(danglingIds) {
+        if (danglingIds.size === 0) return '';
+
+        let code = '    classDef dangling fill:#2d2d2d,stroke:#f48771,stroke-width:2px,stroke-dasharray:5 5,color:#f48771;\n';
+        code += `    class ${Array.from(danglingIds.values()).join(',')} dangling\n`;
+        return code;
+    }
+
+    /**
+     * 到達可能性の解析結果を設定
+     */
+    setReachability(reachability) {
+        this.reachability = reachability || null;
+    }
+
+    /**
+     * 到達不能か判定（index 省略時はファイル単位）
+     */
+    isUnreachable(filename, index) {
+        if (!this.reachability) return false;
+        if (index === undefined) {
+            return this.reachability.unreachableFiles.includes(filename);
+        }
+        return !this.reachability.reachable.has(this.getGraphNodeKey(filename, index));
+    }
+
+    /**
+     * 到達不能なノードにクラスを付与するMermaidコードを生成
+     */
+    generateUnreachableClasses(nodeIds) {
+        if (nodeIds.length === 0) return '';
+
+        let code = '    classDef unreachable fill:#252526,stroke:#6a6a6a,stroke-width:2px,stroke-dasharray:4 4,color:#808080;\n';
+        code += `    class ${nodeIds.join(',')} unreachable\n`;
+        return code;
+    }
+
     /**
      * システムファイルかどうか判定
      */
@@ -40,6 +161,14 @@ class FlowchartGenerator {
         return this.systemFilePatterns.some(pattern => pattern.test(filename));
     }
 
+    /**
+     * エンディングのファイルかどうか判定
+     */
+    isEndingFile(filename) {
+        const lower = filename.toLowerCase();
+        return lower.includes('ending') || lower.includes('end');
+    }
+
     /**
      * ファイル名からソート用の優先度を取得（ゲーム時系列順）
      */
@@ -72,7 +201,7 @@ class FlowchartGenerator {
         }
 
         // エンディング
-        if (lower.includes('ending') || lower.includes('end')) {
+        if (this.isEndingFile(filename)) {
             const match = lower.match(/(\d+)/);
             return { order: 9500, sub: match ? parseInt(match[1]) : 0 };
         }
@@ -117,6 +246,13 @@ class FlowchartGenerator {
         this.parsedFiles.set(filename, data);
     }
 
+    /**
+     * 解析済みファイルを削除
+     */
+    removeParsedFile(filename) {
+        this.parsedFiles.delete(filename);
+    }
+
     /**
      * 全ファイルをクリア
      */
@@ -230,6 +366,11 @@ class FlowchartGenerator {
             lines.push(`状況：${summaryData}`);
         }
 
+        const readingTime = this.getReadingTimeLabel(filename);
+        if (readingTime) {
+            lines.push(`推定時間：${readingTime}`);
+        }
+
         return this.escapeLabel(lines.join('\\n'));
     }
 
@@ -243,10 +384,16 @@ class FlowchartGenerator {
             return 'flowchart TD\n    empty[ストーリーファイルがありません]';
         }
 
+        // ラベル表示はラベル単位のグラフを生成
+        if (this.displayMode === 'label') {
+            return this.generateLabelMermaidCode(storyFiles);
+        }
+
         // 上から下へ流れるグラフ（縦長）
         let mermaid = 'flowchart TD\n';
         const connections = new Set();
         const storyFileNames = new Set(storyFiles.map(f => f.filename));
+        const danglingIds = new Map();
 
         // 各ファイルのノードと接続を生成（時系列順）
         storyFiles.forEach(({ filename, data }) => {
@@ -261,6 +408,7 @@ class FlowchartGenerator {
 
             // jumpによる遷移（ストーリーファイルへのみ）
             data.jumps.forEach(jump => {
+                if (this.isDanglingTransition(filename, jump)) return;
                 if (jump.storage && storyFileNames.has(jump.storage)) {
                     const targetId = this.sanitizeId(jump.storage);
                     const connectionKey = `${nodeId}->${targetId}`;
@@ -282,6 +430,7 @@ class FlowchartGenerator {
 
             // callによる遷移（ストーリーファイルへのみ）
             data.calls.forEach(call => {
+                if (this.isDanglingTransition(filename, call)) return;
                 if (call.storage && storyFileNames.has(call.storage)) {
                     const targetId = this.sanitizeId(call.storage);
                     const connectionKey = `${nodeId}-.call.->${targetId}`;
@@ -294,6 +443,7 @@ class FlowchartGenerator {
 
             // linkによる遷移（ストーリーファイルへのみ）
             data.links.forEach(link => {
+                if (this.isDanglingTransition(filename, link)) return;
                 if (link.storage && storyFileNames.has(link.storage)) {
                     const targetId = this.sanitizeId(link.storage);
                     const connectionKey = `${nodeId}->${targetId}-link`;
@@ -311,33 +461,376 @@ class FlowchartGenerator {
                     }
                 }
             });
+
+            // 遷移先が存在しないjump/call/link
+            mermaid += this.generateDanglingEdges(filename, danglingIds, () => nodeId);
         });
 
         // スタイル定義
         mermaid += '\n    %% スタイル\n';
         mermaid += '    classDef default fill:#3c3c3c,stroke:#0e639c,stroke-width:2px,color:#d4d4d4;\n';
+        mermaid += this.generateUnreachableClasses(storyFiles
+            .filter(({ filename }) => this.isUnreachable(filename))
+            .map(({ filename }) => this.sanitizeId(filename)));
+        mermaid += this.generateMissingAssetClasses(
+            storyFiles.map(({ filename }) => ({ filename, nodeId: this.sanitizeId(filename) }))
+        );
+        mermaid += this.generateDanglingClasses(danglingIds);
+
+        return mermaid;
+    }
+
+    /**
+     * target属性からラベル名を取得（先頭の*を除去）
+     */
+    normalizeTarget(target) {
+        if (!target) return null;
+        return target.replace(/^\*/, '').trim() || null;
+    }
+
+    /**
+     * ファイルをラベル単位のブロックに分割
+     * 先頭ラベルより前の部分は label: null のブロックとして扱う
+     * @returns {Array<Object>} { label, title, line, endLine, fallsThrough } の配列
+     */
+    getLabelBlocks(data) {
+        const blocks = [{ label: null, title: null, line: 1 }];
+        data.labels.forEach(label => {
+            blocks.push({ label: label.name, title: label.title || null, line: label.line });
+        });
+
+        const terminators = this.parser.findTerminators(this.parser.excludeMacroBodies(data.nodes || []), data.jumps);
+        blocks.forEach((block, index) => {
+            const next = blocks[index + 1];
+            block.endLine = next ? next.line - 1 : Infinity;
+
+            // ブロック内に[s]・[return]・無条件[jump]（[if]の外）がなければ次のラベルへ流れ込む
+            block.fallsThrough = !terminators.some(tag => tag.line >= block.line && tag.line <= block.endLine);
+        });
+
+        return blocks;
+    }
+
+    /**
+     * 遷移グラフのノードキーを生成
+     */
+    getGraphNodeKey(filename, index) {
+        return `${filename}#${index}`;
+    }
+
+    /**
+     * storage + target から遷移先のノードキーを解決（サブフォルダ指定はファイル名で照合）
+     * ブロックは先頭部分の後にラベル順で並ぶため、ラベルの順番 + 1 がブロックの番号になる
+     */
+    resolveGraphKey(fromFile, storage, target) {
+        let targetFile = storage || fromFile;
+        if (!this.parsedFiles.has(targetFile)) {
+            targetFile = targetFile.split('/').pop();
+        }
+        const data = this.parsedFiles.get(targetFile);
+        if (!data) return null;
+        const labelName = this.normalizeTarget(target);
+        if (!labelName) return this.getGraphNodeKey(targetFile, 0);
+        const index = data.labels.findIndex(label => label.name === labelName);
+        return index >= 0 ? this.getGraphNodeKey(targetFile, index + 1) : null;
+    }
+
+    /**
+     * [call] の呼び出し先で実行される範囲を取得（呼び出し先が見つからなければ null）
+     * 呼び出し先のラベルから、最初の[return]（または[if]の外の[s]・無条件の[jump]）の行までとする
+     * @returns {Object|null} { filename, startLine, endLine }
+     */
+    getSubroutineRange(fromFile, storage, target) {
+        const key = this.resolveGraphKey(fromFile, storage, target);
+        if (!key) return null;
+
+        const filename = key.slice(0, key.lastIndexOf('#'));
+        const data = this.parsedFiles.get(filename);
+        const block = this.getLabelBlocks(data)[Number(key.slice(key.lastIndexOf('#') + 1))];
+        const nodes = this.parser.excludeMacroBodies(data.nodes || []).filter(node => node.line >= block.line);
+        const terminator = this.parser.findTerminators(nodes, data.jumps)[0];
+        return { filename, startLine: block.line, endLine: terminator ? terminator.line : Infinity };
+    }
 
-        // デバッグ：生成されたMermaidコードを出力
-        console.log('=== Generated Mermaid Code ===');
-        console.log(mermaid);
-        console.log('=== End Mermaid Code ===');
+    /**
+     * jump/call/linkとラベル間の流れ込みからなる遷移グラフを構築
+     * システムファイルを含む全ファイルを対象とする（first.ksなどから辿るため）
+     * edges は遷移ごとの情報 { to, type: 'fall'|'jump'|'call'|'link', text, cond, line }（同じ遷移先・条件の遷移は1本にまとめる）
+     * @returns {Map<string, Object>} ノードキー -> { filename, label, line, endLine, next: Set<ノードキー>, edges }
+     */
+    buildTransitionGraph() {
+        const graph = new Map();
+        const fileBlocks = new Map();
+
+        this.parsedFiles.forEach((data, filename) => {
+            const blocks = this.getLabelBlocks(data);
+            blocks.forEach((block, index) => {
+                graph.set(this.getGraphNodeKey(filename, index), {
+                    filename,
+                    label: block.label,
+                    line: block.line,
+                    endLine: block.endLine,
+                    next: new Set(),
+                    edges: []
+                });
+            });
+            fileBlocks.set(filename, blocks);
+        });
+
+        this.parsedFiles.forEach((data, filename) => {
+            const blocks = fileBlocks.get(filename);
+
+            // 同じ遷移先・条件の遷移（流れ込みと[jump]の両方があるなど）は1本にまとめる
+            // 選択肢はテキストごとに別のルートになるため区別し、[call] も他の遷移と区別する
+            const getEdgeKey = edge => [
+                edge.to,
+                edge.cond || '',
+                edge.type === 'link' || edge.type === 'call' ? edge.type : 'jump',
+                edge.type === 'link' ? edge.text || '' : ''
+            ].join('\n');
+
+            const addEdge = (fromIndex, edge) => {
+                const node = graph.get(this.getGraphNodeKey(filename, fromIndex));
+                if (node.edges.some(other => getEdgeKey(other) === getEdgeKey(edge))) return;
+                node.next.add(edge.to);
+                node.edges.push(edge);
+            };
+
+            // ラベル間の流れ込み
+            blocks.forEach((block, index) => {
+                if (index + 1 < blocks.length && block.fallsThrough) {
+                    addEdge(index, {
+                        to: this.getGraphNodeKey(filename, index + 1),
+                        type: 'fall',
+                        line: blocks[index + 1].line
+                    });
+                }
+            });
+
+            const transitions = [
+                ...data.jumps.map(jump => ({ ...jump, type: 'jump' })),
+                ...data.calls.map(call => ({ ...call, type: 'call' })),
+                ...data.links.map(link => ({ ...link, type: 'link' }))
+            ];
+            transitions.forEach(transition => {
+                if (!transition.storage && !transition.target) return;
+                const toKey = this.resolveGraphKey(filename, transition.storage, transition.target);
+                if (!toKey) return;
+                const fromIndex = blocks.indexOf(this.findBlockByLine(blocks, transition.line));
+                addEdge(fromIndex, {
+                    to: toKey,
+                    type: transition.type,
+                    text: transition.text || null,
+                    cond: transition.cond || null,
+                    line: transition.line
+                });
+            });
+        });
+
+        return graph;
+    }
+
+    /**
+     * 指定行が属するブロックを取得
+     */
+    findBlockByLine(blocks, line) {
+        for (let i = blocks.length - 1; i >= 0; i--) {
+            if (blocks[i].line <= line) return blocks[i];
+        }
+        return blocks[0];
+    }
+
+    /**
+     * ラベル単位のノードIDを生成
+     * ラベル名は日本語を含むことがあるため、ファイル内の順番でIDを振る
+     */
+    getLabelNodeId(filename, index) {
+        return `${this.sanitizeId(filename)}__L${index}`;
+    }
+
+    /**
+     * ラベル表示用のMermaidコードを生成
+     * 各ラベルを1ノードとし、ファイルごとにsubgraphでまとめる
+     */
+    generateLabelMermaidCode(storyFiles) {
+        let mermaid = 'flowchart TD\n';
+        const connections = new Set();
+        const danglingIds = new Map();
+        this.labelNodeMap.clear();
+        this.graphKeyNodeMap.clear();
+
+        // ファイルごとのブロック（遷移先は graphKeyNodeMap で解決する）
+        const fileBlocks = new Map();
+        storyFiles.forEach(({ filename, data }) => {
+            const blocks = this.getLabelBlocks(data);
+            blocks.forEach((block, index) => {
+                block.nodeId = this.getLabelNodeId(filename, index);
+                this.labelNodeMap.set(block.nodeId, { filename, label: block.label });
+            });
+
+            // 先頭ブロックは中身があるか、ラベルがない場合のみ表示
+            const hasPreamble = blocks.length === 1 || (data.nodes || []).some(node =>
+                (node.type === 'tag' || node.type === 'text') && node.line < blocks[1].line
+            );
+            const visibleBlocks = hasPreamble ? blocks : blocks.slice(1);
+
+            // 先頭ブロックを表示しない場合、ファイル先頭への遷移は最初のラベルへ向ける
+            const entryId = visibleBlocks[0].nodeId;
+            blocks[0].nodeId = entryId;
+            blocks.forEach((block, index) => {
+                this.graphKeyNodeMap.set(this.getGraphNodeKey(filename, index), block.nodeId);
+            });
+
+            fileBlocks.set(filename, { blocks, visibleBlocks });
+        });
+
+        // storage + target から遷移先ノードIDを解決（サブフォルダ指定の照合は resolveGraphKey() と同じ）
+        const resolveTarget = (fromFile, storage, target) => {
+            const key = this.resolveGraphKey(fromFile, storage, target);
+            return key ? this.graphKeyNodeMap.get(key) || null : null;
+        };
+
+        const addEdge = (key, line) => {
+            if (connections.has(key)) return;
+            connections.add(key);
+            mermaid += line;
+        };
+
+        storyFiles.forEach(({ filename, data }) => {
+            const { blocks, visibleBlocks } = fileBlocks.get(filename);
+
+            mermaid += `    subgraph ${this.sanitizeId(filename)}["${this.escapeLabel(filename)}"]\n`;
+            mermaid += '        direction TB\n';
+            visibleBlocks.forEach(block => {
+                const readingTime = this.getReadingTimeLabel(filename, blocks.indexOf(block));
+                const text = (block.label
+                    ? `*${block.label}${block.title ? '\\n' + block.title : ''}`
+                    : '(先頭)') + (readingTime ? `\\n${readingTime}` : '');
+                mermaid += `        ${block.nodeId}["${this.escapeLabel(text)}"]\n`;
+            });
+            mermaid += '    end\n';
+
+            // ラベル間の流れ込み
+            visibleBlocks.forEach((block, index) => {
+                const next = visibleBlocks[index + 1];
+                if (next && block.fallsThrough) {
+                    addEdge(`${block.nodeId}~>${next.nodeId}`, `    ${block.nodeId} -.-> ${next.nodeId}\n`);
+                }
+            });
+
+            // jumpによる遷移
+            data.jumps.forEach(jump => {
+                const fromId = this.findBlockByLine(blocks, jump.line).nodeId;
+                const toId = resolveTarget(filename, jump.storage, jump.target);
+                if (!toId) return;
+                if (jump.cond) {
+                    addEdge(`${fromId}->${toId}|${jump.cond}`,
+                        `    ${fromId} -->|${this.escapeLabel(jump.cond)}| ${toId}\n`);
+                } else {
+                    addEdge(`${fromId}->${toId}`, `    ${fromId} --> ${toId}\n`);
+                }
+            });
+
+            // callによる遷移
+            data.calls.forEach(call => {
+                const fromId = this.findBlockByLine(blocks, call.line).nodeId;
+                const toId = resolveTarget(filename, call.storage, call.target);
+                if (!toId) return;
+                addEdge(`${fromId}-.call.->${toId}`, `    ${fromId} -.->|call| ${toId}\n`);
+            });
+
+            // linkによる遷移
+            data.links.forEach(link => {
+                if (!link.storage && !link.target) return;
+                const fromId = this.findBlockByLine(blocks, link.line).nodeId;
+                const toId = resolveTarget(filename, link.storage, link.target);
+                if (!toId) return;
+                const linkLabel = link.text ? this.escapeLabel(link.text) : '選択';
+                addEdge(`${fromId}->${toId}-link-${linkLabel}`, `    ${fromId} -->|${linkLabel}| ${toId}\n`);
+            });
+
+            // 遷移先が存在しないjump/call/link
+            mermaid += this.generateDanglingEdges(filename, danglingIds,
+                line => this.findBlockByLine(blocks, line).nodeId);
+        });
+
+        // スタイル定義
+        mermaid += '\n    %% スタイル\n';
+        mermaid += '    classDef default fill:#3c3c3c,stroke:#0e639c,stroke-width:2px,color:#d4d4d4;\n';
+
+        // 到達不能なラベル
+        const unreachableIds = [];
+        storyFiles.forEach(({ filename }) => {
+            const { blocks, visibleBlocks } = fileBlocks.get(filename);
+            visibleBlocks.forEach(block => {
+                if (this.isUnreachable(filename, blocks.indexOf(block))) {
+                    unreachableIds.push(block.nodeId);
+                }
+            });
+        });
+        mermaid += this.generateUnreachableClasses(unreachableIds);
+
+        // 不足素材はそれを参照しているラベルのノードに表示
+        const missingTargets = [];
+        storyFiles.forEach(({ filename }) => {
+            const { blocks, visibleBlocks } = fileBlocks.get(filename);
+            visibleBlocks.forEach(block => {
+                missingTargets.push({
+                    filename,
+                    nodeId: block.nodeId,
+                    lineFrom: block === visibleBlocks[0] ? blocks[0].line : block.line,
+                    lineTo: block.endLine
+                });
+            });
+        });
+        mermaid += this.generateMissingAssetClasses(missingTargets);
+        mermaid += this.generateDanglingClasses(danglingIds);
 
         return mermaid;
     }
 
+    /**
+     * 不足素材を参照しているノードにクラスを付与するMermaidコードを生成
+     * @param {Array<Object>} targets - { filename, nodeId, lineFrom?, lineTo? } の配列
+     */
+    generateMissingAssetClasses(targets) {
+        if (this.missingAssets.length === 0) return '';
+
+        const nodeIds = targets
+            .filter(target => this.missingAssets.some(ref =>
+                ref.filename === target.filename &&
+                (target.lineFrom === undefined || (ref.line >= target.lineFrom && ref.line <= target.lineTo))
+            ))
+            .map(target => target.nodeId);
+
+        if (nodeIds.length === 0) return '';
+
+        let code = '    classDef missingAsset fill:#5a1d1d,stroke:#f48771,stroke-width:3px,color:#f48771;\n';
+        code += `    class ${nodeIds.join(',')} missingAsset\n`;
+        return code;
+    }
+
     /**
      * フローチャートを描画
+     * @param {Object} options - { skipUnchanged: Mermaidコードが前回と同じなら描き直さない（ルートの強調のみ更新） }
+     * @returns {boolean} 描き直したか
      */
-    async render(containerId) {
+    async render(containerId, { skipUnchanged = false } = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error('Container not found:', containerId);
-            return;
+            return false;
         }
 
         const mermaidCode = this.generateMermaidCode();
         console.log('Mermaid code length:', mermaidCode.length);
 
+        const currentSvg = container.querySelector('svg');
+        if (skipUnchanged && currentSvg && mermaidCode === this.renderedCode) {
+            this.applyRouteHighlight(currentSvg);
+            return false;
+        }
+
         try {
             // ユニークなIDを生成（Mermaidは同じIDを再利用できない）
             this.renderCount++;
@@ -355,20 +848,33 @@ class FlowchartGenerator {
                 svgElement.style.maxHeight = 'none';
                 svgElement.style.overflow = 'visible';
 
-                // ノードのサイズを統一
-                this.equalizeNodeSizes(svgElement);
+                // ノードのサイズを統一（ラベル表示ではsubgraphの枠からはみ出すため行わない）
+                if (this.displayMode !== 'label') {
+                    this.equalizeNodeSizes(svgElement);
+                }
 
                 // タイトルへ戻る線を太くする
                 this.styleBackEdge(svgElement);
+
+                // 遷移先が存在しない線を赤い点線にする
+                this.markDanglingEdges(svgElement);
+
+                // 選択中のルートを再度強調表示
+                if (this.highlightedRoute) {
+                    this.applyRouteHighlight(svgElement);
+                }
             }
 
             // ノードにクリックイベントを追加
             this.attachClickEvents(container);
+            this.renderedCode = mermaidCode;
         } catch (error) {
             console.error('Mermaid render error:', error);
             console.error('Mermaid code:', mermaidCode);
             container.innerHTML = `<pre class="error">フローチャート生成エラー:\n${error.message}</pre>`;
+            this.renderedCode = null;
         }
+        return true;
     }
 
     /**
@@ -552,6 +1058,80 @@ class FlowchartGenerator {
         console.log('エッジをスタイル設定（フォールバック）:', edgeCount, '本');
     }
 
+    /**
+     * ダミーノードへ向かう線（遷移先が存在しない）にクラスを付与
+     */
+    markDanglingEdges(svgElement) {
+        // Mermaidはエッジに "LE-<終点ノードID>" クラスを付ける
+        svgElement.querySelectorAll('path[class*="LE-dangling_"]').forEach(path => {
+            path.classList.add('dangling-edge');
+        });
+    }
+
+    /**
+     * 遷移グラフのノードキーから現在の表示モードでのノードIDを取得
+     */
+    getNodeIdByGraphKey(key) {
+        if (this.displayMode === 'label') {
+            return this.graphKeyNodeMap.get(key) || null;
+        }
+        const filename = key.slice(0, key.lastIndexOf('#'));
+        return this.isSystemFile(filename) ? null : this.sanitizeId(filename);
+    }
+
+    /**
+     * ルートを強調表示（keys に null を渡すと解除）
+     */
+    highlightRoute(containerId, keys) {
+        this.highlightedRoute = keys || null;
+        const container = document.getElementById(containerId);
+        const svgElement = container ? container.querySelector('svg') : null;
+        if (svgElement) {
+            this.applyRouteHighlight(svgElement);
+        }
+    }
+
+    /**
+     * 強調表示中のルートに含まれるノードと線にクラスを付与
+     */
+    applyRouteHighlight(svgElement) {
+        svgElement.querySelectorAll('.route-node, .route-edge').forEach(element => {
+            element.classList.remove('route-node', 'route-edge');
+        });
+        svgElement.classList.toggle('route-active', !!this.highlightedRoute);
+        if (!this.highlightedRoute) return;
+
+        // 連続する同一ノード（ファイル単位表示で同じファイル内を進む場合など）はまとめる
+        const nodeIds = [];
+        this.highlightedRoute.forEach(key => {
+            const nodeId = this.getNodeIdByGraphKey(key);
+            if (nodeId && nodeId !== nodeIds[nodeIds.length - 1]) {
+                nodeIds.push(nodeId);
+            }
+        });
+
+        const nodeIdSet = new Set(nodeIds);
+        svgElement.querySelectorAll('.node').forEach(node => {
+            const match = node.id.match(/^flowchart-(.+)-\d+$/);
+            if (match && nodeIdSet.has(match[1])) {
+                node.classList.add('route-node');
+            }
+        });
+
+        // Mermaidはエッジに "LS-<始点ノードID> LE-<終点ノードID>" クラスを付ける
+        const edgeKeys = new Set();
+        nodeIds.forEach((nodeId, index) => {
+            if (index > 0) edgeKeys.add(`${nodeIds[index - 1]}>${nodeId}`);
+        });
+        svgElement.querySelectorAll('path.flowchart-link').forEach(path => {
+            const from = [...path.classList].find(c => c.startsWith('LS-'));
+            const to = [...path.classList].find(c => c.startsWith('LE-'));
+            if (from && to && edgeKeys.has(`${from.slice(3)}>${to.slice(3)}`)) {
+                path.classList.add('route-edge');
+            }
+        });
+    }
+
     /**
      * 「タイトルへ戻る」線（バックエッジ）を左側に再描画（無効化）
      */
@@ -751,11 +1331,16 @@ class FlowchartGenerator {
             node.addEventListener('click', (e) => {
                 const nodeId = node.id;
                 // ノードIDからファイル名を逆引き
-                const filename = this.findFilenameByNodeId(nodeId);
+                const labelNode = this.findLabelNodeById(nodeId);
+                const filename = labelNode ? labelNode.filename : this.findFilenameByNodeId(nodeId);
                 if (filename) {
                     // カスタムイベントを発火
                     const event = new CustomEvent('nodeClick', {
-                        detail: { filename, data: this.parsedFiles.get(filename) }
+                        detail: {
+                            filename,
+                            data: this.parsedFiles.get(filename),
+                            label: labelNode ? labelNode.label : null
+                        }
                     });
                     document.dispatchEvent(event);
                 }
@@ -763,6 +1348,16 @@ class FlowchartGenerator {
         });
     }
 
+    /**
+     * ラベル表示時のノードIDからファイル名・ラベルを逆引き
+     */
+    findLabelNodeById(nodeId) {
+        if (this.displayMode !== 'label') return null;
+        // nodeIdは "flowchart-node_xxx__L0-12" のような形式
+        const match = nodeId.match(/^flowchart-(.+)-\d+$/);
+        return match ? this.labelNodeMap.get(match[1]) || null : null;
+    }
+
     /**
      * ノードIDからファイル名を逆引き
      */
@@ -787,16 +1382,19 @@ class FlowchartGenerator {
         this.parsedFiles.forEach((data, filename) => {
             // BGMとSEを分けてカウント
             const bgmCount = data.audio.filter(a => a.type === 'bgm' || a.type === 'playbgm').length;
-            const seCount = data.audio.filter(a => a.type !== 'bgm' && a.type !== 'playbgm').length;
+            const seCount = data.audio.filter(a => a.type === 'se').length;
 
             const fileInfo = {
                 filename,
                 clickCount: data.clickCount,
+                readingSeconds: this.readingTimes.has(filename) ? this.readingTimes.get(filename).seconds : null,
                 jumpCount: data.jumps.length,
                 imageCount: data.images.length,
                 bgmCount: bgmCount,
                 seCount: seCount,
                 videoCount: data.videos.length,
+                missingAssetCount: this.missingAssets.filter(ref => ref.filename === filename).length,
+                isUnreachable: this.isUnreachable(filename),
                 isSystem: this.isSystemFile(filename),
                 priority: this.getFileSortPriority(filename)
             };
@@ -824,5 +1422,9 @@ class FlowchartGenerator {
     }
 }
 
-// グローバルに公開
-window.FlowchartGenerator = FlowchartGenerator;
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowchartGenerator;
+} else {
+    window.FlowchartGenerator = FlowchartGenerator;
+}
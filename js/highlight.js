@@ -0,0 +1,206 @@
+/**
+ * Syntax Highlighter
+ * スクリプトブロックとシナリオ（.ks）をHTMLとして色付けする（エスケープ済みの文字列を返す）
+ */
+
+class SyntaxHighlighter {
+    constructor(parser = new (typeof module !== 'undefined' && module.exports ? require('./parser.js') : TyranoParser)()) {
+        this.parser = parser; // シナリオの色付けはパーサーのノードに合わせる
+        this.jsKeywords = new Set([
+            'var', 'let', 'const', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+            'switch', 'case', 'default', 'break', 'continue', 'new', 'delete', 'typeof',
+            'instanceof', 'in', 'of', 'true', 'false', 'null', 'undefined', 'this', 'try',
+            'catch', 'finally', 'throw', 'class', 'async', 'await'
+        ]);
+    }
+
+    /**
+     * HTMLエスケープ
+     */
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 指定クラスのspanで囲む
+     */
+    wrap(className, text) {
+        return `<span class="${className}">${this.escape(text)}</span>`;
+    }
+
+    /**
+     * JavaScriptを色付け（[iscript]用）
+     * TyranoScriptの変数（f. / sf. / tf. / mp.）は他の識別子と区別する
+     */
+    highlightJavaScript(code) {
+        const pattern = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|("(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\.|[^`\\])*`?)|(\b(?:f|sf|tf|mp)\.[A-Za-z_$][\w$]*)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            html += this.escape(code.substring(last, match.index));
+            const [token, comment, string, variable, number, identifier] = match;
+            if (comment) {
+                html += this.wrap('tok-comment', token);
+            } else if (string) {
+                html += this.wrap('tok-string', token);
+            } else if (variable) {
+                html += this.wrap('tok-variable', token);
+            } else if (number) {
+                html += this.wrap('tok-number', token);
+            } else if (identifier && this.jsKeywords.has(identifier)) {
+                html += this.wrap('tok-keyword', token);
+            } else {
+                html += this.escape(token);
+            }
+            last = match.index + token.length;
+        }
+        return html + this.escape(code.substring(last));
+    }
+
+    /**
+     * シナリオ（.ks）を行ごとに色付け
+     * パーサーのノード（行・列の範囲）ごとに、コメント・ラベル・話者・タグ（[tag] / @tag）とそのパラメータを区別し、
+     * [iscript] / [html] の中身は JavaScript / HTML として色付けする（どのノードにも含まれない部分は本文とする）
+     * @param {string} content - ファイルの内容
+     * @returns {Array<string>} 行ごとのHTML
+     */
+    highlightScenario(content) {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const spans = lines.map(() => []); // 行ごとの { start, end, render }（0始まり・end は排他的）
+
+        this.parser.tokenize(content).forEach(node => {
+            const start = node.column - 1;
+            switch (node.type) {
+                case 'comment': {
+                    // 複数行コメントは閉じる行の */ まで（その後ろはパーサーが別のノードにする）
+                    const endLine = node.endLine || node.line;
+                    for (let line = node.line; line <= endLine; line++) {
+                        spans[line - 1].push({
+                            start: line === node.line ? start : 0,
+                            end: line === endLine ? node.endColumn - 1 : lines[line - 1].length,
+                            render: text => this.wrap('tok-comment', text)
+                        });
+                    }
+                    break;
+                }
+                case 'label':
+                case 'speaker':
+                    spans[node.line - 1].push({
+                        start,
+                        end: node.endColumn - 1,
+                        render: text => this.wrap(`tok-${node.type}`, text)
+                    });
+                    break;
+                case 'tag': {
+                    // 複数行にまたがるタグは、2行目以降をパラメータの続きとして色付けする
+                    const endLine = node.endLine || node.line;
+                    for (let line = node.line; line <= endLine; line++) {
+                        const continued = line !== node.line;
+                        spans[line - 1].push({
+                            start: continued ? 0 : start,
+                            end: line === endLine ? node.endColumn - 1 : lines[line - 1].length,
+                            render: text => this.highlightTag(text, node.form, continued)
+                        });
+                    }
+                    break;
+                }
+                case 'script': {
+                    const render = node.kind.toLowerCase() === 'html'
+                        ? text => this.highlightHtml(text)
+                        : text => this.highlightJavaScript(text);
+                    // 最初の行は開始タグの後ろから、最後の行は終了タグの手前まで
+                    for (let line = node.line; line <= node.endLine; line++) {
+                        spans[line - 1].push({
+                            start: line === node.line ? start : 0,
+                            end: line === node.endLine ? node.endColumn - 1 : lines[line - 1].length,
+                            render
+                        });
+                    }
+                    break;
+                }
+            }
+        });
+
+        return lines.map((line, index) => {
+            let html = '';
+            let last = 0;
+            spans[index].sort((a, b) => a.start - b.start).forEach(({ start, end, render }) => {
+                html += this.escape(line.substring(last, start)) + render(line.substring(start, end));
+                last = end;
+            });
+            return html + this.escape(line.substring(last));
+        });
+    }
+
+    /**
+     * 1つのタグ（[tag param=value] / @tag param=value）を色付け
+     * @param {string} text - タグの元の文字列
+     * @param {string} form - 'bracket' | 'at'
+     * @param {boolean} continued - 複数行にまたがるタグの2行目以降（タグ名を含まない）
+     */
+    highlightTag(text, form, continued = false) {
+        const close = form === 'bracket' && text.endsWith(']') ? ']' : '';
+        const body = text.substring(0, text.length - close.length);
+        const open = continued ? '' : body.match(/^[[@]\s*[^\s=\]]*/)[0];
+        return (open ? this.wrap('tok-tag', open) : '') + this.highlightParams(body.substring(open.length)) + (close ? this.wrap('tok-tag', close) : '');
+    }
+
+    /**
+     * タグのパラメータ（name=value / name="value" / name）を色付け
+     */
+    highlightParams(text) {
+        const pattern = /([\w.-]+)(\s*=\s*)("[^"]*"?|'[^']*'?|[^\s\]]+)|([\w.-]+)/g;
+
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const [token, name, equals, value, flag] = match;
+            html += this.escape(text.substring(last, match.index));
+            if (name) {
+                html += this.wrap('tok-attr', name) + this.escape(equals) + this.wrap('tok-string', value);
+            } else {
+                html += this.wrap('tok-attr', flag);
+            }
+            last = match.index + token.length;
+        }
+        return html + this.escape(text.substring(last));
+    }
+
+    /**
+     * HTMLを色付け（[html]用）
+     */
+    highlightHtml(code) {
+        const pattern = /(<!--[\s\S]*?(?:-->|$))|(<\/?[A-Za-z][\w:-]*)|([\w:-]+)(=)("[^"]*"?|'[^']*'?|[^\s>]+)|(\/?>)/g;
+
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            html += this.escape(code.substring(last, match.index));
+            const [token, comment, tagOpen, attrName, equals, attrValue, tagClose] = match;
+            if (comment) {
+                html += this.wrap('tok-comment', token);
+            } else if (tagOpen || tagClose) {
+                html += this.wrap('tok-tag', token);
+            } else if (attrName) {
+                html += this.wrap('tok-attr', attrName) + this.escape(equals) + this.wrap('tok-string', attrValue);
+            }
+            last = match.index + token.length;
+        }
+        return html + this.escape(code.substring(last));
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+} else {
+    window.SyntaxHighlighter = SyntaxHighlighter;
+}
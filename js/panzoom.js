@@ -25,6 +25,9 @@ class PanZoomController {
         this.maxScale = 3;
         this.zoomSensitivity = 0.001;
 
+        // 表示位置が変わったときに呼ぶ（保存用）
+        this.onChange = null;
+
         this.init();
     }
 
@@ -57,14 +60,20 @@ class PanZoomController {
 
     /**
      * SVGが更新されたら呼び出す
+     * @param {boolean} keepView - 今のパン・ズームを引き継ぐ（自動フィットしない）
      */
-    attachToSvg() {
+    attachToSvg(keepView = false) {
         this.svg = this.container.querySelector('svg');
         if (this.svg) {
             // SVGのスタイル設定
             this.svg.style.transformOrigin = '0 0';
             this.svg.style.cursor = 'grab';
 
+            if (keepView) {
+                this.applyTransform();
+                return;
+            }
+
             // レイアウトが確定するまで少し待ってから自動フィット
             requestAnimationFrame(() => {
                 setTimeout(() => {
@@ -138,6 +147,7 @@ class PanZoomController {
         if (this.svg) {
             this.svg.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
         }
+        if (this.onChange) this.onChange();
     }
 
     /**
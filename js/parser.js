@@ -4,12 +4,18 @@
  */
 
 class TyranoParser {
-    constructor() {
-        // タグのパターン定義
-        this.tagPattern = /\[([^\]]+)\]/g;
-        this.labelPattern = /^\*(\S+)/gm;
-        this.commentPattern = /^;.*$/gm;
-        this.multiCommentPattern = /\/\*[\s\S]*?\*\//g;
+    /**
+     * @param {TagRegistry} tagRegistry - タグ定義（素材参照・遷移・待ちの判定に使う）
+     */
+    constructor(tagRegistry = new (typeof module !== 'undefined' && module.exports ? require('./tags.js') : TagRegistry)()) {
+        this.tagRegistry = tagRegistry;
+
+        // 複数行コメントの区切り
+        this.blockCommentStart = '/*';
+        this.blockCommentEnd = '*/';
+
+        // ボイスとして扱うSEバッファ（[playse buf=voice]）
+        this.voiceBuffers = ['voice'];
     }
 
     /**
@@ -19,434 +25,1214 @@ class TyranoParser {
      * @returns {Object} 解析結果
      */
     parse(content, filename) {
-        // コメントを除去
-        const cleanedContent = this.removeComments(content);
+        // 1パスでノード列（AST）に分解し、各抽出結果はそこから導出する
+        const nodes = this.tokenize(content);
+
+        // [macro]～[endmacro] の中身は定義であり、その場では実行されない
+        const executable = this.excludeMacroBodies(nodes);
 
         return {
             filename: filename,
-            labels: this.extractLabels(cleanedContent),
-            jumps: this.extractJumps(cleanedContent),
-            calls: this.extractCalls(cleanedContent),
-            branches: this.extractBranches(cleanedContent),
-            images: this.extractImages(cleanedContent),
-            videos: this.extractVideos(cleanedContent),
-            audio: this.extractAudio(cleanedContent),
-            clickCount: this.countClicks(cleanedContent),
-            links: this.extractLinks(cleanedContent),
-            dialogues: this.extractDialogues(cleanedContent)
+            nodes: nodes,
+            macros: this.extractMacros(nodes),
+            macroCalls: [], // applyMacros() で設定
+            labels: this.extractLabels(executable),
+            ...this.extractTransitionsAndMedia(executable),
+            branches: this.extractBranches(executable),
+            choicePoints: this.extractChoicePoints(executable),
+            scripts: this.extractScripts(executable),
+            variables: this.extractVariables(executable),
+            voiceControls: this.extractVoiceControls(executable),
+            dialogues: this.extractDialogues(executable),
+            pages: this.extractPages(executable)
+        };
+    }
+
+    /**
+     * 遷移（jump/call/link）と素材参照、クリック数を抽出
+     * マクロ展開後のタグ列にも同じ抽出を行う
+     */
+    extractTransitionsAndMedia(nodes) {
+        return {
+            jumps: this.extractJumps(nodes),
+            calls: this.extractCalls(nodes),
+            links: this.extractLinks(nodes),
+            images: this.extractImages(nodes),
+            videos: this.extractVideos(nodes),
+            audio: this.extractAudio(nodes),
+            clickCount: this.countClicks(nodes)
         };
     }
 
     /**
-     * コメントを除去
+     * マクロ定義（[macro name=xxx]～[endmacro]）を抽出
+     * @returns {Array<Object>} { name, line, endLine, params, body } の配列
+     *   params は本体で参照している %引数名、body は本体のタグノード
      */
-    removeComments(content) {
-        // 複数行コメントを除去
-        let result = content.replace(this.multiCommentPattern, '');
-        // 単一行コメントを除去（ただしセミコロンで始まる行全体）
-        result = result.replace(this.commentPattern, '');
+    extractMacros(nodes) {
+        const macros = [];
+        let current = null;
+
+        nodes.forEach(node => {
+            if (node.type !== 'tag') return;
+
+            if (node.name === 'macro' && node.params.name) {
+                // タグ名は小文字で扱うため、マクロ名も小文字にそろえる
+                current = { name: node.params.name.toLowerCase(), line: node.line, endLine: null, params: [], body: [] };
+                return;
+            }
+            if (node.name === 'endmacro' && current) {
+                current.endLine = node.line;
+                const params = new Set();
+                current.body.forEach(tag => {
+                    Object.values(tag.params).forEach(value => {
+                        const match = typeof value === 'string' && value.match(/^%([^|]+)/);
+                        if (match) params.add(match[1]);
+                    });
+                });
+                current.params = [...params];
+                macros.push(current);
+                current = null;
+                return;
+            }
+            if (current) {
+                current.body.push(node);
+            }
+        });
+
+        return macros;
+    }
+
+    /**
+     * マクロ定義の本体（[macro]・[endmacro]を含む）を除いたノード列を取得
+     */
+    excludeMacroBodies(nodes) {
+        let inMacro = false;
+        return nodes.filter(node => {
+            if (node.type === 'tag' && node.name === 'macro') {
+                inMacro = true;
+                return false;
+            }
+            if (node.type === 'tag' && node.name === 'endmacro' && inMacro) {
+                inMacro = false;
+                return false;
+            }
+            return !inMacro;
+        });
+    }
+
+    /**
+     * マクロ本体のパラメータに呼び出し側の値を代入
+     * %name → 呼び出し側の name、%name|default → 省略時は default、* → 呼び出し側の全パラメータ
+     */
+    substituteMacroParams(params, callParams) {
+        const result = {};
+        Object.entries(params).forEach(([key, value]) => {
+            if (key === '*') {
+                Object.assign(result, callParams);
+                return;
+            }
+            if (typeof value === 'string' && value.startsWith('%')) {
+                const [paramName, defaultValue] = value.substring(1).split('|');
+                const substituted = callParams[paramName] !== undefined ? callParams[paramName] : defaultValue;
+                if (substituted !== undefined) result[key] = substituted;
+                return;
+            }
+            result[key] = value;
+        });
         return result;
     }
 
     /**
-     * タグのパラメータを解析
+     * マクロ呼び出しを展開したタグ列を取得（行番号は呼び出し箇所）
+     * マクロ内から別のマクロを呼ぶ場合も展開する（自己再帰に備えて深さを制限）
      */
-    parseTagParams(tagContent) {
-        const params = {};
-        // タグ名を取得
-        const parts = tagContent.trim().split(/\s+/);
-        params._tagName = parts[0];
+    expandMacro(definitions, name, callParams, line, depth = 0) {
+        if (depth > 10) return [];
 
-        // パラメータを解析（key=value または key="value" 形式）
-        const paramPattern = /(\w+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+))/g;
-        let match;
-        while ((match = paramPattern.exec(tagContent)) !== null) {
-            const key = match[1];
-            const value = match[2] || match[3] || match[4];
-            params[key] = value;
-        }
+        const expanded = [];
+        definitions.get(name).body.forEach(tag => {
+            const params = this.substituteMacroParams(tag.params, callParams);
+            if (definitions.has(tag.name)) {
+                expanded.push(...this.expandMacro(definitions, tag.name, params, line, depth + 1));
+            } else {
+                expanded.push({ ...tag, params, line });
+            }
+        });
+        return expanded;
+    }
 
-        return params;
+    /**
+     * プロジェクト全体のマクロ定義を集め、各ファイルのマクロ呼び出しを展開する
+     * 展開したjump・素材などは呼び出し箇所の行で各抽出結果に加え、macro にマクロ名を記録する
+     * 抽出結果はノード列から作り直すため、ファイルを読み直すたびに呼んでよい
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     */
+    applyMacros(parsedFiles) {
+        const definitions = new Map(); // マクロ名 -> { filename, ...定義 }
+        parsedFiles.forEach((data, filename) => {
+            (data.macros || []).forEach(macro => {
+                if (!definitions.has(macro.name)) {
+                    definitions.set(macro.name, { ...macro, filename });
+                }
+            });
+        });
+
+        parsedFiles.forEach(data => {
+            const executable = this.excludeMacroBodies(data.nodes);
+            const result = this.extractTransitionsAndMedia(executable);
+            data.macroCalls = [];
+
+            executable.forEach(node => {
+                if (node.type !== 'tag' || !definitions.has(node.name)) return;
+
+                const definition = definitions.get(node.name);
+                data.macroCalls.push({
+                    name: node.name,
+                    line: node.line,
+                    params: node.params,
+                    definedIn: definition.filename,
+                    definedLine: definition.line
+                });
+
+                const expanded = this.extractTransitionsAndMedia(
+                    this.expandMacro(definitions, node.name, node.params, node.line)
+                );
+                ['jumps', 'calls', 'links', 'images', 'videos', 'audio'].forEach(key => {
+                    result[key].push(...expanded[key].map(item => ({ ...item, macro: node.name })));
+                });
+                result.clickCount += expanded.clickCount;
+            });
+
+            // 呼び出し箇所の行順に並べ直す
+            ['jumps', 'calls', 'links', 'images', 'videos', 'audio'].forEach(key => {
+                result[key].sort((a, b) => a.line - b.line);
+            });
+            Object.assign(data, result);
+        });
     }
 
     /**
-     * ラベルを抽出
+     * ksファイルをノード列に分解する
+     * ノード種別: text / tag / label / speaker / comment / script
+     * 各ノードは1始まりの行番号(line)・列番号(column)と終了列(endColumn, 排他的)を持つ
+     * 複数行にまたがるタグ・コメントは開始行を line、終わりの行を endLine とし、endColumn は endLine の列とする
+     * [iscript]～[endscript]、[html]～[endhtml] の中身は1つの script ノード（kind, text, endLine）にまとめる
+     * @param {string} content - ksファイルの内容
+     * @returns {Array<Object>} 出現順のノード列
      */
-    extractLabels(content) {
-        const labels = [];
-        const lines = content.split('\n');
+    tokenize(content) {
+        const nodes = [];
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        let blockComment = null; // 閉じていない複数行コメント
+        let script = null; // 閉じていない[iscript]/[html]ブロック
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lineNum = i + 1;
+
+            // [iscript]/[html] ブロックの途中（終了タグの行は終了タグ以降を通常どおり解析する）
+            if (script) {
+                const endIndex = this.findOpaqueBlockEnd(line, this.tagRegistry.getOpaqueEnd(script.kind));
+                if (endIndex === -1) {
+                    script.lines.push(line);
+                    continue;
+                }
+                if (line.substring(0, endIndex).trim()) {
+                    script.lines.push(line.substring(0, endIndex));
+                }
+                this.pushScriptNode(script, nodes);
+                script = null;
+
+                const rest = line.substring(endIndex);
+                if (rest.trimStart().startsWith('@')) {
+                    this.pushAtTag(rest.trim(), lineNum, endIndex + 1, nodes);
+                } else {
+                    const inline = this.tokenizeInline(lines, i, endIndex, nodes);
+                    i = inline.index;
+                    script = inline.script;
+                }
+                continue;
+            }
+
+            // 複数行コメントの途中（閉じる行は */ 以降を通常どおり解析する）
+            if (blockComment) {
+                const endIndex = line.indexOf(this.blockCommentEnd);
+                if (endIndex === -1) {
+                    // 閉じないまま終わった場合もそこまでをコメントとする
+                    blockComment.text += '\n' + line;
+                    blockComment.endLine = lineNum;
+                    blockComment.endColumn = line.length + 1;
+                    continue;
+                }
+                blockComment.text += '\n' + line.substring(0, endIndex);
+                blockComment.endLine = lineNum;
+                blockComment.endColumn = endIndex + this.blockCommentEnd.length + 1;
+                blockComment = null;
+                const inline = this.tokenizeAfterComment(lines, i, endIndex + this.blockCommentEnd.length, nodes);
+                i = inline.index;
+                script = inline.script;
+                continue;
+            }
 
-        lines.forEach((line, index) => {
             const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            const start = line.length - line.trimStart().length;
+            const column = start + 1;
+            const endColumn = start + trimmed.length + 1;
+
+            // 複数行コメント開始（同じ行で閉じたら */ 以降を通常どおり解析する）
+            if (trimmed.startsWith(this.blockCommentStart)) {
+                const textStart = start + this.blockCommentStart.length;
+                const endIndex = line.indexOf(this.blockCommentEnd, textStart);
+                const node = {
+                    type: 'comment',
+                    block: true,
+                    text: line.substring(textStart, endIndex === -1 ? line.length : endIndex),
+                    line: lineNum,
+                    column: column,
+                    endColumn: endIndex === -1 ? endColumn : endIndex + this.blockCommentEnd.length + 1
+                };
+                nodes.push(node);
+                if (endIndex === -1) {
+                    blockComment = node;
+                } else {
+                    const inline = this.tokenizeAfterComment(lines, i, endIndex + this.blockCommentEnd.length, nodes);
+                    i = inline.index;
+                    script = inline.script;
+                }
+                continue;
+            }
+
+            // 単一行コメント
+            if (trimmed.startsWith(';')) {
+                nodes.push({
+                    type: 'comment',
+                    block: false,
+                    text: trimmed.substring(1),
+                    line: lineNum,
+                    column: column,
+                    endColumn: endColumn
+                });
+                continue;
+            }
+
+            // ラベル (*ラベル名|見出し)
             if (trimmed.startsWith('*')) {
-                const labelName = trimmed.substring(1).split(/\s/)[0];
-                if (labelName) {
-                    labels.push({
-                        name: labelName,
-                        line: index + 1
+                const [namePart, ...titleParts] = trimmed.substring(1).split('|');
+                const name = namePart.trim().split(/\s/)[0];
+                if (name) {
+                    nodes.push({
+                        type: 'label',
+                        name: name,
+                        title: titleParts.length > 0 ? titleParts.join('|').trim() : null,
+                        line: lineNum,
+                        column: column,
+                        endColumn: endColumn
                     });
                 }
+                continue;
+            }
+
+            // 話者指定 (#キャラ名 または #キャラ名:表情)
+            if (trimmed.startsWith('#')) {
+                const [namePart, ...faceParts] = trimmed.substring(1).split(':');
+                nodes.push({
+                    type: 'speaker',
+                    name: namePart.trim() || null, // 空の場合はナレーション
+                    face: faceParts.length > 0 ? faceParts.join(':').trim() || null : null,
+                    line: lineNum,
+                    column: column,
+                    endColumn: endColumn
+                });
+                continue;
+            }
+
+            if (trimmed.startsWith('@')) {
+                // @形式のタグ（行全体が1タグ）。@iscript / @html なら次の行から終了タグまでをまとめる
+                this.pushAtTag(trimmed, lineNum, column, nodes);
+                const last = nodes[nodes.length - 1];
+                if (last && last.line === lineNum && last.type === 'tag' && this.tagRegistry.getOpaqueEnd(last.name)) {
+                    script = { kind: last.name, line: lineNum + 1, lines: [] };
+                }
+            } else {
+                // テキストと[タグ]の混在行（複数行にまたがるタグがあれば、その終わりの行まで進む）
+                const inline = this.tokenizeInline(lines, i, start, nodes);
+                i = inline.index;
+                script = inline.script;
             }
-        });
+        }
+
+        // 終了タグがないまま終わった場合もそこまでを中身とする
+        if (script) {
+            this.pushScriptNode(script, nodes);
+        }
 
-        return labels;
+        return nodes;
     }
 
     /**
-     * jumpタグを抽出
+     * 複数行コメントを閉じた行の残り（閉じ記号より後ろ）を解析
+     * @returns {Object} tokenizeInline() と同じ { index, script }
      */
-    extractJumps(content) {
-        const jumps = [];
-        const tagPattern = /\[(jump|@jump)\s+([^\]]*)\]/gi;
-        let match;
+    tokenizeAfterComment(lines, index, from, nodes) {
+        const rest = lines[index].substring(from);
+        if (!rest.trim()) return { index, script: null };
+        return this.tokenizeInline(lines, index, from + rest.length - rest.trimStart().length, nodes);
+    }
 
-        while ((match = tagPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            jumps.push({
-                storage: params.storage || null,
-                target: params.target || null,
-                cond: params.cond || null
-            });
-        }
+    /**
+     * @形式のタグノードを追加
+     */
+    pushAtTag(trimmed, lineNum, column, nodes) {
+        const { name, params } = this.parseTagContent(trimmed.substring(1));
+        if (!name) return;
+        nodes.push({
+            type: 'tag',
+            form: 'at',
+            name: name,
+            params: params,
+            raw: trimmed,
+            line: lineNum,
+            column: column,
+            endColumn: column + trimmed.length
+        });
+    }
 
-        // @jumpの形式も対応
-        const atJumpPattern = /^@jump\s+(.*)$/gim;
-        while ((match = atJumpPattern.exec(content)) !== null) {
-            const params = this.parseTagParams('jump ' + match[1]);
-            jumps.push({
-                storage: params.storage || null,
-                target: params.target || null,
-                cond: params.cond || null
-            });
+    /**
+     * [iscript]/[html] ブロックの終了タグの位置を取得（見つからなければ -1）
+     */
+    findOpaqueBlockEnd(line, endTag) {
+        const trimmed = line.trimStart();
+        if (new RegExp(`^@${endTag}\\b`, 'i').test(trimmed)) {
+            return line.length - trimmed.length;
         }
+        const match = line.match(new RegExp(`\\[${endTag}\\b`, 'i'));
+        return match ? match.index : -1;
+    }
 
-        return jumps;
+    /**
+     * [iscript]/[html] ブロックの中身を script ノードとして追加
+     */
+    pushScriptNode(script, nodes) {
+        if (script.lines.length === 0) return;
+        const column = script.column || 1; // 開始タグと同じ行から始まる場合はその後ろの列
+        const lastLine = script.lines[script.lines.length - 1];
+        nodes.push({
+            type: 'script',
+            kind: script.kind,
+            text: script.lines.join('\n'),
+            line: script.line,
+            endLine: script.line + script.lines.length - 1,
+            column: column,
+            endColumn: lastLine.length + (script.lines.length === 1 ? column : 1)
+        });
     }
 
     /**
-     * callタグを抽出
+     * テキストと[タグ]が混在する1行をノードに分解
+     * 閉じ括弧が行内にないタグは、見つかるまで次の行以降も読む（空行で打ち切り、閉じていない [ はテキストとする）
+     * [iscript]/[html] の後ろは終了タグまでを script ノードにし、行内で閉じなければ閉じていないブロックとして返す
+     * @param {Array<string>} lines - ファイルの全行
+     * @param {number} index - 行のインデックス（0始まり）
+     * @param {number} start - 行頭の空白を除いた開始位置
+     * @param {Array<Object>} nodes - ノードの追加先
+     * @returns {Object} { index, script } 読み終えた最後の行のインデックスと、閉じていない[iscript]/[html]ブロック（なければ null）
      */
-    extractCalls(content) {
-        const calls = [];
-        const tagPattern = /\[call\s+([^\]]*)\]/gi;
-        let match;
+    tokenizeInline(lines, index, start, nodes) {
+        let line = lines[index];
+        let lineNum = index + 1;
+        let buffer = '';
+        let bufferStart = start;
+        let pos = start;
 
-        while ((match = tagPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            calls.push({
-                storage: params.storage || null,
-                target: params.target || null
-            });
+        const flushText = () => {
+            if (buffer.trim()) {
+                nodes.push({
+                    type: 'text',
+                    text: buffer,
+                    line: lineNum,
+                    column: bufferStart + 1,
+                    endColumn: pos + 1
+                });
+            }
+            buffer = '';
+        };
+
+        while (pos < line.length) {
+            const ch = line[pos];
+
+            if (ch === '[') {
+                // [[ は文字としての [
+                if (line[pos + 1] === '[') {
+                    if (!buffer) bufferStart = pos;
+                    buffer += '[';
+                    pos += 2;
+                    continue;
+                }
+
+                const tag = this.findMultilineTagEnd(lines, index, pos);
+                if (tag) {
+                    flushText();
+                    const { name, params } = this.parseTagContent(tag.source.substring(pos + 1, tag.end));
+                    const node = {
+                        type: 'tag',
+                        form: 'bracket',
+                        name: name,
+                        params: params,
+                        raw: tag.source.substring(pos, tag.end + 1),
+                        line: lineNum,
+                        column: pos + 1,
+                        endColumn: tag.end - tag.lastLineStart + 2
+                    };
+                    if (tag.endIndex !== index) node.endLine = tag.endIndex + 1;
+                    if (name) nodes.push(node);
+
+                    // 閉じ括弧の行の続きから読む
+                    index = tag.endIndex;
+                    line = lines[index];
+                    lineNum = index + 1;
+                    pos = tag.end - tag.lastLineStart + 1;
+                    bufferStart = pos;
+
+                    const endTag = name ? this.tagRegistry.getOpaqueEnd(name) : null;
+                    if (endTag) {
+                        const rest = line.substring(pos);
+                        const match = rest.match(new RegExp(`\\[${endTag}\\b`, 'i'));
+                        const text = match ? rest.substring(0, match.index) : rest;
+                        if (!match) {
+                            // 次の行以降に続くブロック（同じ行の後ろに中身があればその行から始める）
+                            const script = text.trim()
+                                ? { kind: name, line: lineNum, column: pos + 1, lines: [text] }
+                                : { kind: name, line: lineNum + 1, lines: [] };
+                            return { index, script };
+                        }
+                        if (text.trim()) {
+                            nodes.push({
+                                type: 'script',
+                                kind: name,
+                                text: text,
+                                line: lineNum,
+                                endLine: lineNum,
+                                column: pos + 1,
+                                endColumn: pos + match.index + 1
+                            });
+                        }
+                        pos += match.index;
+                        bufferStart = pos;
+                    }
+                    continue;
+                }
+                // 閉じていない [ はテキストとして扱う
+            }
+
+            if (!buffer) bufferStart = pos;
+            buffer += ch;
+            pos++;
         }
 
-        return calls;
+        flushText();
+        return { index, script: null };
     }
 
     /**
-     * リンク（選択肢）を抽出
+     * [ から始まるタグの閉じ括弧を、必要なら次の行以降まで探す
+     * @param {Array<string>} lines - ファイルの全行
+     * @param {number} index - [ のある行のインデックス
+     * @param {number} pos - [ の位置
+     * @returns {Object|null} { source, end, endIndex, lastLineStart }
+     *   source は開始行から閉じ括弧の行までを改行でつないだ文字列、end はその中の ] の位置、
+     *   lastLineStart は source 内での閉じ括弧の行の開始位置（見つからなければ null）
      */
-    extractLinks(content) {
-        const links = [];
+    findMultilineTagEnd(lines, index, pos) {
+        let source = lines[index];
+        let lastLineStart = 0;
 
-        // [glink]
-        const glinkPattern = /\[glink\s+([^\]]*)\]/gi;
-        let match;
-        while ((match = glinkPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            links.push({
-                type: 'glink',
-                text: params.text || '',
-                storage: params.storage || null,
-                target: params.target || null
-            });
+        for (let i = index; i < lines.length; i++) {
+            if (i > index) {
+                if (!lines[i].trim()) break;
+                lastLineStart = source.length + 1;
+                source += '\n' + lines[i];
+            }
+            const end = this.findTagEnd(source, pos + 1);
+            if (end !== -1) {
+                return { source, end, endIndex: i, lastLineStart };
+            }
         }
 
-        // [link]
-        const linkPattern = /\[link\s+([^\]]*)\]/gi;
-        while ((match = linkPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            links.push({
-                type: 'link',
-                storage: params.storage || null,
-                target: params.target || null
-            });
-        }
+        return null;
+    }
 
-        // [button]
-        const buttonPattern = /\[button\s+([^\]]*)\]/gi;
-        while ((match = buttonPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            links.push({
-                type: 'button',
-                graphic: params.graphic || null,
-                storage: params.storage || null,
-                target: params.target || null
-            });
+    /**
+     * タグの閉じ括弧の位置を探す（クォート内の ] は無視）
+     * @param {string} line - 行の内容
+     * @param {number} from - [ の直後の位置
+     * @returns {number} ] の位置（見つからなければ -1）
+     */
+    findTagEnd(line, from) {
+        let quote = null;
+        let lastNonSpace = '';
+
+        for (let i = from; i < line.length; i++) {
+            const ch = line[i];
+
+            if (quote) {
+                if (ch === quote) quote = null;
+                continue;
+            }
+
+            // クォートは = の直後でのみ値の開始とみなす
+            if ((ch === '"' || ch === "'") && lastNonSpace === '=') {
+                quote = ch;
+            } else if (ch === ']') {
+                return i;
+            }
+
+            if (!/\s/.test(ch)) lastNonSpace = ch;
         }
 
-        return links;
+        return -1;
     }
 
     /**
-     * 条件分岐を抽出
+     * タグの中身（括弧・@を除いた部分）をタグ名とパラメータに分解
+     * key=value / key="value" / key='value' / 値なしのkey に対応
+     * @param {string} tagContent - タグの中身
+     * @returns {{name: string, params: Object}} タグ名（小文字）とパラメータ
      */
-    extractBranches(content) {
-        const branches = [];
-        const ifPattern = /\[(if|elsif)\s+([^\]]*)\]/gi;
-        let match;
+    parseTagContent(tagContent) {
+        const src = tagContent.trim();
+        const params = {};
+        let pos = 0;
 
-        while ((match = ifPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            branches.push({
-                type: match[1].toLowerCase(),
-                exp: params.exp || ''
-            });
+        const skipSpaces = () => {
+            while (pos < src.length && /\s/.test(src[pos])) pos++;
+        };
+
+        // タグ名
+        while (pos < src.length && !/\s/.test(src[pos])) pos++;
+        const name = src.substring(0, pos).toLowerCase();
+
+        // パラメータ
+        while (pos < src.length) {
+            skipSpaces();
+            if (pos >= src.length) break;
+
+            const keyStart = pos;
+            while (pos < src.length && !/[\s=]/.test(src[pos])) pos++;
+            const key = src.substring(keyStart, pos);
+
+            skipSpaces();
+            if (src[pos] !== '=') {
+                // 値なしのパラメータ（[macro_name *] など）
+                if (key) params[key] = '';
+                continue;
+            }
+            pos++; // '='
+            skipSpaces();
+
+            let value = '';
+            const quote = src[pos];
+            if (quote === '"' || quote === "'") {
+                const closeIndex = src.indexOf(quote, pos + 1);
+                const valueEnd = closeIndex === -1 ? src.length : closeIndex;
+                value = src.substring(pos + 1, valueEnd);
+                pos = valueEnd + 1;
+            } else {
+                const valueStart = pos;
+                while (pos < src.length && !/\s/.test(src[pos])) pos++;
+                value = src.substring(valueStart, pos);
+            }
+
+            if (key) params[key] = value;
         }
 
-        return branches;
+        return { name, params };
     }
 
     /**
-     * 画像関連タグを抽出
+     * 指定した名前のタグノードを出現順に取得
+     * @param {Array<Object>} nodes - ノード列
+     * @param {Array<string>} names - タグ名の一覧
      */
-    extractImages(content) {
-        const images = [];
+    findTags(nodes, names) {
+        return nodes.filter(node => node.type === 'tag' && names.includes(node.name));
+    }
 
-        // [bg]
-        const bgPattern = /\[bg\s+([^\]]*)\]/gi;
-        let match;
-        while ((match = bgPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                images.push({
-                    type: 'bg',
-                    storage: params.storage,
-                    folder: 'bgimage'
-                });
+    /**
+     * 指定した遷移の種類（'jump' | 'call' | 'link'）を持つタグノードを取得
+     */
+    findJumpTags(nodes, kind) {
+        return nodes.filter(node => node.type === 'tag' && this.tagRegistry.isJump(node.name, kind));
+    }
+
+    /**
+     * その先へ実行が進まないタグ（[s]・[return]・無条件の[jump]）を出現順に取得
+     * [if]～[endif]、[ignore]～[endignore] の中は条件次第で通らないため含めない
+     * マクロ呼び出しは、展開すると無条件の[jump]になるものを終端とする
+     * @param {Array<Object>} nodes - ノード列（マクロ定義の本体は excludeMacroBodies() で除いておく）
+     * @param {Array<Object>} jumps - applyMacros() 後の jump（macro を持つものがマクロ展開後の jump）
+     * @returns {Array<Object>} 終端のタグノード
+     */
+    findTerminators(nodes, jumps = []) {
+        const macroJumps = new Set(
+            jumps.filter(jump => jump.macro && !jump.cond).map(jump => `${jump.macro}:${jump.line}`)
+        );
+        const terminators = [];
+        let depth = 0;
+
+        nodes.forEach(node => {
+            if (node.type !== 'tag') return;
+
+            if (node.name === 'if' || node.name === 'ignore') {
+                depth++;
+                return;
             }
-        }
+            if (node.name === 'endif' || node.name === 'endignore') {
+                depth = Math.max(0, depth - 1);
+                return;
+            }
+            if (depth > 0) return;
 
-        // [image]
-        const imagePattern = /\[image\s+([^\]]*)\]/gi;
-        while ((match = imagePattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                images.push({
-                    type: 'image',
-                    storage: params.storage,
-                    layer: params.layer || '0',
-                    folder: 'fgimage'
-                });
+            if (this.tagRegistry.isWait(node.name, 'stop') || node.name === 'return' ||
+                (this.tagRegistry.isJump(node.name, 'jump') && !node.params.cond) ||
+                macroJumps.has(`${node.name}:${node.line}`)) {
+                terminators.push(node);
             }
-        }
+        });
 
-        // [chara_new]
-        const charaNewPattern = /\[chara_new\s+([^\]]*)\]/gi;
-        while ((match = charaNewPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                images.push({
-                    type: 'chara_new',
-                    name: params.name || '',
-                    storage: params.storage,
-                    folder: 'fgimage'
-                });
+        return terminators;
+    }
+
+    /**
+     * ラベルを抽出
+     */
+    extractLabels(nodes) {
+        return nodes
+            .filter(node => node.type === 'label')
+            .map(node => ({
+                name: node.name,
+                title: node.title,
+                line: node.line
+            }));
+    }
+
+    /**
+     * jumpタグを抽出（[jump] と @jump の両方）
+     */
+    extractJumps(nodes) {
+        return this.findJumpTags(nodes, 'jump').map(tag => ({
+            storage: tag.params.storage || null,
+            target: tag.params.target || null,
+            cond: tag.params.cond || null,
+            line: tag.line
+        }));
+    }
+
+    /**
+     * callタグを抽出
+     */
+    extractCalls(nodes) {
+        return this.findJumpTags(nodes, 'call').map(tag => ({
+            storage: tag.params.storage || null,
+            target: tag.params.target || null,
+            line: tag.line
+        }));
+    }
+
+    /**
+     * リンク（選択肢）を抽出
+     */
+    extractLinks(nodes) {
+        const links = [];
+
+        nodes.forEach((node, index) => {
+            const link = this.createLink(nodes, index);
+            if (link) links.push(link);
+        });
+
+        return links;
+    }
+
+    /**
+     * [glink] / [link] / [button] などリンクとして定義されたタグからリンク情報を作成（それ以外は null）
+     */
+    createLink(nodes, index) {
+        const tag = nodes[index];
+        if (tag.type !== 'tag' || !this.tagRegistry.isJump(tag.name, 'link')) return null;
+        const params = tag.params;
+
+        switch (tag.name) {
+            case 'glink':
+                return {
+                    type: 'glink',
+                    text: params.text || '',
+                    storage: params.storage || null,
+                    target: params.target || null,
+                    cond: params.cond || null,
+                    line: tag.line
+                };
+
+            case 'link': {
+                const textNodes = this.getLinkTextNodes(nodes, index);
+                return {
+                    type: 'link',
+                    text: textNodes.map(node => node.text.trim()).join(''),
+                    storage: params.storage || null,
+                    target: params.target || null,
+                    cond: params.cond || null,
+                    line: tag.line,
+                    segments: textNodes.map(({ line, column, endColumn }) => ({ line, column, endColumn }))
+                };
             }
+
+            case 'button':
+                return {
+                    type: 'button',
+                    graphic: params.graphic || null,
+                    storage: params.storage || null,
+                    target: params.target || null,
+                    cond: params.cond || null,
+                    fix: params.fix === 'true',
+                    line: tag.line
+                };
         }
 
-        // [chara_show]
-        const charaShowPattern = /\[chara_show\s+([^\]]*)\]/gi;
-        while ((match = charaShowPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            images.push({
-                type: 'chara_show',
-                name: params.name || '',
-                face: params.face || null,
-                storage: params.storage || null,
-                folder: 'fgimage'
-            });
+        // [clickable] やプロジェクト側で定義したリンク
+        return {
+            type: tag.name,
+            text: params.text || '',
+            storage: params.storage || null,
+            target: params.target || null,
+            cond: params.cond || null,
+            line: tag.line
+        };
+    }
+
+    /**
+     * [link] から [endlink] までのテキストノードを取得
+     */
+    getLinkTextNodes(nodes, index) {
+        const textNodes = [];
+        for (let i = index + 1; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (node.type === 'label' || (node.type === 'tag' && node.name === 'endlink')) break;
+            if (node.type === 'text') textNodes.push(node);
         }
+        return textNodes;
+    }
 
-        // [chara_face]
-        const charaFacePattern = /\[chara_face\s+([^\]]*)\]/gi;
-        while ((match = charaFacePattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                images.push({
-                    type: 'chara_face',
-                    name: params.name || '',
-                    face: params.face || '',
-                    storage: params.storage,
-                    folder: 'fgimage'
+    /**
+     * 選択肢のまとまり（1画面に同時に表示される選択肢）を抽出
+     * [s] までに連続して置かれた [glink] / [link] / [button] を1つの選択ポイントとする
+     * 常駐ボタン（fix=true）や遷移先のないボタンはシステムUIとみなして含めない
+     * @returns {Array<Object>} { label, line, waitLine, options } の配列
+     */
+    extractChoicePoints(nodes) {
+        const choicePoints = [];
+        let currentLabel = null;
+        let options = [];
+
+        const flush = (waitLine) => {
+            if (options.length > 0) {
+                choicePoints.push({
+                    label: currentLabel,
+                    line: options[0].line,
+                    waitLine: waitLine,
+                    options: options
                 });
             }
-        }
+            options = [];
+        };
+
+        nodes.forEach((node, index) => {
+            if (node.type === 'label') {
+                flush(null);
+                currentLabel = node.name;
+                return;
+            }
+            if (node.type !== 'tag') return;
+
+            if (node.name === 's') {
+                flush(node.line);
+                return;
+            }
+
+            const link = this.createLink(nodes, index);
+            if (!link) return;
+            if (link.type === 'button' && (link.fix || (!link.storage && !link.target))) return;
+            options.push(link);
+        });
+        flush(null);
 
-        return images;
+        return choicePoints;
     }
 
     /**
-     * 動画関連タグを抽出
+     * [iscript]/[html] ブロックを抽出
+     */
+    extractScripts(nodes) {
+        return nodes
+            .filter(node => node.type === 'script')
+            .map(node => ({
+                kind: node.kind,
+                text: node.text,
+                line: node.line,
+                endLine: node.endLine
+            }));
+    }
+
+    /**
+     * 式に含まれる変数（f. / sf. / tf.）の書き込みと読み取りを取得
+     * 代入（=, +=, ++ など）の左辺を書き込み、それ以外の出現を読み取りとする
+     * @returns {Object} { writes: [{ scope, name }], reads: [{ scope, name }] }
      */
-    extractVideos(content) {
-        const videos = [];
+    analyzeExpression(exp) {
+        const writes = [];
+        const reads = [];
+        if (!exp) return { writes, reads };
 
-        // [video]
-        const videoPattern = /\[video\s+([^\]]*)\]/gi;
+        const pattern = /(\+\+|--)?\s*\b(f|sf|tf)\.([A-Za-z_$][\w$]*)(?:\s*(\+\+|--|[+\-*/%]?=(?!=)))?/g;
         let match;
-        while ((match = videoPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                videos.push({
-                    type: 'video',
-                    storage: params.storage,
-                    folder: 'video'
-                });
+        while ((match = pattern.exec(exp)) !== null) {
+            const variable = { scope: match[2], name: match[3] };
+            if (match[1] || match[4]) {
+                writes.push(variable);
+            } else {
+                reads.push(variable);
             }
         }
 
-        // [movie]
-        const moviePattern = /\[movie\s+([^\]]*)\]/gi;
-        while ((match = moviePattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                videos.push({
-                    type: 'movie',
-                    storage: params.storage,
-                    folder: 'video'
+        return { writes, reads };
+    }
+
+    /**
+     * 変数の書き込み・読み取りを抽出
+     * 書き込み: [eval exp] / [iscript]内の代入 / [clearvar exp] / [edit name] / 選択肢の exp
+     * 読み取り: [if exp] / [elsif exp] / [emb exp] / cond= / &付きの属性値
+     * @param {Array<Object>} nodes - ノード列
+     * @returns {Object} { writes, reads, clears } 各要素は { scope, name, tag, line }
+     */
+    extractVariables(nodes) {
+        const writes = [];
+        const reads = [];
+        const clears = []; // 引数なしの[clearvar]/[clearsysvar]（全変数のクリア）
+
+        const record = (exp, tag, line) => {
+            const result = this.analyzeExpression(exp);
+            result.writes.forEach(v => writes.push({ ...v, tag, line }));
+            result.reads.forEach(v => reads.push({ ...v, tag, line }));
+        };
+
+        nodes.forEach(node => {
+            // [iscript]内は1行ずつ代入を調べる（[html]はHTMLなので対象外）
+            if (node.type === 'script' && node.kind === 'iscript') {
+                node.text.split('\n').forEach((text, index) => {
+                    record(text, 'iscript', node.line + index);
                 });
+                return;
             }
-        }
+            if (node.type !== 'tag') return;
+            const params = node.params;
 
-        // [bgmovie]
-        const bgmoviePattern = /\[bgmovie\s+([^\]]*)\]/gi;
-        while ((match = bgmoviePattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                videos.push({
-                    type: 'bgmovie',
-                    storage: params.storage,
-                    folder: 'video'
-                });
+            switch (node.name) {
+                case 'eval':
+                case 'if':
+                case 'elsif':
+                case 'emb':
+                case 'ignore':
+                    record(params.exp, node.name, node.line);
+                    break;
+
+                case 'glink':
+                case 'link':
+                case 'button':
+                case 'clickable':
+                    // クリック時に実行される式
+                    record(params.exp, node.name, node.line);
+                    break;
+
+                case 'clearvar':
+                case 'clearsysvar':
+                    if (params.exp) {
+                        this.analyzeExpression(params.exp).reads.forEach(v => writes.push({ ...v, tag: node.name, line: node.line }));
+                    } else {
+                        clears.push({ scope: node.name === 'clearvar' ? 'f' : 'sf', tag: node.name, line: node.line });
+                    }
+                    break;
+
+                case 'edit':
+                    this.analyzeExpression(params.name).reads.forEach(v => writes.push({ ...v, tag: node.name, line: node.line }));
+                    break;
             }
-        }
 
-        return videos;
+            // 条件付き実行と変数埋め込み（&f.xxx）は全タグ共通
+            record(params.cond, node.name, node.line);
+            Object.entries(params).forEach(([key, value]) => {
+                if (key !== 'cond' && typeof value === 'string' && value.startsWith('&')) {
+                    record(value.substring(1), node.name, node.line);
+                }
+            });
+        });
+
+        return { writes, reads, clears };
     }
 
     /**
-     * 音声関連タグを抽出
+     * 条件分岐を抽出
      */
-    extractAudio(content) {
-        const audio = [];
+    extractBranches(nodes) {
+        return this.findTags(nodes, ['if', 'elsif']).map(tag => ({
+            type: tag.name,
+            exp: tag.params.exp || '',
+            line: tag.line
+        }));
+    }
 
-        // [playbgm], [fadeinbgm]
-        const bgmPattern = /\[(playbgm|fadeinbgm)\s+([^\]]*)\]/gi;
-        let match;
-        while ((match = bgmPattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                audio.push({
-                    type: 'bgm',
-                    tag: match[1].toLowerCase(),
-                    storage: params.storage,
-                    folder: 'bgm'
+    /**
+     * 素材を参照するタグから、指定フォルダの参照を抽出
+     * どのパラメータがどのフォルダを参照するかはタグ定義（TagRegistry）に従う
+     * @param {Array<string>} folders - 対象の素材フォルダ
+     * @param {Function} extra - (tag, ref) => 追加する項目
+     */
+    extractAssetRefs(nodes, folders, extra = () => ({})) {
+        const refs = [];
+        nodes.forEach(node => {
+            if (node.type !== 'tag') return;
+            this.tagRegistry.getAssetRefs(node).forEach(ref => {
+                if (!folders.includes(ref.folder)) return;
+                refs.push({
+                    type: node.name,
+                    ...extra(node, ref),
+                    storage: ref.storage,
+                    folder: ref.folder,
+                    line: node.line
                 });
-            }
-        }
+            });
+        });
+        return refs;
+    }
 
-        // [playse], [fadeinse]
-        const sePattern = /\[(playse|fadeinse)\s+([^\]]*)\]/gi;
-        while ((match = sePattern.exec(content)) !== null) {
-            const params = this.parseTagParams(match[0].slice(1, -1));
-            if (params.storage) {
-                audio.push({
-                    type: 'se',
-                    tag: match[1].toLowerCase(),
-                    storage: params.storage,
-                    folder: 'sound'
-                });
-            }
-        }
+    /**
+     * 画像関連タグを抽出
+     */
+    extractImages(nodes) {
+        return this.extractAssetRefs(nodes, ['bgimage', 'fgimage', 'image'], tag => {
+            const extra = {};
+            if (tag.params.layer) extra.layer = tag.params.layer;
+            if (tag.params.name) extra.name = tag.params.name;
+            if (tag.params.face) extra.face = tag.params.face;
+            return extra;
+        });
+    }
+
+    /**
+     * 動画関連タグを抽出
+     */
+    extractVideos(nodes) {
+        return this.extractAssetRefs(nodes, ['video']);
+    }
+
+    /**
+     * 音声関連タグを抽出
+     * type は 'bgm' | 'se' | 'voice'（ボイス用バッファで再生するSE）
+     */
+    extractAudio(nodes) {
+        return this.extractAssetRefs(nodes, ['bgm', 'sound'], tag => ({
+            tag: tag.name,
+            voice: this.isVoicePlay(tag)
+        })).map(({ voice, ...audio }) => ({
+            ...audio,
+            type: audio.folder === 'bgm' ? 'bgm' : (voice ? 'voice' : 'se')
+        }));
+    }
+
+    /**
+     * ボイス用バッファで再生するタグかどうか判定
+     */
+    isVoicePlay(tag) {
+        return tag.type === 'tag' && this.voiceBuffers.includes(tag.params.buf) &&
+            this.tagRegistry.getAssetRefs(tag).some(ref => ref.folder === 'sound');
+    }
 
-        return audio;
+    /**
+     * ボイス自動再生の制御タグ（[voconfig] / [vostart] / [vostop]）を抽出
+     * @returns {Array<Object>} { type: 'config'|'start'|'stop', params, line } の配列
+     */
+    extractVoiceControls(nodes) {
+        return nodes
+            .filter(node => node.type === 'tag' && this.tagRegistry.getVoiceControl(node.name))
+            .map(tag => ({
+                type: this.tagRegistry.getVoiceControl(tag.name),
+                params: tag.params,
+                line: tag.line
+            }));
     }
 
     /**
-     * クリック数をカウント（[p]と[l]の数）
+     * クリック数をカウント（[p] / [l] などクリック待ちのタグの数）
      */
-    countClicks(content) {
-        const pCount = (content.match(/\[p\]/gi) || []).length;
-        const lCount = (content.match(/\[l\]/gi) || []).length;
-        return pCount + lCount;
+    countClicks(nodes) {
+        return nodes.filter(node => node.type === 'tag' && this.tagRegistry.isWait(node.name, 'click')).length;
     }
 
     /**
      * セリフ・ナレーションを抽出
+     * 話者指定（#）から次の話者指定までのテキストを1つのセリフとしてまとめる
+     * voices はそのセリフのテキストより前に [playse buf=voice] で再生したボイス
+     * segments はテキストノードの位置（翻訳の書き戻しでタグを残したまま本文だけを置き換えるため）
+     * [link]～[endlink] の中は選択肢のテキスト（links）なので含めない
      */
-    extractDialogues(content) {
+    extractDialogues(nodes) {
         const dialogues = [];
-        const lines = content.split('\n');
 
         let currentSpeaker = null;
-        let currentText = [];
-        let lineNumber = 0;
+        let currentLines = []; // { line, text }
+        let currentVoices = [];
+        let currentSegments = []; // { line, column, endColumn }
+        let pendingVoices = []; // 次のテキストで再生されるボイス
+        let inLink = false;
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            lineNumber = i + 1;
-
-            // 空行はスキップ
-            if (!line) continue;
-
-            // ラベル行はスキップ
-            if (line.startsWith('*')) continue;
-
-            // タグのみの行はスキップ（ただしテキスト中のタグは除去して処理）
-            if (line.startsWith('[') && line.endsWith(']')) continue;
-            if (line.startsWith('@')) continue;
-
-            // 話者指定行 (#キャラ名 または #キャラ名:表情)
-            if (line.startsWith('#')) {
-                // 前のセリフを保存
-                if (currentText.length > 0) {
-                    dialogues.push({
-                        speaker: currentSpeaker,
-                        text: currentText.join(''),
-                        line: lineNumber - currentText.length
-                    });
-                    currentText = [];
-                }
+        const flush = () => {
+            const text = currentLines.map(l => l.text.trim()).filter(t => t).join('');
+            if (text) {
+                dialogues.push({
+                    speaker: currentSpeaker,
+                    text: text,
+                    line: currentLines[0].line,
+                    voices: currentVoices,
+                    segments: currentSegments
+                });
+            }
+            currentLines = [];
+            currentVoices = [];
+            currentSegments = [];
+        };
 
-                // 新しい話者を設定
-                const speakerPart = line.substring(1).split(':')[0].trim();
-                currentSpeaker = speakerPart || null; // 空の場合はナレーション
-                continue;
+        nodes.forEach(node => {
+            if (this.isVoicePlay(node)) {
+                pendingVoices.push(node.params.storage);
+                return;
             }
 
-            // テキスト行
-            // タグを除去してテキストのみ抽出
-            let textContent = line
-                .replace(/\[[^\]]*\]/g, '') // タグを除去
-                .replace(/^\s+|\s+$/g, ''); // 前後の空白を除去
+            if (node.type === 'speaker') {
+                // 前のセリフを保存して話者を切り替え
+                flush();
+                currentSpeaker = node.name;
+                return;
+            }
 
-            if (textContent) {
-                currentText.push(textContent);
+            if (node.type === 'label') {
+                inLink = false;
+                return;
             }
-        }
+            if (node.type === 'tag') {
+                if (node.name === 'link') inLink = true;
+                if (node.name === 'endlink') inLink = false;
+                return;
+            }
+
+            if (node.type !== 'text' || inLink) return;
+
+            currentVoices.push(...pendingVoices);
+            pendingVoices = [];
+            currentSegments.push({ line: node.line, column: node.column, endColumn: node.endColumn });
+
+            // 同じ行のテキスト（タグで分断されたもの）は連結する
+            const last = currentLines[currentLines.length - 1];
+            if (last && last.line === node.line) {
+                last.text += node.text;
+            } else {
+                currentLines.push({ line: node.line, text: node.text });
+            }
+        });
 
         // 最後のセリフを保存
-        if (currentText.length > 0) {
-            dialogues.push({
-                speaker: currentSpeaker,
-                text: currentText.join(''),
-                line: lineNumber - currentText.length + 1
-            });
-        }
+        flush();
 
         return dialogues;
     }
+
+    /**
+     * 台本の行（クリック待ちまでに表示されるテキスト）を抽出
+     * 話者指定・ラベル・クリック待ち（[p] / [l] など）・[s] で区切るため、1行がページやラベルをまたがない
+     * [link]～[endlink] の中は選択肢のテキスト（links）なので含めない
+     * segments はテキストノードの位置（翻訳の書き戻しで、その行の本文だけを置き換えるため）
+     * @returns {Array<Object>} { speaker, label, text, line, endLine, segments } の配列
+     */
+    extractPages(nodes) {
+        const pages = [];
+
+        let currentSpeaker = null;
+        let currentLabel = null;
+        let currentLines = []; // { line, text }
+        let currentSegments = []; // { line, column, endColumn }
+        let inLink = false;
+
+        const flush = () => {
+            const text = currentLines.map(l => l.text.trim()).filter(t => t).join('');
+            if (text) {
+                pages.push({
+                    speaker: currentSpeaker,
+                    label: currentLabel,
+                    text: text,
+                    line: currentLines[0].line,
+                    endLine: currentLines[currentLines.length - 1].line,
+                    segments: currentSegments
+                });
+            }
+            currentLines = [];
+            currentSegments = [];
+        };
+
+        nodes.forEach(node => {
+            if (node.type === 'label') {
+                flush();
+                currentLabel = node.name;
+                inLink = false;
+                return;
+            }
+
+            if (node.type === 'speaker') {
+                flush();
+                currentSpeaker = node.name;
+                return;
+            }
+
+            if (node.type === 'tag') {
+                if (node.name === 'link') {
+                    inLink = true;
+                } else if (node.name === 'endlink') {
+                    inLink = false;
+                } else if (this.tagRegistry.isWait(node.name, 'click') || this.tagRegistry.isWait(node.name, 'stop')) {
+                    flush();
+                }
+                return;
+            }
+
+            if (node.type !== 'text' || inLink) return;
+
+            currentSegments.push({ line: node.line, column: node.column, endColumn: node.endColumn });
+
+            // 同じ行のテキスト（タグで分断されたもの）は連結する
+            const last = currentLines[currentLines.length - 1];
+            if (last && last.line === node.line) {
+                last.text += node.text;
+            } else {
+                currentLines.push({ line: node.line, text: node.text });
+            }
+        });
+
+        flush();
+
+        return pages;
+    }
 }
 
-// グローバルに公開
-window.TyranoParser = TyranoParser;
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TyranoParser;
+} else {
+    window.TyranoParser = TyranoParser;
+}
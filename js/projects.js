@@ -0,0 +1,132 @@
+/**
+ * Recent Project Store
+ * 最近開いたプロジェクト（フォルダのハンドル・名前・最終オープン日時・ストーリー数・表示状態）を IndexedDB に保存する
+ * FileSystemDirectoryHandle は IndexedDB にそのまま保存でき、再読み込み後も権限を求め直せば使える
+ */
+
+class RecentProjectStore {
+    constructor() {
+        this.dbName = 'tyranoflow';
+        this.storeName = 'projects';
+        this.maxProjects = 10; // 保存する件数の上限（古いものから削除）
+        this.db = null;
+    }
+
+    /**
+     * IndexedDB が使えるか
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    /**
+     * ストアへの操作を1つ実行して結果を返す
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - store を受け取って IDBRequest を返す
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 最近開いた順のプロジェクト一覧
+     * @returns {Array<Object>} { id, name, handle, lastOpened, storyCount, fileCount, view } の配列
+     */
+    async list() {
+        const projects = await this.run('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.lastOpened - a.lastOpened);
+    }
+
+    /**
+     * 開いたプロジェクトを記録（同じフォルダの記録があれば更新する）
+     * @param {FileSystemDirectoryHandle} handle - ドロップ・選択したフォルダ
+     * @param {Object} info - { storyCount, fileCount }
+     * @returns {Object} 保存したプロジェクト
+     */
+    async save(handle, info) {
+        const projects = await this.list();
+        let existing = null;
+        for (const project of projects) {
+            if (await project.handle.isSameEntry(handle)) {
+                existing = project;
+                break;
+            }
+        }
+
+        const project = {
+            ...(existing || { view: null }),
+            name: handle.name,
+            handle,
+            lastOpened: Date.now(),
+            storyCount: info.storyCount,
+            fileCount: info.fileCount
+        };
+        project.id = await this.run('readwrite', store => store.put(project));
+
+        // 上限を超えた古い記録を削除
+        const stale = projects.filter(other => other !== existing).slice(this.maxProjects - 1);
+        for (const other of stale) {
+            await this.remove(other.id);
+        }
+        return project;
+    }
+
+    /**
+     * 表示状態（表示モード・パネルの折りたたみ・パン・ズーム）を保存
+     */
+    async saveView(id, view) {
+        const project = await this.run('readonly', store => store.get(id));
+        if (!project) return;
+        project.view = view;
+        await this.run('readwrite', store => store.put(project));
+    }
+
+    /**
+     * 記録を削除
+     */
+    async remove(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * フォルダの読み取り権限を確認し、なければ求める
+     * （requestPermission はクリックなどのユーザー操作の中でしか許可を求められない）
+     * @param {boolean} prompt - 許可を求めるか（false なら確認のみ）
+     * @returns {boolean} 読み取れるか
+     */
+    async ensurePermission(handle, prompt = true) {
+        const options = { mode: 'read' };
+        if (await handle.queryPermission(options) === 'granted') return true;
+        if (!prompt) return false;
+        return await handle.requestPermission(options) === 'granted';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecentProjectStore;
+} else {
+    window.RecentProjectStore = RecentProjectStore;
+}
@@ -0,0 +1,103 @@
+/**
+ * Reachability Analyzer
+ * 開始ファイルから遷移グラフを辿り、どこからも到達できないファイル・ラベルを検出する
+ */
+
+class ReachabilityAnalyzer {
+    constructor() {
+        // 既定の開始ファイル（TyranoScriptは first.ks から起動し、通常そこからタイトルへ進む）
+        this.defaultEntryPoints = ['first.ks'];
+    }
+
+    /**
+     * 開始ファイル指定を解析（"file.ks" または "file.ks*label"、カンマ・空白区切り）
+     */
+    parseEntryPoints(text) {
+        return String(text || '')
+            .split(/[,\s]+/)
+            .map(entry => entry.trim())
+            .filter(entry => entry);
+    }
+
+    /**
+     * 開始ファイル指定をグラフのノードキーに解決
+     * 指定がどれも見つからない場合はタイトル、それもなければ先頭のストーリーファイルを使う
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Array<string>} entryPoints - 開始ファイル指定
+     * @returns {Array<Object>} { entry, key } の配列
+     */
+    resolveEntryPoints(flowchart, entryPoints) {
+        const resolved = [];
+
+        (entryPoints.length > 0 ? entryPoints : this.defaultEntryPoints).forEach(entry => {
+            const [filename, label] = entry.split('*');
+            const data = flowchart.parsedFiles.get(filename);
+            if (!data) return;
+
+            let index = 0;
+            if (label) {
+                index = data.labels.findIndex(l => l.name === label) + 1;
+                if (index === 0) return;
+            }
+            resolved.push({ entry, key: flowchart.getGraphNodeKey(filename, index) });
+        });
+
+        if (resolved.length > 0) return resolved;
+
+        // フォールバック（システムファイルを含む全ファイルから探す）
+        const filenames = [...flowchart.parsedFiles.keys()];
+        const fallback = filenames.find(name => name.toLowerCase().includes('title')) ||
+            (flowchart.getSortedStoryFiles()[0] || {}).filename;
+        return fallback ? [{ entry: fallback, key: flowchart.getGraphNodeKey(fallback, 0) }] : [];
+    }
+
+    /**
+     * 到達可能性を解析
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Array<string>} entryPoints - 開始ファイル指定（空なら既定値）
+     * @returns {Object} { entryPoints, reachable, unreachableFiles, unreachableLabels }
+     */
+    analyze(flowchart, entryPoints = []) {
+        const graph = flowchart.buildTransitionGraph();
+        const entries = this.resolveEntryPoints(flowchart, entryPoints);
+
+        // 幅優先で辿る
+        const reachable = new Set();
+        const queue = entries.map(({ key }) => key);
+        while (queue.length > 0) {
+            const key = queue.shift();
+            if (reachable.has(key) || !graph.has(key)) continue;
+            reachable.add(key);
+            graph.get(key).next.forEach(next => queue.push(next));
+        }
+
+        // ファイル単位：どのブロックにも到達できないファイル
+        const reachedFiles = new Set([...reachable].map(key => graph.get(key).filename));
+        const unreachableFiles = [...flowchart.parsedFiles.keys()]
+            .filter(filename => !reachedFiles.has(filename))
+            .sort((a, b) => a.localeCompare(b));
+
+        // ラベル単位：到達できるファイル内の到達できないラベル
+        const unreachableLabels = [];
+        graph.forEach((node, key) => {
+            if (node.label && reachedFiles.has(node.filename) && !reachable.has(key)) {
+                unreachableLabels.push({ filename: node.filename, label: node.label, line: node.line });
+            }
+        });
+        unreachableLabels.sort((a, b) => a.filename.localeCompare(b.filename) || a.line - b.line);
+
+        return {
+            entryPoints: entries.map(({ entry }) => entry),
+            reachable,
+            unreachableFiles,
+            unreachableLabels
+        };
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReachabilityAnalyzer;
+} else {
+    window.ReachabilityAnalyzer = ReachabilityAnalyzer;
+}
@@ -0,0 +1,258 @@
+/**
+ * Reading Time Estimator
+ * 文字数・クリック待ち・[wait] などから実際のプレイ時間（分）を見積もる
+ * - クリック待ちまでの1ページは「読む時間」と「文字表示にかかる時間」の長い方
+ * - クリック待ちごとに auto-wait（次へ進むまでの間）を加える
+ * - [wait time=] は指定時間、[wait_video] などの動画待ちは settings.videoSeconds とする
+ */
+
+class ReadingTimeEstimator {
+    /**
+     * @param {TyranoParser} parser - マクロ定義の本体の除外・マクロ呼び出しの展開に使う
+     *   （クリック待ち・時間待ちのタグはパーサーと同じタグ定義で判定する）
+     */
+    constructor(parser = new (typeof module !== 'undefined' && module.exports ? require('./parser.js') : TyranoParser)()) {
+        this.parser = parser;
+        this.tagRegistry = parser.tagRegistry;
+
+        // 見積もりの設定（画面・CLIから変更できる）
+        this.settings = {
+            charsPerMinute: 500, // 読む速さ（1分あたりの文字数）
+            textSpeed: 30,       // 文字表示の速さ（1文字あたりのミリ秒、TyranoScript の chSpeed）
+            autoWait: 500,       // クリック待ちから次へ進むまでのミリ秒
+            videoSeconds: 10     // 動画の再生を待つタグの秒数（動画の長さは読み込まないため固定値）
+        };
+    }
+
+    /**
+     * 設定を変更（数値でない・負の値は無視する）
+     */
+    setSettings(settings) {
+        Object.keys(this.settings).forEach(key => {
+            const value = Number(settings[key]);
+            if (settings[key] !== undefined && settings[key] !== '' && Number.isFinite(value) && value >= 0) {
+                this.settings[key] = value;
+            }
+        });
+    }
+
+    /**
+     * 文字数（空白を除く）
+     */
+    countChars(text) {
+        return [...text.replace(/\s/g, '')].length;
+    }
+
+    /**
+     * 1ページ分のテキストにかかる秒数
+     */
+    getPageSeconds(chars) {
+        if (chars === 0) return 0;
+        const reading = this.settings.charsPerMinute > 0 ? chars / this.settings.charsPerMinute * 60 : 0;
+        const display = chars * this.settings.textSpeed / 1000;
+        return Math.max(reading, display);
+    }
+
+    /**
+     * ノード列の時間を見積もる
+     * @param {Array<Object>} nodes - マクロ定義の本体を除いたノード列
+     * @param {Map<string, Object>} macros - マクロ名 -> 定義（TyranoParser.expandMacro() で展開して数える）
+     * @returns {Object} { seconds, chars, clicks }
+     */
+    estimateNodes(nodes, macros = new Map()) {
+        const result = { seconds: 0, chars: 0, clicks: 0 };
+        let pageChars = 0;
+
+        const flushPage = () => {
+            result.seconds += this.getPageSeconds(pageChars);
+            pageChars = 0;
+        };
+
+        const visitTag = ({ name, params }) => {
+            if (this.tagRegistry.isWait(name, 'click')) {
+                flushPage();
+                result.seconds += this.settings.autoWait / 1000;
+                result.clicks++;
+            } else if (this.tagRegistry.isWait(name, 'stop')) {
+                flushPage();
+            } else if (this.tagRegistry.isWait(name, 'time')) {
+                result.seconds += (parseFloat(params.time) || 0) / 1000;
+            } else if (this.tagRegistry.isWait(name, 'video')) {
+                result.seconds += this.settings.videoSeconds;
+            }
+        };
+
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                const chars = this.countChars(node.text);
+                pageChars += chars;
+                result.chars += chars;
+            } else if (node.type === 'tag' && macros.has(node.name)) {
+                this.parser.expandMacro(macros, node.name, node.params, node.line).forEach(visitTag);
+            } else if (node.type === 'tag') {
+                visitTag(node);
+            }
+        });
+        flushPage();
+
+        return result;
+    }
+
+    /**
+     * 全ファイルの時間をファイル・ラベル単位で見積もる
+     * ラベル単位のブロックは FlowchartGenerator.getLabelBlocks() と同じ分け方（番号が遷移グラフのキーと対応する）
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @returns {Map<string, Object>} ファイル名 -> { seconds, chars, clicks, blocks }
+     *   blocks は { label, line, seconds, chars, clicks } の配列（先頭ラベルより前は label: null）
+     */
+    analyze(flowchart) {
+        const macros = new Map();
+        flowchart.parsedFiles.forEach(data => {
+            (data.macros || []).forEach(macro => {
+                if (!macros.has(macro.name)) macros.set(macro.name, macro);
+            });
+        });
+
+        const estimates = new Map();
+        flowchart.parsedFiles.forEach((data, filename) => {
+            const nodes = this.parser.excludeMacroBodies(data.nodes || []);
+            const blocks = flowchart.getLabelBlocks(data).map(block => ({
+                label: block.label,
+                line: block.line,
+                ...this.estimateNodes(nodes.filter(node => node.line >= block.line && node.line <= block.endLine), macros)
+            }));
+
+            estimates.set(filename, {
+                seconds: blocks.reduce((sum, block) => sum + block.seconds, 0),
+                chars: blocks.reduce((sum, block) => sum + block.chars, 0),
+                clicks: blocks.reduce((sum, block) => sum + block.clicks, 0),
+                blocks
+            });
+        });
+        return estimates;
+    }
+
+    /**
+     * ルートの時間を見積もる（通過するラベル単位のブロックの合計）
+     * @param {Object} route - RouteEnumerator.enumerate() のルート
+     * @param {Map<string, Object>} estimates - analyze() の結果
+     * @returns {Object} { seconds, chars, clicks }
+     */
+    estimateRoute(route, estimates) {
+        const result = { seconds: 0, chars: 0, clicks: 0 };
+        route.steps.forEach(step => {
+            const estimate = estimates.get(step.filename);
+            const index = Number(step.key.slice(step.key.lastIndexOf('#') + 1));
+            const block = estimate && estimate.blocks[index];
+            if (!block) return;
+            result.seconds += block.seconds;
+            result.chars += block.chars;
+            result.clicks += block.clicks;
+        });
+        return result;
+    }
+
+    /**
+     * タイムラインの [p] 単位を秒に対応付ける目盛りを作成
+     * 各単位（クリック待ち1回分）はその間に表示されたテキストのページの秒数 + auto-wait、
+     * ブロッキングの動画（[movie] など）で進んだ単位は settings.videoSeconds とする
+     * @param {TimelineProcessor} timeline - finalize() 済みのタイムライン
+     * @returns {Object} { offsets, totalSeconds } offsets[n] は単位 n の開始時刻（秒）
+     */
+    createTimeScale(timeline) {
+        const units = Math.ceil(timeline.totalTime);
+        const chars = new Array(units + 1).fill(0);
+        timeline.tracks.text.forEach(event => {
+            const unit = Math.min(Math.floor(event.startTime), units);
+            chars[unit] += this.countChars(event.text);
+        });
+        const videoUnits = new Set(timeline.tracks.video
+            .filter(event => this.tagRegistry.isWait(event.command, 'video'))
+            .map(event => Math.floor(event.startTime)));
+
+        const offsets = [0];
+        for (let unit = 0; unit < units; unit++) {
+            const seconds = videoUnits.has(unit)
+                ? this.settings.videoSeconds
+                : this.getPageSeconds(chars[unit]) + this.settings.autoWait / 1000;
+            offsets.push(offsets[unit] + seconds);
+        }
+        return { offsets, totalSeconds: offsets[offsets.length - 1] };
+    }
+
+    /**
+     * タイムラインの時間（[p] 単位、小数可）を秒に変換
+     */
+    toSeconds(scale, time) {
+        const last = scale.offsets.length - 1;
+        const unit = Math.max(0, Math.min(Math.floor(time), last));
+        if (unit >= last) return scale.offsets[last];
+        return scale.offsets[unit] + (time - unit) * (scale.offsets[unit + 1] - scale.offsets[unit]);
+    }
+
+    /**
+     * 秒をタイムラインの時間（[p] 単位）に変換
+     */
+    toTime(scale, seconds) {
+        const { offsets } = scale;
+        const last = offsets.length - 1;
+        if (seconds >= offsets[last]) return last;
+        let unit = 0;
+        while (unit < last - 1 && offsets[unit + 1] <= seconds) unit++;
+        const length = offsets[unit + 1] - offsets[unit];
+        return unit + (length > 0 ? (seconds - offsets[unit]) / length : 0);
+    }
+
+    /**
+     * 秒数を "分:秒" の表記にする
+     */
+    formatClock(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * 秒数を分の表記にする
+     */
+    formatMinutes(seconds) {
+        return `${(seconds / 60).toFixed(1)}分`;
+    }
+
+    /**
+     * ファイル・ラベル・ルートごとの見積もりをCSV形式で出力
+     * @param {Map<string, Object>} estimates - analyze() の結果
+     * @param {Array<string>} filenames - 出力するファイル（この順で並べる）
+     * @param {Array<Object>} routes - RouteEnumerator.enumerate() のルート
+     */
+    toCsv(estimates, filenames, routes = []) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const minutes = seconds => (seconds / 60).toFixed(2);
+        const lines = ['type,file,label,route,chars,clicks,minutes'];
+
+        filenames.forEach(filename => {
+            const estimate = estimates.get(filename);
+            if (!estimate) return;
+            lines.push(['file', filename, '', '', estimate.chars, estimate.clicks, minutes(estimate.seconds)].map(escape).join(','));
+            estimate.blocks.filter(block => block.label).forEach(block => {
+                lines.push(['label', filename, block.label, '', block.chars, block.clicks, minutes(block.seconds)].map(escape).join(','));
+            });
+        });
+
+        routes.forEach(route => {
+            const estimate = this.estimateRoute(route, estimates);
+            lines.push(['route', route.ending, '', route.id, estimate.chars, estimate.clicks, minutes(estimate.seconds)].map(escape).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingTimeEstimator;
+} else {
+    window.ReadingTimeEstimator = ReadingTimeEstimator;
+}
@@ -0,0 +1,192 @@
+/**
+ * Route Enumerator
+ * 開始ファイルから各エンディングまでのルート（選択肢の組み合わせ）を列挙する
+ */
+
+class RouteEnumerator {
+    constructor() {
+        // ルート数・探索ステップ数の上限（分岐が多いプロジェクトで止まらないようにする）
+        this.maxRoutes = 500;
+        this.maxSteps = 200000;
+    }
+
+    /**
+     * エンディングへ到達できるノードを逆向きに辿って求める
+     */
+    findNodesReachingEnding(graph, isEnding) {
+        const reverse = new Map();
+        graph.forEach((node, key) => {
+            node.edges.forEach(edge => {
+                if (!reverse.has(edge.to)) reverse.set(edge.to, []);
+                reverse.get(edge.to).push(key);
+            });
+        });
+
+        const result = new Set();
+        const queue = [...graph.keys()].filter(key => isEnding(graph.get(key)));
+        while (queue.length > 0) {
+            const key = queue.shift();
+            if (result.has(key)) continue;
+            result.add(key);
+            (reverse.get(key) || []).forEach(from => queue.push(from));
+        }
+        return result;
+    }
+
+    /**
+     * ルートを列挙
+     * ループは同じノードを1ルート内で2度通らない（単純経路）ことで打ち切る
+     * [call] はサブルーチンから戻ってくるためルートの分岐としては扱わない
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Array<Object>} entries - ReachabilityAnalyzer.resolveEntryPoints() の結果
+     * @returns {Object} { routes, endings, loopCount, truncated }
+     */
+    enumerate(flowchart, entries) {
+        const graph = flowchart.buildTransitionGraph();
+        const isEnding = node => flowchart.isEndingFile(node.filename);
+        const canReachEnding = this.findNodesReachingEnding(graph, isEnding);
+
+        const routes = [];
+        const path = []; // { key, edge }
+        const onPath = new Set();
+        let loopCount = 0;
+        let steps = 0;
+        let truncated = false;
+
+        const visit = (key, edge) => {
+            if (truncated) return;
+            if (++steps > this.maxSteps || routes.length >= this.maxRoutes) {
+                truncated = true;
+                return;
+            }
+
+            path.push({ key, edge });
+            onPath.add(key);
+
+            const node = graph.get(key);
+            if (isEnding(node) && path.length > 1) {
+                routes.push(this.createRoute(graph, path, routes.length + 1));
+            } else {
+                node.edges.forEach(next => {
+                    if (next.type === 'call' || !canReachEnding.has(next.to)) return;
+                    if (onPath.has(next.to)) {
+                        loopCount++;
+                        return;
+                    }
+                    visit(next.to, next);
+                });
+            }
+
+            onPath.delete(key);
+            path.pop();
+        };
+
+        entries.forEach(({ key }) => {
+            if (graph.has(key) && canReachEnding.has(key)) {
+                visit(key, null);
+            }
+        });
+
+        // エンディングごとのルート数
+        const endings = new Map();
+        routes.forEach(route => {
+            endings.set(route.ending, (endings.get(route.ending) || 0) + 1);
+        });
+
+        return { routes, endings, loopCount, truncated };
+    }
+
+    /**
+     * 探索中のパスからルート情報を作成
+     * steps の line / endLine はラベル単位のブロックの範囲、exitLine は次へ進んだ jump・選択肢の行
+     * （流れ込みやエンディングでは null。タイムラインはこの行までを処理する）
+     */
+    createRoute(graph, path, id) {
+        const steps = path.map(({ key }, index) => {
+            const node = graph.get(key);
+            const next = path[index + 1];
+            return {
+                key,
+                filename: node.filename,
+                label: node.label,
+                line: node.line,
+                endLine: node.endLine,
+                exitLine: next && next.edge.type !== 'fall' ? next.edge.line : null
+            };
+        });
+
+        // 選択肢と条件付き遷移（遷移元のファイル名を添える）
+        const choices = [];
+        const conditions = [];
+        path.forEach(({ edge }, index) => {
+            if (!edge) return;
+            const from = steps[index - 1];
+            if (edge.type === 'link') {
+                choices.push({ filename: from.filename, line: edge.line, text: edge.text || '(選択肢)' });
+            } else if (edge.cond) {
+                conditions.push({ filename: from.filename, line: edge.line, cond: edge.cond });
+            }
+        });
+
+        return {
+            id,
+            ending: steps[steps.length - 1].filename,
+            keys: steps.map(step => step.key),
+            steps,
+            choices,
+            conditions
+        };
+    }
+
+    /**
+     * ルートの経路を "file.ks*label > ..." 形式の文字列にする（同じファイル内の移動はラベルのみ）
+     */
+    formatPath(route) {
+        const parts = [];
+        let lastFile = null;
+        let lastWasFileOnly = false;
+        route.steps.forEach(step => {
+            const label = step.label ? `*${step.label}` : '';
+            if (step.filename !== lastFile) {
+                parts.push(`${step.filename}${label}`);
+                lastFile = step.filename;
+                lastWasFileOnly = !label;
+            } else if (label && lastWasFileOnly) {
+                // 先頭部分からラベルへ流れ込んだ場合は "file.ks*label" にまとめる
+                parts[parts.length - 1] += label;
+                lastWasFileOnly = false;
+            } else if (label) {
+                parts.push(label);
+            }
+        });
+        return parts.join(' > ');
+    }
+
+    /**
+     * ルート一覧をCSV形式で出力
+     */
+    toCsv(routes) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = ['route,ending,choices,conditions,path'];
+        routes.forEach(route => {
+            lines.push([
+                route.id,
+                route.ending,
+                route.choices.map(choice => choice.text).join(' / '),
+                route.conditions.map(condition => condition.cond).join(' / '),
+                this.formatPath(route)
+            ].map(escape).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteEnumerator;
+} else {
+    window.RouteEnumerator = RouteEnumerator;
+}
@@ -0,0 +1,159 @@
+/**
+ * Script Exporter
+ * セリフと選択肢をストーリー順に並べ、翻訳・ボイス収録用の台本（CSV / TSV）として出力する
+ */
+
+class ScriptExporter {
+    constructor() {
+        // 出力する列（translation は翻訳者が記入する空欄）
+        this.columns = ['id', 'type', 'file', 'label', 'line', 'speaker', 'text', 'chars', 'translation'];
+
+        // 表計算ソフトがUTF-8として開けるようにBOMを付ける
+        this.bom = '\uFEFF';
+    }
+
+    /**
+     * 指定行が属するラベルを取得（最初のラベルより前なら null）
+     */
+    getLabelAt(data, line) {
+        let label = null;
+        data.labels.forEach(l => {
+            if (l.line <= line) label = l.name;
+        });
+        return label;
+    }
+
+    /**
+     * 行IDを生成
+     * "ファイル名*ラベル#連番"（ラベルより前は "ファイル名#連番"、選択肢は連番に c を付ける）
+     * 連番はラベルごとに数えるため、他のラベルを編集してもIDは変わらない
+     * 台本の行はクリック待ちで区切るため、話者指定（#）を足したり消したりしても連番はずれない
+     */
+    createLineId(filename, label, index, type) {
+        const prefix = type === 'choice' ? 'c' : '';
+        return `${filename}${label ? '*' + label : ''}#${prefix}${index}`;
+    }
+
+    /**
+     * 文字数を数える（空白を除き、サロゲートペアは1文字）
+     */
+    countChars(text) {
+        return [...text.replace(/\s/g, '')].length;
+    }
+
+    /**
+     * 台本の行を収集
+     * セリフは TyranoParser.extractPages() の行（クリック待ち・ラベルで区切ったもの）を1行とする
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Object} options
+     * @param {Set<string>|null} options.speakers - 出力する話者（ナレーションは ''、null なら全員）
+     * @param {boolean} options.includeChoices - 選択肢のテキストを含めるか
+     * @returns {Array<Object>} { id, type, filename, label, line, speaker, text, chars, source } の配列
+     *   source は元のページ・リンク（翻訳の書き戻しで使う）
+     */
+    collect(flowchart, { speakers = null, includeChoices = false } = {}) {
+        const rows = [];
+
+        flowchart.getSortedStoryFiles().forEach(({ filename, data }) => {
+            const items = [];
+            const counters = new Map(); // "type:label" -> 連番（IDはフィルタ前の並びで振る）
+            const nextIndex = (type, label) => {
+                const key = `${type}:${label || ''}`;
+                counters.set(key, (counters.get(key) || 0) + 1);
+                return counters.get(key);
+            };
+
+            (data.pages || []).forEach(page => {
+                items.push({
+                    id: this.createLineId(filename, page.label, nextIndex('dialogue', page.label), 'dialogue'),
+                    type: 'dialogue',
+                    filename,
+                    label: page.label,
+                    line: page.line,
+                    speaker: page.speaker || '',
+                    text: page.text,
+                    source: page
+                });
+            });
+
+            if (includeChoices) {
+                data.links.filter(link => link.text).forEach(link => {
+                    const label = this.getLabelAt(data, link.line);
+                    items.push({
+                        id: this.createLineId(filename, label, nextIndex('choice', label), 'choice'),
+                        type: 'choice',
+                        filename,
+                        label,
+                        line: link.line,
+                        speaker: '',
+                        text: link.text,
+                        source: link
+                    });
+                });
+            }
+
+            items
+                .filter(item => item.type === 'choice' || !speakers || speakers.has(item.speaker))
+                .sort((a, b) => a.line - b.line)
+                .forEach(item => rows.push({ ...item, chars: this.countChars(item.text) }));
+        });
+
+        return rows;
+    }
+
+    /**
+     * ストーリーファイルに登場する話者を出現数の多い順に取得（ナレーションは ''）
+     * @returns {Array<Object>} { speaker, count } の配列
+     */
+    getSpeakers(flowchart) {
+        const counts = new Map();
+        flowchart.getSortedStoryFiles().forEach(({ data }) => {
+            (data.pages || []).forEach(page => {
+                const speaker = page.speaker || '';
+                counts.set(speaker, (counts.get(speaker) || 0) + 1);
+            });
+        });
+        return [...counts.entries()]
+            .map(([speaker, count]) => ({ speaker, count }))
+            .sort((a, b) => b.count - a.count || a.speaker.localeCompare(b.speaker));
+    }
+
+    /**
+     * 行を列の値の配列に変換
+     */
+    toValues(row) {
+        return [row.id, row.type, row.filename, row.label || '', row.line, row.speaker, row.text, row.chars, ''];
+    }
+
+    /**
+     * CSV形式で出力
+     */
+    toCsv(rows) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.columns.join(',')];
+        rows.forEach(row => lines.push(this.toValues(row).map(escape).join(',')));
+        return this.bom + lines.join('\n') + '\n';
+    }
+
+    /**
+     * TSV形式で出力（表計算ソフトへの貼り付け・読み込み用）
+     * 値はクォートしない（" もそのまま書く）。タブと改行は値の中に書けないため空白に置き換える
+     * TranslationImporter.parseTable() もTSVはタブで分けるだけなので、出力した値はそのまま読み戻せる
+     */
+    toTsv(rows) {
+        const escape = value => String(value).replace(/[\t\r\n]+/g, ' ');
+        const lines = [this.columns.join('\t')];
+        rows.forEach(row => lines.push(this.toValues(row).map(escape).join('\t')));
+        return this.bom + lines.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptExporter;
+} else {
+    window.ScriptExporter = ScriptExporter;
+}
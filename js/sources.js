@@ -0,0 +1,397 @@
+/**
+ * Project Source
+ * showDirectoryPicker / getAsFileSystemHandle が使えないブラウザ向けの読み込み元
+ * <input webkitdirectory> のファイル一覧・ドロップしたフォルダ（webkitGetAsEntry）・.zip・Electron の app.asar・.tpm を
+ * FileSystemDirectoryHandle と同じ形（name / kind / values() / getDirectoryHandle() / getFileHandle()）にそろえ、
+ * 読み込み・素材の表示・更新を同じ処理で扱えるようにする
+ * また、リリースビルドのように data/scenario の位置が決まっていないフォルダから、中身を見てシナリオと素材のフォルダを探す
+ */
+
+/**
+ * メモリ上のファイル（読み込み元のファイル、またはZIP内のエントリ）
+ */
+class MemoryFileHandle {
+    /**
+     * @param {string} name - ファイル名
+     * @param {Function} load - 内容の File を返す関数（ZIPは開いたときに初めて展開する）
+     */
+    constructor(name, load) {
+        this.kind = 'file';
+        this.name = name;
+        this.load = load;
+        this.file = null;
+    }
+
+    async getFile() {
+        if (!this.file) this.file = await this.load();
+        return this.file;
+    }
+
+    async isSameEntry(other) {
+        return other === this;
+    }
+}
+
+/**
+ * メモリ上のフォルダ
+ */
+class MemoryDirectoryHandle {
+    constructor(name) {
+        this.kind = 'directory';
+        this.name = name;
+        this.children = new Map(); // 名前 -> MemoryFileHandle / MemoryDirectoryHandle
+    }
+
+    async *values() {
+        yield* this.children.values();
+    }
+
+    async *keys() {
+        yield* this.children.keys();
+    }
+
+    async *entries() {
+        yield* this.children.entries();
+    }
+
+    async getDirectoryHandle(name) {
+        return this.getChild(name, 'directory');
+    }
+
+    async getFileHandle(name) {
+        return this.getChild(name, 'file');
+    }
+
+    async isSameEntry(other) {
+        return other === this;
+    }
+
+    /**
+     * 子を取得（見つからなければ FileSystemDirectoryHandle と同じ例外を投げる）
+     */
+    getChild(name, kind) {
+        const child = this.children.get(name);
+        if (!child) throw new DOMException(`${name} が見つかりません`, 'NotFoundError');
+        if (child.kind !== kind) throw new DOMException(`${name} は${kind === 'file' ? 'ファイル' : 'フォルダ'}ではありません`, 'TypeMismatchError');
+        return child;
+    }
+
+    /**
+     * パス（"a/b/c.ks"）の位置にファイルを追加（途中のフォルダは作成する）
+     */
+    addFile(path, load) {
+        const parts = path.split('/').filter(part => part);
+        let dir = this;
+        parts.slice(0, -1).forEach(part => {
+            if (!dir.children.has(part)) dir.children.set(part, new MemoryDirectoryHandle(part));
+            dir = dir.children.get(part);
+        });
+        const name = parts[parts.length - 1];
+        dir.children.set(name, new MemoryFileHandle(name, load));
+    }
+}
+
+class ProjectSource {
+    constructor() {
+        this.maxSearchDepth = 6; // フォルダを探す深さ（Game.app/Contents/Resources/app.asar/data/scenario まで届く）
+        this.skipFolders = new Set(['node_modules', 'locales', 'swiftshader']); // 探さないフォルダ（Electron の同梱物など）
+    }
+
+    /**
+     * 読み込み元がメモリ上のフォルダか（フォルダの監視・履歴への保存・書き込みはできない）
+     */
+    isMemoryHandle(handle) {
+        return handle instanceof MemoryDirectoryHandle;
+    }
+
+    /**
+     * ZIPファイルか
+     */
+    isZipFile(file) {
+        return !!file && (/\.zip$/i.test(file.name) || file.type === 'application/zip');
+    }
+
+    /**
+     * Electron のアーカイブ（app.asar）か
+     */
+    isAsarFile(file) {
+        return !!file && /\.asar$/i.test(file.name);
+    }
+
+    /**
+     * .tpm ファイルか
+     */
+    isTpmFile(file) {
+        return !!file && /\.tpm$/i.test(file.name);
+    }
+
+    /**
+     * <input webkitdirectory> で選んだファイル一覧からフォルダを作成
+     * webkitRelativePath の先頭（選んだフォルダ名）をルートにする
+     * @param {FileList|Array<File>} fileList
+     * @returns {MemoryDirectoryHandle}
+     */
+    fromFileList(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) throw new Error('ファイルがありません');
+
+        const rootName = (files[0].webkitRelativePath || files[0].name).split('/')[0];
+        const root = new MemoryDirectoryHandle(rootName);
+        files.forEach(file => {
+            const path = file.webkitRelativePath || file.name;
+            root.addFile(path.split('/').slice(1).join('/') || file.name, async () => file);
+        });
+        return root;
+    }
+
+    /**
+     * ドロップしたフォルダ（FileSystemDirectoryEntry）からフォルダを作成
+     * @param {FileSystemDirectoryEntry} entry - DataTransferItem.webkitGetAsEntry() の結果
+     * @returns {MemoryDirectoryHandle}
+     */
+    async fromEntry(entry) {
+        const root = new MemoryDirectoryHandle(entry.name);
+
+        // readEntries() は一度に全件を返すとは限らないため、空になるまで読む
+        const readAll = reader => new Promise((resolve, reject) => {
+            const entries = [];
+            const next = () => reader.readEntries(batch => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                } else {
+                    entries.push(...batch);
+                    next();
+                }
+            }, reject);
+            next();
+        });
+
+        const walk = async (dirEntry, path) => {
+            for (const child of await readAll(dirEntry.createReader())) {
+                if (child.isDirectory) {
+                    await walk(child, `${path}${child.name}/`);
+                } else {
+                    root.addFile(`${path}${child.name}`, () => new Promise((resolve, reject) => child.file(resolve, reject)));
+                }
+            }
+        };
+        await walk(entry, '');
+        return root;
+    }
+
+    /**
+     * ZIPファイルを展開してフォルダを作成（中身は開いたファイルだけ展開する）
+     * 中身がフォルダ1つだけならそのフォルダをルートにする（data フォルダをそのまま圧縮した場合など）
+     * @param {File} file - .zip ファイル
+     * @returns {MemoryDirectoryHandle}
+     */
+    async fromZip(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // 終端レコード（End of central directory）を末尾から探す（コメントは最大 65535 バイト）
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('ZIPファイルではありません');
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (entryCount === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 形式には対応していません');
+
+        const rootName = file.name.replace(/\.(zip|tpm)$/i, '');
+        const root = new MemoryDirectoryHandle(rootName);
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('ZIPファイルが壊れています');
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const lastModified = this.fromDosTime(view.getUint16(offset + 12, true), view.getUint16(offset + 14, true));
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = this.decodeName(bytes.subarray(offset + 46, offset + 46 + nameLength), (flags & 0x0800) !== 0);
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            // フォルダのエントリと macOS のメタデータは除く
+            if (path.endsWith('/') || path.startsWith('__MACOSX/') || /(^|\/)\.DS_Store$/.test(path)) continue;
+            if (flags & 0x0001) throw new Error(`暗号化されたZIPには対応していません: ${path}`);
+            if (method !== 0 && method !== 8) throw new Error(`対応していない圧縮形式です: ${path}`);
+
+            root.addFile(path, async () => {
+                // ローカルヘッダのファイル名・拡張フィールドの長さは中央ディレクトリと異なる場合がある
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = new Blob([bytes.subarray(dataStart, dataStart + compressedSize)]);
+                const content = method === 0
+                    ? data
+                    : await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+                return new File([content], path.split('/').pop(), { lastModified });
+            });
+        }
+
+        // 中身がフォルダ1つだけならそれをルートにする
+        const children = [...root.children.values()];
+        if (children.length === 1 && children[0].kind === 'directory') {
+            return children[0];
+        }
+        return root;
+    }
+
+    /**
+     * .tpm を読んでフォルダを作成
+     * 拡張子だけでは中身の形式が決まらないため、先頭のシグネチャで ZIP か asar かを判定して読む
+     * @param {File} file - .tpm ファイル
+     * @returns {MemoryDirectoryHandle}
+     */
+    async fromTpm(file) {
+        const head = new DataView(await file.slice(0, 4).arrayBuffer());
+        if (file.size >= 4 && head.getUint32(0, true) === 0x04034b50) {
+            return this.fromZip(file);
+        }
+        if (file.size >= 16 && head.getUint32(0, true) === 4) {
+            return this.fromAsar(file);
+        }
+        throw new Error('.tpm の中身が ZIP / asar のどちらでもないため読み込めません');
+    }
+
+    /**
+     * Electron のアーカイブ（app.asar）を読んでフォルダを作成（中身は開いたファイルだけ読み出す）
+     * 形式: [4バイト: 4][4バイト: ヘッダのサイズ][ヘッダ: サイズ, 文字列長, JSON][ファイルの内容...]
+     * asar の外に置かれたファイル（unpacked）とシンボリックリンクは含めない
+     * @param {File} file - .asar ファイル
+     * @returns {MemoryDirectoryHandle}
+     */
+    async fromAsar(file) {
+        const sizes = new DataView(await file.slice(0, 16).arrayBuffer());
+        if (file.size < 16 || sizes.getUint32(0, true) !== 4) throw new Error('asar アーカイブではありません');
+
+        const headerSize = sizes.getUint32(4, true);
+        const jsonLength = sizes.getUint32(12, true);
+        const header = JSON.parse(await file.slice(16, 16 + jsonLength).text());
+        const dataStart = 8 + headerSize;
+
+        const root = new MemoryDirectoryHandle(file.name.replace(/\.(asar|tpm)$/i, ''));
+        const walk = (entries, path) => {
+            Object.entries(entries).forEach(([name, entry]) => {
+                if (entry.files) {
+                    walk(entry.files, `${path}${name}/`);
+                } else if (entry.offset !== undefined && !entry.unpacked) {
+                    const start = dataStart + Number(entry.offset);
+                    root.addFile(`${path}${name}`, async () => new File(
+                        [file.slice(start, start + entry.size)], name, { lastModified: file.lastModified }
+                    ));
+                }
+            });
+        };
+        walk(header.files || {}, '');
+        return root;
+    }
+
+    /**
+     * フォルダの中身からシナリオと素材のフォルダを探す
+     * - シナリオ: .ks を直接含むフォルダ（first.ks があるもの、scenario という名前のもの、浅いもの、.ks が多いものの順に優先）
+     * - 素材（dataフォルダ）: シナリオのフォルダの親か、シナリオのフォルダ自体で、素材フォルダ（bgimage など）を含むもの
+     * .ks が見つからず app.asar があれば、その中を探す（Electron のリリースビルド）
+     * @param {FileSystemDirectoryHandle|MemoryDirectoryHandle} root - 読み込んだフォルダ
+     * @param {Array<string>} assetFolders - 素材フォルダ名（AssetAnalyzer.folders）
+     * @returns {Object} { rootHandle, scenarioHandle, dataHandle }（見つからなければ scenarioHandle は root、dataHandle は null）
+     */
+    async findLayout(root, assetFolders) {
+        const candidates = []; // { handle, parent, depth, count, hasFirst }
+        const archives = [];
+        const queue = [{ handle: root, parent: null, depth: 0 }];
+
+        while (queue.length > 0) {
+            const { handle, parent, depth } = queue.shift();
+            let count = 0;
+            let hasFirst = false;
+            for await (const entry of handle.values()) {
+                if (entry.kind === 'file') {
+                    if (entry.name.endsWith('.ks')) {
+                        count++;
+                        if (entry.name === 'first.ks') hasFirst = true;
+                    } else if (this.isAsarFile(entry)) {
+                        archives.push(entry);
+                    }
+                } else if (depth < this.maxSearchDepth && !entry.name.startsWith('.') && !this.skipFolders.has(entry.name)) {
+                    queue.push({ handle: entry, parent: handle, depth: depth + 1 });
+                }
+            }
+            if (count > 0) candidates.push({ handle, parent, depth, count, hasFirst });
+        }
+
+        if (candidates.length === 0) {
+            // app.asar を優先（electron.asar などの同梱物より先に見る）
+            archives.sort((a, b) => (b.name === 'app.asar') - (a.name === 'app.asar'));
+            for (const archive of archives) {
+                const layout = await this.findLayout(await this.fromAsar(await archive.getFile()), assetFolders);
+                if (layout.scenarioHandle !== layout.rootHandle || layout.dataHandle) return layout;
+            }
+            return { rootHandle: root, scenarioHandle: root, dataHandle: null };
+        }
+
+        candidates.sort((a, b) =>
+            (b.hasFirst - a.hasFirst) ||
+            ((b.handle.name === 'scenario') - (a.handle.name === 'scenario')) ||
+            (a.depth - b.depth) ||
+            (b.count - a.count));
+        const best = candidates[0];
+
+        const hasAssetFolder = async handle => {
+            for await (const entry of handle.values()) {
+                if (entry.kind === 'directory' && assetFolders.includes(entry.name)) return true;
+            }
+            return false;
+        };
+        let dataHandle = null;
+        if (best.parent && await hasAssetFolder(best.parent)) {
+            dataHandle = best.parent;
+        } else if (await hasAssetFolder(best.handle)) {
+            dataHandle = best.handle;
+        }
+
+        return { rootHandle: root, scenarioHandle: best.handle, dataHandle };
+    }
+
+    /**
+     * ZIP内のファイル名を文字列にする
+     * UTF-8 フラグがない場合、UTF-8 として読めなければ Shift_JIS とみなす（Windows で作成したZIP）
+     */
+    decodeName(bytes, isUtf8) {
+        if (isUtf8) return new TextDecoder('utf-8').decode(bytes);
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch {
+            return new TextDecoder('shift_jis').decode(bytes);
+        }
+    }
+
+    /**
+     * MS-DOS 形式の日時をミリ秒にする
+     */
+    fromDosTime(time, date) {
+        return new Date(
+            ((date >> 9) & 0x7f) + 1980,
+            ((date >> 5) & 0x0f) - 1,
+            date & 0x1f,
+            (time >> 11) & 0x1f,
+            (time >> 5) & 0x3f,
+            (time & 0x1f) * 2
+        ).getTime();
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectSource;
+} else {
+    window.ProjectSource = ProjectSource;
+}
@@ -0,0 +1,433 @@
+/**
+ * Tag Registry
+ * TyranoScript / TyranoBuilder のタグ定義表
+ * パーサー・タイムライン・詳細パネルはタグ名を直接判定せず、この定義を参照する
+ *
+ * 定義の項目:
+ *   category   - 分類（this.categories のキー）
+ *   assets     - 素材を参照するパラメータ -> 素材フォルダ
+ *   folderParam - 素材フォルダを上書きできるパラメータ（[image folder=bgimage] など）
+ *   jump       - 遷移の種類（'jump' | 'call' | 'link'）
+ *   wait       - 進行を止める種類（'click' | 'stop' | 'time' | 'effect' | 'video'）
+ *   opaqueEnd  - 中身をシナリオとして解釈しないブロックの終了タグ
+ *   timeline   - TimelineProcessor で使う処理（TimelineProcessor.processCommand() を参照）
+ *   voice      - ボイス自動再生の制御（'config' | 'start' | 'stop'）
+ */
+
+class TagRegistry {
+    constructor() {
+        // 分類（表示順）
+        this.categories = {
+            flow: '遷移・制御',
+            text: 'テキスト',
+            choice: '選択肢・ボタン',
+            image: '背景・画像',
+            chara: 'キャラクター',
+            layer: 'レイヤー',
+            effect: '演出',
+            audio: '音声',
+            video: '動画',
+            variable: '変数・スクリプト',
+            macro: 'マクロ',
+            system: 'システム',
+            '3d': '3D',
+            plugin: 'プラグイン',
+            unknown: '未定義'
+        };
+
+        // プロジェクト側の定義ファイル（ブラウザ版・CLIとも scenario / data / プロジェクト直下の順に探す）
+        this.pluginFileName = 'tyranoflow-tags.json';
+
+        // 名前の先頭で分類するタグ（[3d_model_new] など種類が多いもの）
+        this.prefixes = {
+            '3d_': { category: '3d' }
+        };
+
+        this.tags = new Map();
+        this.pluginTags = new Set();
+        this.reset();
+    }
+
+    /**
+     * 組み込みのタグ定義
+     */
+    getBuiltinTags() {
+        return {
+            // 遷移・制御
+            jump: { category: 'flow', jump: 'jump' },
+            call: { category: 'flow', jump: 'call' },
+            return: { category: 'flow' },
+            s: { category: 'flow', wait: 'stop' },
+            if: { category: 'flow' },
+            elsif: { category: 'flow' },
+            else: { category: 'flow' },
+            endif: { category: 'flow' },
+            ignore: { category: 'flow' },
+            endignore: { category: 'flow' },
+            wait: { category: 'flow', wait: 'time' },
+            wait_cancel: { category: 'flow' },
+            waitclick: { category: 'flow', wait: 'click' },
+            clearstack: { category: 'flow' },
+            sleepgame: { category: 'flow' },
+            awakegame: { category: 'flow' },
+            breakgame: { category: 'flow' },
+
+            // テキスト
+            p: { category: 'text', wait: 'click' },
+            l: { category: 'text', wait: 'click' },
+            r: { category: 'text' },
+            er: { category: 'text' },
+            cm: { category: 'text' },
+            ct: { category: 'text' },
+            ch: { category: 'text' },
+            hch: { category: 'text' },
+            current: { category: 'text' },
+            position: { category: 'text' },
+            font: { category: 'text' },
+            deffont: { category: 'text' },
+            resetfont: { category: 'text' },
+            delay: { category: 'text' },
+            resetdelay: { category: 'text' },
+            configdelay: { category: 'text' },
+            nowait: { category: 'text' },
+            endnowait: { category: 'text' },
+            ruby: { category: 'text' },
+            mark: { category: 'text' },
+            endmark: { category: 'text' },
+            graph: { category: 'text', assets: { storage: 'image' } },
+            glyph: { category: 'text' },
+            ptext: { category: 'text' },
+            mtext: { category: 'text', wait: 'effect' },
+            nolog: { category: 'text' },
+            endnolog: { category: 'text' },
+            pushlog: { category: 'text' },
+            message_config: { category: 'text' },
+            speak_on: { category: 'text' },
+            speak_off: { category: 'text' },
+
+            // 選択肢・ボタン
+            link: { category: 'choice', jump: 'link' },
+            endlink: { category: 'choice' },
+            glink: { category: 'choice', jump: 'link', assets: { graphic: 'image', enterimg: 'image' } },
+            glink_config: { category: 'choice' },
+            button: { category: 'choice', jump: 'link', assets: { graphic: 'image', enterimg: 'image', clickimg: 'image' } },
+            clickable: { category: 'choice', jump: 'link' },
+            clearfix: { category: 'choice' },
+            edit: { category: 'choice' },
+            commit: { category: 'choice' },
+            cursor: { category: 'choice', assets: { storage: 'image' } },
+
+            // 背景・画像
+            bg: { category: 'image', assets: { storage: 'bgimage' }, timeline: 'bg' },
+            bg2: { category: 'image', assets: { storage: 'bgimage' }, timeline: 'bg' },
+            image: { category: 'image', assets: { storage: 'fgimage' }, folderParam: 'folder', timeline: 'image' },
+            freeimage: { category: 'image', timeline: 'freeimage' },
+            free: { category: 'image' },
+            locate: { category: 'image' },
+
+            // キャラクター
+            chara_config: { category: 'chara' },
+            chara_new: { category: 'chara', assets: { storage: 'fgimage' } },
+            chara_face: { category: 'chara', assets: { storage: 'fgimage' } },
+            chara_show: { category: 'chara', timeline: 'chara_show' },
+            chara_hide: { category: 'chara', timeline: 'chara_hide' },
+            chara_hide_all: { category: 'chara', timeline: 'chara_hide_all' },
+            chara_delete: { category: 'chara', timeline: 'chara_hide' },
+            chara_mod: { category: 'chara', assets: { storage: 'fgimage' }, timeline: 'chara_show' },
+            chara_move: { category: 'chara' },
+            chara_layer: { category: 'chara', assets: { storage: 'fgimage' } },
+            chara_layer_mod: { category: 'chara' },
+            chara_part: { category: 'chara' },
+            chara_part_reset: { category: 'chara' },
+            chara_ptext: { category: 'chara' },
+
+            // レイヤー
+            layopt: { category: 'layer' },
+            backlay: { category: 'layer' },
+            layermode: { category: 'layer' },
+            layermode_movie: { category: 'layer', assets: { video: 'video' } },
+            free_layermode: { category: 'layer' },
+            filter: { category: 'layer' },
+            free_filter: { category: 'layer' },
+            position_filter: { category: 'layer' },
+
+            // 演出
+            trans: { category: 'effect' },
+            wt: { category: 'effect', wait: 'effect' },
+            anim: { category: 'effect' },
+            wa: { category: 'effect', wait: 'effect' },
+            stopanim: { category: 'effect' },
+            kanim: { category: 'effect' },
+            stop_kanim: { category: 'effect' },
+            xanim: { category: 'effect' },
+            stop_xanim: { category: 'effect' },
+            keyframe: { category: 'effect' },
+            endkeyframe: { category: 'effect' },
+            frame: { category: 'effect' },
+            quake: { category: 'effect' },
+            quake2: { category: 'effect' },
+            wq: { category: 'effect', wait: 'effect' },
+            vibrate: { category: 'effect' },
+            mask: { category: 'effect', assets: { graphic: 'image' } },
+            mask_off: { category: 'effect' },
+            camera: { category: 'effect' },
+            reset_camera: { category: 'effect' },
+            wait_camera: { category: 'effect', wait: 'effect' },
+            mode_effect: { category: 'effect' },
+
+            // 音声
+            playbgm: { category: 'audio', assets: { storage: 'bgm' }, timeline: 'bgm' },
+            fadeinbgm: { category: 'audio', assets: { storage: 'bgm' }, timeline: 'bgm' },
+            xchgbgm: { category: 'audio', assets: { storage: 'bgm' }, timeline: 'bgm' },
+            stopbgm: { category: 'audio', timeline: 'bgm_stop' },
+            fadeoutbgm: { category: 'audio', timeline: 'bgm_stop' },
+            pausebgm: { category: 'audio' },
+            resumebgm: { category: 'audio' },
+            wbgm: { category: 'audio', wait: 'effect' },
+            playse: { category: 'audio', assets: { storage: 'sound' }, timeline: 'se' },
+            fadeinse: { category: 'audio', assets: { storage: 'sound' }, timeline: 'se' },
+            stopse: { category: 'audio' },
+            fadeoutse: { category: 'audio' },
+            pausese: { category: 'audio' },
+            resumese: { category: 'audio' },
+            wse: { category: 'audio', wait: 'effect' },
+            playbgs: { category: 'audio', assets: { storage: 'sound' }, timeline: 'se' },
+            stopbgs: { category: 'audio' },
+            bgmopt: { category: 'audio' },
+            seopt: { category: 'audio' },
+            changevol: { category: 'audio' },
+            voconfig: { category: 'audio', voice: 'config' },
+            vostart: { category: 'audio', voice: 'start' },
+            vostop: { category: 'audio', voice: 'stop' },
+
+            // 動画
+            movie: { category: 'video', assets: { storage: 'video' }, wait: 'video', timeline: 'video' },
+            bgmovie: { category: 'video', assets: { storage: 'video' }, wait: 'video', timeline: 'video' },
+            stop_bgmovie: { category: 'video' },
+            video: { category: 'video', assets: { storage: 'video' }, timeline: 'video' },
+            wait_video: { category: 'video', wait: 'video', timeline: 'wait_video' },
+            free_video: { category: 'video', timeline: 'free_video' },
+            wait_bgmovie: { category: 'video', wait: 'video' },
+
+            // 変数・スクリプト
+            eval: { category: 'variable' },
+            emb: { category: 'variable' },
+            trace: { category: 'variable' },
+            clearvar: { category: 'variable' },
+            clearsysvar: { category: 'variable' },
+            iscript: { category: 'variable', opaqueEnd: 'endscript' },
+            endscript: { category: 'variable' },
+            html: { category: 'variable', opaqueEnd: 'endhtml' },
+            endhtml: { category: 'variable' },
+            loadjs: { category: 'variable' },
+
+            // マクロ
+            macro: { category: 'macro' },
+            endmacro: { category: 'macro' },
+            erasemacro: { category: 'macro' },
+
+            // システム
+            title: { category: 'system' },
+            dialog: { category: 'system' },
+            dialog_config: { category: 'system' },
+            web: { category: 'system' },
+            preload: { category: 'system' },
+            unload: { category: 'system' },
+            save_img: { category: 'system' },
+            savesnap: { category: 'system' },
+            autosave: { category: 'system' },
+            autoload: { category: 'system' },
+            showsave: { category: 'system' },
+            showload: { category: 'system' },
+            showlog: { category: 'system' },
+            showmenu: { category: 'system' },
+            showmenubutton: { category: 'system' },
+            hidemenubutton: { category: 'system' },
+            skipstart: { category: 'system' },
+            skipstop: { category: 'system' },
+            cancelskip: { category: 'system' },
+            autostart: { category: 'system' },
+            autostop: { category: 'system' },
+            autoconfig: { category: 'system' },
+            close: { category: 'system' },
+            screen_full: { category: 'system' },
+            sysview: { category: 'system' },
+            plugin: { category: 'system' },
+            lang_set: { category: 'system' }
+        };
+    }
+
+    /**
+     * 組み込み定義だけの状態に戻す（プロジェクトを読み直すとき用）
+     */
+    reset() {
+        this.tags.clear();
+        this.pluginTags.clear();
+        Object.entries(this.getBuiltinTags()).forEach(([name, definition]) => {
+            this.tags.set(name, definition);
+        });
+    }
+
+    /**
+     * タグ定義を取得（未定義なら null）
+     */
+    get(name) {
+        if (!name) return null;
+        const key = name.toLowerCase();
+        if (this.tags.has(key)) return this.tags.get(key);
+
+        const prefix = Object.keys(this.prefixes).find(p => key.startsWith(p));
+        return prefix ? this.prefixes[prefix] : null;
+    }
+
+    /**
+     * 定義済みのタグかどうか
+     */
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    /**
+     * タグの分類を取得
+     */
+    getCategory(name) {
+        const definition = this.get(name);
+        return definition ? definition.category : 'unknown';
+    }
+
+    /**
+     * 分類の表示名を取得
+     */
+    getCategoryLabel(category) {
+        return this.categories[category] || category;
+    }
+
+    /**
+     * 素材を参照するパラメータを取得
+     * @param {Object} tag - タグノード
+     * @returns {Array<Object>} { param, folder, storage } の配列（指定のあるパラメータのみ）
+     */
+    getAssetRefs(tag) {
+        const definition = this.get(tag.name);
+        if (!definition || !definition.assets) return [];
+
+        const folderOverride = definition.folderParam ? tag.params[definition.folderParam] : null;
+        return Object.entries(definition.assets)
+            .filter(([param]) => tag.params[param])
+            .map(([param, folder]) => ({
+                param,
+                folder: folderOverride || folder,
+                storage: tag.params[param]
+            }));
+    }
+
+    /**
+     * 指定した遷移の種類を持つタグか判定
+     */
+    isJump(name, kind) {
+        const definition = this.get(name);
+        return Boolean(definition && definition.jump === kind);
+    }
+
+    /**
+     * 指定した待ちの種類を持つタグか判定
+     */
+    isWait(name, kind) {
+        const definition = this.get(name);
+        return Boolean(definition && definition.wait === kind);
+    }
+
+    /**
+     * 中身を解釈しないブロックの終了タグを取得（ブロック開始タグでなければ null）
+     */
+    getOpaqueEnd(name) {
+        const definition = this.get(name);
+        return (definition && definition.opaqueEnd) || null;
+    }
+
+    /**
+     * ボイス自動再生の制御の種類を取得（制御タグでなければ null）
+     */
+    getVoiceControl(name) {
+        const definition = this.get(name);
+        return (definition && definition.voice) || null;
+    }
+
+    /**
+     * タイムラインでの処理名を取得
+     */
+    getTimelineHandler(name) {
+        const definition = this.get(name);
+        return (definition && definition.timeline) || null;
+    }
+
+    /**
+     * プロジェクト側のタグ定義を追加
+     * 形式: { "タグ名": { "category": "...", "assets": { "storage": "fgimage" }, ... }, ... }
+     * category を省略したタグは 'plugin' に分類する
+     * @param {Object} definitions - 定義ファイルの内容
+     * @returns {Object} { count, ignored } 追加したタグ数と、定義がオブジェクトでないため無視したタグ名の配列
+     */
+    addPluginTags(definitions) {
+        if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+            throw new Error(`${this.pluginFileName} はタグ名をキーとするオブジェクトで記述してください`);
+        }
+
+        let count = 0;
+        const ignored = [];
+        Object.entries(definitions).forEach(([name, definition]) => {
+            if (!definition || typeof definition !== 'object') {
+                ignored.push(name);
+                return;
+            }
+            const key = name.toLowerCase();
+            this.tags.set(key, { ...definition, category: definition.category || 'plugin' });
+            this.pluginTags.add(key);
+            count++;
+        });
+        return { count, ignored };
+    }
+
+    /**
+     * プロジェクト側で追加したタグかどうか
+     */
+    isPluginTag(name) {
+        return this.pluginTags.has(String(name).toLowerCase());
+    }
+
+    /**
+     * ノード列のタグを分類ごとに集計
+     * @param {Array<Object>} nodes - ノード列
+     * @param {Set<string>} macroNames - プロジェクトで定義されたマクロ名（'macro' として扱う）
+     * @returns {Array<Object>} { category, label, tags: [{ name, count, plugin }] } の配列（分類の表示順）
+     */
+    summarize(nodes, macroNames = new Set()) {
+        const counts = new Map(); // category -> Map(name -> count)
+
+        nodes.forEach(node => {
+            if (node.type !== 'tag') return;
+            const category = macroNames.has(node.name) ? 'macro' : this.getCategory(node.name);
+            if (!counts.has(category)) counts.set(category, new Map());
+            const tags = counts.get(category);
+            tags.set(node.name, (tags.get(node.name) || 0) + 1);
+        });
+
+        const order = Object.keys(this.categories);
+        return [...counts.entries()]
+            .sort(([a], [b]) => (order.indexOf(a) + 1 || order.length + 1) - (order.indexOf(b) + 1 || order.length + 1))
+            .map(([category, tags]) => ({
+                category,
+                label: this.getCategoryLabel(category),
+                tags: [...tags.entries()]
+                    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                    .map(([name, count]) => ({ name, count, plugin: this.isPluginTag(name) }))
+            }));
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagRegistry;
+} else {
+    window.TagRegistry = TagRegistry;
+}
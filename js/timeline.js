@@ -5,7 +5,13 @@
  */
 
 class TimelineProcessor {
-    constructor() {
+    /**
+     * @param {TyranoParser} parser - マクロ定義の範囲を求めるのに使う
+     *   （各タグをどのトラックで処理するかはパーサーと同じタグ定義で判定する）
+     */
+    constructor(parser = new (typeof module !== 'undefined' && module.exports ? require('./parser.js') : TyranoParser)()) {
+        this.parser = parser;
+        this.tagRegistry = parser.tagRegistry;
         // タイムラインイベント
         this.events = [];
         // トラック情報
@@ -52,12 +58,53 @@ class TimelineProcessor {
         this.activeVideo = null;
     }
 
+    /**
+     * マクロ定義（[macro]～[endmacro]）が占める行を取得
+     * 1行に書かれた定義や閉じていない定義もパーサーと同じ範囲になるよう、ノード列から求める
+     * @param {Array<Object>} nodes - パーサーのノード列（tokenize() の結果）
+     * @returns {Set<number>} 行番号（1始まり）
+     */
+    getMacroLines(nodes) {
+        const lines = new Set();
+        const executable = new Set(this.parser.excludeMacroBodies(nodes));
+        nodes.forEach(node => {
+            if (executable.has(node)) return;
+            for (let line = node.line; line <= (node.endLine || node.line); line++) lines.add(line);
+        });
+        // 定義と同じ行に実行されるノードがある場合はその行を残す
+        executable.forEach(node => lines.delete(node.line));
+        return lines;
+    }
+
+    /**
+     * [iscript]/[html] ブロックの中身を空白に置き換えた行を取得
+     * 中身の範囲はパーサーの script ノードに従う（開始・終了タグと同じ行にあるタグやテキストは残る）
+     * @param {Array<string>} lines - ファイルの行
+     * @param {Array<Object>} nodes - パーサーのノード列（tokenize() の結果）
+     * @returns {Array<string>} 置き換え後の行（列の位置は変わらない）
+     */
+    maskScriptBlocks(lines, nodes) {
+        const masked = [...lines];
+        nodes.filter(node => node.type === 'script').forEach(node => {
+            for (let line = node.line; line <= node.endLine; line++) {
+                const text = masked[line - 1];
+                if (text === undefined) continue;
+                const start = line === node.line ? node.column - 1 : 0;
+                const end = line === node.endLine ? node.endColumn - 1 : text.length;
+                masked[line - 1] = text.substring(0, start) + ' '.repeat(Math.max(0, end - start)) + text.substring(end);
+            }
+        });
+        return masked;
+    }
+
     /**
      * ksファイルの内容を解析してタイムラインイベントを生成
+     * 背景・BGM・キャラなどの表示状態は呼び出しをまたいで引き継ぐ（ルートに沿ってブロックを順に処理できる）
      * @param {string} content - ksファイルの内容
      * @param {string} filename - ファイル名
+     * @param {Object|null} range - 処理する行の範囲 { startLine, endLine }（1始まり、省略時はファイル全体）
      */
-    processFile(content, filename) {
+    processFile(content, filename, range = null) {
         // 前のファイルからのアクティブな動画があれば終了させる
         // （[movie]はブロッキングなので、次のファイル開始時点で終了）
         if (this.activeVideo) {
@@ -65,22 +112,31 @@ class TimelineProcessor {
             this.activeVideo = null;
         }
 
-        const lines = content.split('\n');
+        const nodes = this.parser.tokenize(content);
+        const lines = this.maskScriptBlocks(content.split('\n'), nodes); // [iscript]/[html] の中身はシナリオとして扱わない
         let currentSpeaker = null;
         let textBuffer = [];
+        let textLine = null; // バッファの最初のテキストの行
         let textStartTime = this.currentTime;
         let hasExternalJump = false; // 外部ファイルへのjumpがあったか
         let passedJumpAndStop = false; // jump+[s]の後か
         let hasVisualContent = false; // 視覚的コンテンツが表示されたか
         let firstCmSkipped = false; // 最初の[cm]をスキップしたか
+        const macroLines = this.getMacroLines(nodes); // [macro]～[endmacro] の行（ルートの先頭で定義だけを読むファイルを通るため）
 
-        for (let i = 0; i < lines.length; i++) {
+        const firstIndex = range ? Math.max(range.startLine - 1, 0) : 0;
+        const lastIndex = range ? Math.min(range.endLine, lines.length) : lines.length;
+
+        for (let i = firstIndex; i < lastIndex; i++) {
             const line = lines[i];
             const trimmedLine = line.trim();
 
             // コメント行をスキップ
             if (trimmedLine.startsWith(';')) continue;
 
+            // マクロ定義の本体はその場では実行されないため扱わない
+            if (macroLines.has(i + 1)) continue;
+
             // [jump storage="xxx.ks"] を検出（外部ファイルへのジャンプ）
             const jumpMatch = trimmedLine.match(/\[jump[^\]]*storage\s*=\s*["']?([^"'\]\s]+)/i);
             if (jumpMatch && jumpMatch[1] && jumpMatch[1].endsWith('.ks')) {
@@ -131,7 +187,7 @@ class TimelineProcessor {
                 if (atCommand === 'p') {
                     // テキストバッファをフラッシュ
                     if (textBuffer.length > 0) {
-                        this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename);
+                        this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename, textLine);
                         textBuffer = [];
                     }
                     this.currentTime += 1;
@@ -142,7 +198,7 @@ class TimelineProcessor {
                     hasVisualContent = true;
                 } else if (atCommand === 'cm') {
                     if (textBuffer.length > 0) {
-                        this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename);
+                        this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename, textLine);
                         textBuffer = [];
                         hasVisualContent = true;
                     }
@@ -161,7 +217,7 @@ class TimelineProcessor {
             if (trimmedLine.startsWith('#')) {
                 // テキストバッファをフラッシュ
                 if (textBuffer.length > 0) {
-                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime, filename);
+                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime, filename, textLine);
                     textBuffer = [];
                 }
                 currentSpeaker = trimmedLine.substring(1).split(':')[0].trim() || null;
@@ -171,7 +227,9 @@ class TimelineProcessor {
 
             // タグを処理
             this.processLineWithTags(trimmedLine, filename, i + 1, (text) => {
-                if (text) textBuffer.push(text);
+                if (!text) return;
+                if (textBuffer.length === 0) textLine = i + 1;
+                textBuffer.push(text);
             });
 
             // [p]タグで時間を進める（[p]、[p cond="..."]など全てに対応）
@@ -179,7 +237,7 @@ class TimelineProcessor {
             if (pMatches) {
                 // テキストバッファをフラッシュ
                 if (textBuffer.length > 0) {
-                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename);
+                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename, textLine);
                     textBuffer = [];
                 }
                 this.currentTime += pMatches.length;
@@ -199,7 +257,7 @@ class TimelineProcessor {
             if (cmMatches) {
                 // テキストバッファをフラッシュ
                 if (textBuffer.length > 0) {
-                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename);
+                    this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime + 1, filename, textLine);
                     textBuffer = [];
                     hasVisualContent = true;
                 }
@@ -218,7 +276,7 @@ class TimelineProcessor {
 
         // 残りのテキストバッファをフラッシュ
         if (textBuffer.length > 0) {
-            this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime, filename);
+            this.addTextEvent(currentSpeaker, textBuffer.join(''), textStartTime, this.currentTime, filename, textLine);
         }
     }
 
@@ -285,7 +343,8 @@ class TimelineProcessor {
      * コマンド（タグ）を処理
      */
     processCommand(command, params, filename, lineNum) {
-        switch (command) {
+        // どの処理を行うかはタグ定義（TagRegistry の timeline）に従う
+        switch (this.tagRegistry.getTimelineHandler(command)) {
             // 背景
             case 'bg':
                 this.processBg(params, filename, lineNum);
@@ -312,8 +371,6 @@ class TimelineProcessor {
 
             // 動画
             case 'video':
-            case 'movie':
-            case 'bgmovie':
                 this.processVideo(command, params, filename, lineNum);
                 break;
             case 'wait_video':
@@ -324,18 +381,15 @@ class TimelineProcessor {
                 break;
 
             // BGM
-            case 'playbgm':
-            case 'fadeinbgm':
+            case 'bgm':
                 this.processBgmStart(command, params, filename, lineNum);
                 break;
-            case 'stopbgm':
-            case 'fadeoutbgm':
+            case 'bgm_stop':
                 this.processBgmStop(filename, lineNum);
                 break;
 
             // SE
-            case 'playse':
-            case 'fadeinse':
+            case 'se':
                 this.processSe(command, params, filename, lineNum);
                 break;
         }
@@ -382,6 +436,7 @@ class TimelineProcessor {
             endTime: null,
             filename: filename,
             line: lineNum,
+            folder: params.folder,
             x: params.x,
             y: params.y
         };
@@ -481,9 +536,9 @@ class TimelineProcessor {
         this.tracks.video.push(event);
         this.events.push(event);
 
-        // [movie] と [bgmovie] はブロッキング呼び出し
+        // [movie] と [bgmovie] はブロッキング呼び出し（タグ定義の wait: 'video'）
         // 動画再生が終わってから次に進むので、時間を1単位進める
-        if (command === 'movie' || command === 'bgmovie') {
+        if (this.tagRegistry.isWait(command, 'video')) {
             // 動画再生には時間がかかるので、最低1単位進める
             this.currentTime += 1;
             event.endTime = this.currentTime;
@@ -570,7 +625,7 @@ class TimelineProcessor {
     /**
      * テキストイベントを追加
      */
-    addTextEvent(speaker, text, startTime, endTime, filename) {
+    addTextEvent(speaker, text, startTime, endTime, filename, line = null) {
         if (!text.trim()) return;
 
         const event = {
@@ -579,7 +634,8 @@ class TimelineProcessor {
             text: text.trim(),
             startTime: startTime,
             endTime: endTime,
-            filename: filename
+            filename: filename,
+            line: line // テキストの最初の行（ソース表示で開く位置）
         };
         this.tracks.text.push(event);
         this.events.push(event);
@@ -615,23 +671,6 @@ class TimelineProcessor {
             }
         });
 
-        // デバッグ: タイムライン統計を出力
-        console.log('=== Timeline Debug ===');
-        console.log(`Total Time: ${this.totalTime} [p]`);
-        console.log(`Total Events: ${this.events.length}`);
-        console.log(`Text Events: ${this.tracks.text.length}`);
-        console.log(`BGM Events: ${this.tracks.bgm.length}`);
-        console.log(`SE Events: ${this.tracks.se.length}`);
-
-        // イベントの時間分布を確認
-        if (this.events.length > 0) {
-            const timeDistribution = {};
-            this.events.forEach(e => {
-                const t = Math.floor(e.startTime);
-                timeDistribution[t] = (timeDistribution[t] || 0) + 1;
-            });
-            console.log('Event distribution by start time:', timeDistribution);
-        }
     }
 
     /**
@@ -699,6 +738,27 @@ class TimelineProcessor {
         return this.events.filter(e => e.startTime <= time && e.endTime > time);
     }
 
+    /**
+     * 指定時間の画面構成を取得（プレビューで背景・画像・キャラ・動画・メッセージを重ねて表示する）
+     * @returns {Object} { bg, images, charas, video, text, bgm, se }
+     *   images はレイヤー番号順（奥から手前）、charas は表示した順、text は最後に表示されたテキスト
+     */
+    getStageAtTime(time) {
+        const events = this.getEventsAtTime(time);
+        const ofType = type => events.filter(e => e.type === type);
+        const layerOrder = layer => (isNaN(Number(layer)) ? Infinity : Number(layer));
+
+        return {
+            bg: ofType('bg').pop() || null,
+            images: ofType('image').sort((a, b) => layerOrder(a.layer) - layerOrder(b.layer)),
+            charas: ofType('chara').sort((a, b) => a.startTime - b.startTime),
+            video: ofType('video').pop() || null,
+            text: ofType('text').pop() || null,
+            bgm: ofType('bgm').pop() || null,
+            se: ofType('se')
+        };
+    }
+
     /**
      * 統計情報を取得
      */
@@ -716,5 +776,9 @@ class TimelineProcessor {
     }
 }
 
-// グローバルに公開
-window.TimelineProcessor = TimelineProcessor;
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineProcessor;
+} else {
+    window.TimelineProcessor = TimelineProcessor;
+}
@@ -0,0 +1,291 @@
+/**
+ * Translation Importer
+ * 翻訳済みの台本（ScriptExporter の出力に translation 列を記入したもの）を行IDで照合し、
+ * タグを残したまま本文だけを置き換えた .ks ファイルを生成する
+ */
+
+class TranslationImporter {
+    /**
+     * @param {ScriptExporter} scriptExporter - 行IDの生成に使う（出力時と同じ規則で照合する）
+     */
+    constructor(scriptExporter = new (typeof module !== 'undefined' && module.exports ? require('./script.js') : ScriptExporter)()) {
+        this.scriptExporter = scriptExporter;
+    }
+
+    /**
+     * CSV / TSV を解析（1行目を見出しとし、タブを含めばTSVとみなす）
+     * TSVは ScriptExporter.toTsv() と同じくクォートしない形式として、行を改行・値をタブで分けるだけにする
+     * @param {string} text - ファイルの内容
+     * @returns {Array<Object>} 見出し（小文字）をキーとする行の配列
+     */
+    parseTable(text) {
+        const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const delimiter = source.split('\n')[0].includes('\t') ? '\t' : ',';
+        const records = delimiter === '\t'
+            ? source.split('\n').map(line => line.split('\t'))
+            : this.parseCsvRecords(source);
+
+        const [header = [], ...body] = records;
+        const keys = header.map(key => key.trim().toLowerCase());
+        if (!keys.includes('id') || !keys.includes('translation')) {
+            throw new Error('id 列と translation 列が必要です');
+        }
+
+        return body
+            .filter(values => values.some(value => value.trim()))
+            .map(values => {
+                const row = {};
+                keys.forEach((key, index) => {
+                    row[key] = values[index] !== undefined ? values[index] : '';
+                });
+                return row;
+            });
+    }
+
+    /**
+     * CSV をレコードに分割（クォート内の区切り文字・改行・"" に対応）
+     */
+    parseCsvRecords(source) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === ',') {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n') {
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * 翻訳文をシナリオのテキストとして書ける形にする（[ は [[、改行は [r]）
+     */
+    escapeText(text) {
+        return text.trim().replace(/\[/g, '[[').replace(/\r?\n/g, '[r]');
+    }
+
+    /**
+     * 行頭に置く翻訳文の先頭がラベル・話者・コメント・@タグの記号なら、その1文字を [emb] で書く
+     * （そのまま書くと解析し直したときに別の行になる）
+     */
+    escapeLineStart(text) {
+        if (!/^(?:[*#;@]|\/\*)/.test(text)) return text;
+        return `[emb exp="'${text[0]}'"]${text.substring(1)}`;
+    }
+
+    /**
+     * タグのパラメータ値をクォートする（値に含まれないクォートを選ぶ）
+     * 両方のクォートを含む値は書けないため null
+     */
+    quoteParam(value) {
+        if (!value.includes('"')) return `"${value}"`;
+        if (!value.includes("'")) return `'${value}'`;
+        return null;
+    }
+
+    /**
+     * 台本の1行の翻訳を、ファイルへの置き換えに変換
+     * セリフ・[link] はテキストノードごとに置き換え、間のタグはそのまま残す
+     * ページの途中にタグがあれば、翻訳を改行で区切ったものをテキストノードに順に割り当てる
+     * （区切りの数が合わなければタグの位置がずれるため置き換えない）
+     * @returns {Object} { edits } または { reason }（置き換えられない理由）
+     */
+    createEdits(flowchart, row, translation) {
+        const segments = row.source.segments || [];
+
+        if (segments.length === 0) {
+            if (this.quoteParam(translation.trim()) === null) {
+                return { reason: '" と \' の両方を含むため text= に書けません' };
+            }
+            return { edits: [{ line: row.line, choiceText: row.text, text: translation.trim() }] };
+        }
+
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        const isBefore = (a, b) => a.line < b.line || (a.line === b.line && a.column < b.column);
+        const data = flowchart.parsedFiles.get(row.filename);
+        const inlineTags = (data ? data.nodes : []).filter(node =>
+            node.type === 'tag' && isBefore(first, node) && isBefore(node, last)
+        );
+
+        if (inlineTags.length === 0) {
+            // タグで区切られていないテキスト（改行で続くだけ）は最初のテキストにまとめる
+            return {
+                edits: segments.map((segment, index) => ({
+                    ...segment,
+                    text: index === 0 ? this.escapeText(translation) : ''
+                }))
+            };
+        }
+
+        const parts = translation.trim().split(/\r?\n/);
+        if (parts.length !== segments.length) {
+            const names = [...new Set(inlineTags.map(tag => `[${tag.name}]`))].join(' ');
+            return { reason: `途中にタグ（${names}）があるため、改行で${segments.length}行に分けて訳してください` };
+        }
+        return {
+            edits: segments.map((segment, index) => ({ ...segment, text: this.escapeText(parts[index]) }))
+        };
+    }
+
+    /**
+     * 置き換え後の内容を解析し直し、台本の行IDが置き換え前と同じか確認する
+     * @param {FlowchartGenerator} flowchart - 置き換え前の解析結果を持つジェネレータ
+     * @param {Map<string, string>} files - ファイル名 -> 置き換え後の内容
+     * @param {Set<string>} editedFiles - 置き換えたファイル（それ以外は解析結果をそのまま使う）
+     * @param {Array<Object>} rows - 置き換え前の台本の行
+     * @returns {Object} { missing, added } 置き換え後になくなった行ID・増えた行ID
+     */
+    verify(flowchart, files, editedFiles, rows) {
+        const parser = flowchart.parser;
+        const parsedFiles = new Map();
+        flowchart.parsedFiles.forEach((data, filename) => {
+            // マクロの展開結果を書き込むため、元の解析結果は複製して使う
+            parsedFiles.set(filename, editedFiles.has(filename) ? parser.parse(files.get(filename), filename) : { ...data });
+        });
+        parser.applyMacros(parsedFiles);
+
+        const reparsed = Object.create(flowchart);
+        reparsed.parsedFiles = parsedFiles;
+        const before = new Set(rows.map(row => row.id));
+        const after = new Set(this.scriptExporter.collect(reparsed, { includeChoices: true }).map(row => row.id));
+
+        return {
+            missing: [...before].filter(id => !after.has(id)),
+            added: [...after].filter(id => !before.has(id))
+        };
+    }
+
+    /**
+     * 翻訳を照合して置き換え後のファイル内容を生成
+     * 書き出し時から原文が変わった行は置き換えず changed として報告する
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @param {Map<string, string>} contents - ファイル名 -> 元の内容
+     * @param {Array<Object>} table - parseTable() の結果
+     * @returns {Object} { files, translated, untranslated, untranslatable, changed, unknown, mismatched }
+     *   files はファイル名 -> 置き換え後の内容（翻訳のないファイルも元の内容のまま含む）
+     *   untranslatable は置き換えられなかった行（reason に理由）、mismatched は verify() の結果
+     */
+    apply(flowchart, contents, table) {
+        const rows = this.scriptExporter.collect(flowchart, { includeChoices: true });
+        const currentIds = new Set(rows.map(row => row.id));
+        const translations = new Map(table.map(entry => [entry.id, entry]));
+
+        const translated = [];
+        const untranslated = [];
+        const untranslatable = [];
+        const changed = [];
+        const edits = new Map(); // ファイル名 -> [{ line, column, endColumn, text }]
+
+        const addEdit = (filename, edit) => {
+            if (!edits.has(filename)) edits.set(filename, []);
+            edits.get(filename).push(edit);
+        };
+
+        rows.forEach(row => {
+            const entry = translations.get(row.id);
+            if (!entry || !entry.translation.trim()) {
+                untranslated.push(row);
+                return;
+            }
+            if (entry.text !== undefined && entry.text !== row.text) {
+                changed.push({ ...row, exportedText: entry.text, translation: entry.translation });
+                return;
+            }
+
+            // セリフは1ページ（クリック待ちまで）、[link] は [endlink] までのテキストだけを置き換える
+            const { edits: rowEdits, reason } = this.createEdits(flowchart, row, entry.translation);
+            if (reason) {
+                untranslatable.push({ ...row, translation: entry.translation, reason });
+                return;
+            }
+            rowEdits.forEach(edit => addEdit(row.filename, edit));
+            translated.push({ ...row, translation: entry.translation });
+        });
+
+        const files = new Map();
+        contents.forEach((content, filename) => {
+            files.set(filename, edits.has(filename) ? this.applyEdits(content, edits.get(filename)) : content);
+        });
+
+        const unknown = table.filter(entry => !currentIds.has(entry.id));
+        const mismatched = this.verify(flowchart, files, new Set(edits.keys()), rows);
+        return { files, translated, untranslated, untranslatable, changed, unknown, mismatched };
+    }
+
+    /**
+     * ファイル内容に置き換えを適用（改行コードは元のまま）
+     */
+    applyEdits(content, edits) {
+        const eol = content.includes('\r\n') ? '\r\n' : '\n';
+        const lines = content.split(/\r?\n/);
+
+        const byLine = new Map();
+        edits.forEach(edit => {
+            if (!byLine.has(edit.line)) byLine.set(edit.line, []);
+            byLine.get(edit.line).push(edit);
+        });
+
+        byLine.forEach((lineEdits, lineNum) => {
+            let line = lines[lineNum - 1];
+            if (line === undefined) return;
+
+            // テキストは後ろから置き換えて位置がずれないようにする（前後の空白は残す）
+            lineEdits
+                .filter(edit => edit.choiceText === undefined)
+                .sort((a, b) => b.column - a.column)
+                .forEach(edit => {
+                    const original = line.substring(edit.column - 1, edit.endColumn - 1);
+                    const leading = original.match(/^\s*/)[0];
+                    const trailing = edit.text ? original.match(/\s*$/)[0] : '';
+                    const text = line.substring(0, edit.column - 1).trim() ? edit.text : this.escapeLineStart(edit.text);
+                    line = line.substring(0, edit.column - 1) + leading + text + trailing + line.substring(edit.endColumn - 1);
+                });
+
+            // 選択肢は text= の値を置き換え（テキストの位置を使い終わってから行う）
+            lineEdits.filter(edit => edit.choiceText !== undefined).forEach(edit => {
+                const pattern = /(\btext\s*=\s*)("[^"]*"|'[^']*'|[^\s\]]+)/g;
+                line = line.replace(pattern, (match, prefix, value) => {
+                    const unquoted = value.replace(/^(["'])(.*)\1$/, '$2');
+                    return unquoted === edit.choiceText ? prefix + this.quoteParam(edit.text) : match;
+                });
+            });
+
+            lines[lineNum - 1] = line;
+        });
+
+        return lines.join(eol);
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationImporter;
+} else {
+    window.TranslationImporter = TranslationImporter;
+}
@@ -0,0 +1,90 @@
+/**
+ * Variable Analyzer
+ * f. / sf. / tf. 変数の書き込み箇所と読み取り箇所をプロジェクト全体で集計する
+ */
+
+class VariableAnalyzer {
+    constructor() {
+        // スコープ（表示順）
+        this.scopes = ['f', 'sf', 'tf'];
+    }
+
+    /**
+     * 全ファイルの変数を集計
+     * @param {Map<string, Object>} parsedFiles - ファイル名 -> 解析結果
+     * @returns {Array<Object>} { key, scope, name, writes, reads, status } の配列
+     *   status: 'ok' | 'read-only'（書き込みなし） | 'write-only'（読み取りなし）
+     */
+    analyze(parsedFiles) {
+        const variables = new Map(); // "f.xxx" -> 集計結果
+
+        const getVariable = (scope, name) => {
+            const key = `${scope}.${name}`;
+            if (!variables.has(key)) {
+                variables.set(key, { key, scope, name, writes: [], reads: [] });
+            }
+            return variables.get(key);
+        };
+
+        parsedFiles.forEach((data, filename) => {
+            if (!data.variables) return;
+            data.variables.writes.forEach(({ scope, name, tag, line }) => {
+                getVariable(scope, name).writes.push({ filename, line, tag });
+            });
+            data.variables.reads.forEach(({ scope, name, tag, line }) => {
+                getVariable(scope, name).reads.push({ filename, line, tag });
+            });
+        });
+
+        const result = [...variables.values()];
+        result.forEach(variable => {
+            if (variable.writes.length === 0) {
+                variable.status = 'read-only';
+            } else if (variable.reads.length === 0) {
+                variable.status = 'write-only';
+            } else {
+                variable.status = 'ok';
+            }
+        });
+
+        // スコープ -> 変数名の順に並べる
+        result.sort((a, b) =>
+            this.scopes.indexOf(a.scope) - this.scopes.indexOf(b.scope) ||
+            a.name.localeCompare(b.name)
+        );
+
+        return result;
+    }
+
+    /**
+     * 全変数のクリア（引数なしの[clearvar] / [clearsysvar]）を取得
+     * @returns {Array<Object>} { filename, line, scope, tag } の配列
+     */
+    collectClears(parsedFiles) {
+        const clears = [];
+        parsedFiles.forEach((data, filename) => {
+            if (!data.variables) return;
+            data.variables.clears.forEach(clear => clears.push({ filename, ...clear }));
+        });
+        clears.sort((a, b) => a.filename.localeCompare(b.filename) || a.line - b.line);
+        return clears;
+    }
+
+    /**
+     * 状態ごとの件数を取得
+     */
+    countByStatus(variables) {
+        const counts = { ok: 0, 'read-only': 0, 'write-only': 0 };
+        variables.forEach(variable => {
+            counts[variable.status]++;
+        });
+        return counts;
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VariableAnalyzer;
+} else {
+    window.VariableAnalyzer = VariableAnalyzer;
+}
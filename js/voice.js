@@ -0,0 +1,175 @@
+/**
+ * Voice Analyzer
+ * セリフごとに再生されるボイスファイルを求め、収録状況を集計する
+ * - [voconfig name=xxx vostorage="xxx_{number}.ogg" number=1] + [vostart] 中の #xxx は自動で連番のボイスを再生する
+ * - [playse buf=voice] で明示的に再生するボイスも含める
+ */
+
+class VoiceAnalyzer {
+    constructor() {
+        // ボイスの素材フォルダ（[playse] と同じ data/sound）
+        this.folder = 'sound';
+    }
+
+    /**
+     * 連番を数える順にファイル名を並べる
+     * システムファイル（first.ks などで [voconfig] することが多い）を先に、ストーリーは時系列順
+     */
+    getFileOrder(flowchart) {
+        const storyFiles = flowchart.getSortedStoryFiles().map(({ filename }) => filename);
+        const otherFiles = [...flowchart.parsedFiles.keys()]
+            .filter(filename => !storyFiles.includes(filename))
+            .sort((a, b) => a.localeCompare(b));
+        return [...otherFiles, ...storyFiles];
+    }
+
+    /**
+     * vostorage の {number} を連番に置き換え
+     */
+    formatStorage(config) {
+        return config.vostorage.replace(/\{number\}/g, String(config.number));
+    }
+
+    /**
+     * 全セリフのボイスを求める
+     * @param {FlowchartGenerator} flowchart - 解析済みファイルを持つジェネレータ
+     * @returns {Array<Object>} { filename, line, speaker, text, storages, auto } の配列
+     *   storages は再生されるボイス（なければ空）、auto は自動再生（vostorage）を含むか
+     */
+    analyze(flowchart) {
+        const configs = new Map(); // キャラ名 -> { vostorage, number }
+        let active = false;
+        const lines = [];
+
+        this.getFileOrder(flowchart).forEach(filename => {
+            const data = flowchart.parsedFiles.get(filename);
+
+            // 制御タグとセリフを行順に処理（同じ行なら制御タグを先に）
+            const events = [
+                ...(data.voiceControls || []).map(control => ({ line: control.line, control })),
+                ...(data.dialogues || []).map(dialogue => ({ line: dialogue.line, dialogue }))
+            ].sort((a, b) => a.line - b.line || (a.control ? -1 : 1));
+
+            events.forEach(({ control, dialogue }) => {
+                if (control) {
+                    if (control.type === 'start') active = true;
+                    if (control.type === 'stop') active = false;
+                    if (control.type === 'config' && control.params.name) {
+                        const config = configs.get(control.params.name) || { vostorage: '', number: 0 };
+                        if (control.params.vostorage) config.vostorage = control.params.vostorage;
+                        if (control.params.number !== undefined) config.number = parseInt(control.params.number, 10) || 0;
+                        configs.set(control.params.name, config);
+                    }
+                    return;
+                }
+
+                const storages = [...(dialogue.voices || [])];
+                const config = dialogue.speaker ? configs.get(dialogue.speaker) : null;
+                const auto = Boolean(active && config && config.vostorage);
+                if (auto) {
+                    storages.push(this.formatStorage(config));
+                    config.number++;
+                }
+
+                lines.push({
+                    filename,
+                    line: dialogue.line,
+                    speaker: dialogue.speaker,
+                    text: dialogue.text,
+                    storages,
+                    auto
+                });
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * 再生されるボイスを素材の参照として取得（未使用素材の検出で参照済みとして扱う）
+     * @param {Array<Object>} lines - analyze() の結果
+     * @returns {Array<Object>} { folder, storage } の配列
+     */
+    collectReferences(lines) {
+        const storages = new Set();
+        lines.forEach(line => line.storages.forEach(storage => storages.add(storage)));
+        return [...storages].map(storage => ({ folder: this.folder, storage }));
+    }
+
+    /**
+     * ボイスファイルの有無を確認
+     * status: 'recorded'（全て存在） | 'missing'（不足あり） | 'none'（ボイスなし）
+     * @param {Array<Object>} lines - analyze() の結果（status / missing を設定する）
+     * @param {Function} exists - (storage, folder) => Promise<boolean> 素材の存在確認
+     */
+    async checkRecorded(lines, exists) {
+        const checked = new Map(); // storage -> 存在するか
+
+        for (const line of lines) {
+            line.missing = [];
+            for (const storage of line.storages) {
+                if (!checked.has(storage)) {
+                    checked.set(storage, await exists(storage, this.folder));
+                }
+                if (!checked.get(storage)) line.missing.push(storage);
+            }
+            if (line.storages.length === 0) {
+                line.status = 'none';
+            } else {
+                line.status = line.missing.length > 0 ? 'missing' : 'recorded';
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * キャラクターごとの収録状況を集計（ナレーションは除く）
+     * @returns {Array<Object>} { speaker, total, voiced, recorded, missing } の配列（セリフ数の多い順）
+     */
+    summarize(lines) {
+        const bySpeaker = new Map();
+        lines.forEach(line => {
+            if (!line.speaker) return;
+            if (!bySpeaker.has(line.speaker)) {
+                bySpeaker.set(line.speaker, { speaker: line.speaker, total: 0, voiced: 0, recorded: 0, missing: 0 });
+            }
+            const summary = bySpeaker.get(line.speaker);
+            summary.total++;
+            if (line.storages.length > 0) summary.voiced++;
+            if (line.status === 'recorded') summary.recorded++;
+            if (line.status === 'missing') summary.missing++;
+        });
+        return [...bySpeaker.values()].sort((a, b) => b.total - a.total || a.speaker.localeCompare(b.speaker));
+    }
+
+    /**
+     * 収録台本をCSV形式で出力（話者のあるセリフとボイス付きのナレーション、再生順）
+     */
+    toCsv(lines) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const statusLabels = { recorded: '収録済み', missing: '未収録', none: '' };
+        const rows = ['no,file,line,speaker,voice,status,text'];
+        lines.filter(line => line.speaker || line.storages.length > 0).forEach((line, index) => {
+            rows.push([
+                index + 1,
+                line.filename,
+                line.line,
+                line.speaker || '',
+                line.storages.join(' / '),
+                statusLabels[line.status] || '',
+                line.text
+            ].map(escape).join(','));
+        });
+        return rows.join('\n') + '\n';
+    }
+}
+
+// グローバルに公開（Node.jsではモジュールとしてエクスポート）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceAnalyzer;
+} else {
+    window.VoiceAnalyzer = VoiceAnalyzer;
+}